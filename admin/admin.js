@@ -0,0 +1,328 @@
+/**
+ * Admin Console
+ * Shows the relay server's connected clients live and sends admin actions
+ * (kick, rename, direct command, pairing code) over the admin WebSocket channel
+ */
+
+// ===========================
+// Configuration
+// ===========================
+
+const ADMIN_WS_URL = `${window.location.protocol === 'https:' ? 'wss:' : 'ws:'}//${window.location.host}/admin/ws`;
+const SECRET_STORAGE_KEY = 'colorController.adminSecret';
+const RECONNECT_INTERVAL = 3000; // 3 seconds
+const AUTH_CLOSE_CODE = 4001; // Server closes connections with a wrong secret with this code
+
+// ===========================
+// State Management
+// ===========================
+
+let adminSocket = null;
+let reconnectTimer = null;
+let snapshot = null;
+let requestCounter = 1;
+
+// ===========================
+// DOM Elements
+// ===========================
+
+const connectionStatus = document.getElementById('connectionStatus');
+const secretForm = document.getElementById('secretForm');
+const secretInput = document.getElementById('secretInput');
+const dashboard = document.getElementById('dashboard');
+const clientRows = document.getElementById('clientRows');
+const emptyMessage = document.getElementById('emptyMessage');
+const clientCount = document.getElementById('clientCount');
+const roomCount = document.getElementById('roomCount');
+const throttledCount = document.getElementById('throttledCount');
+const pairButton = document.getElementById('pairButton');
+const messageDisplay = document.getElementById('messageDisplay');
+
+// ===========================
+// Admin Channel
+// ===========================
+
+/**
+ * Connect to the admin channel with a secret
+ * @param {string} secret - Admin secret (ADMIN_SECRET on the server)
+ */
+function connectAdmin(secret) {
+    clearTimeout(reconnectTimer);
+    if (adminSocket) {
+        adminSocket.onclose = null;
+        adminSocket.close();
+    }
+
+    adminSocket = new WebSocket(`${ADMIN_WS_URL}?secret=${encodeURIComponent(secret)}`);
+
+    adminSocket.onopen = () => {
+        sessionStorage.setItem(SECRET_STORAGE_KEY, secret);
+        updateConnectionStatus(true);
+        secretForm.hidden = true;
+        dashboard.hidden = false;
+        displayMessage('Connected to admin channel', 'success');
+    };
+
+    adminSocket.onclose = (event) => {
+        updateConnectionStatus(false);
+
+        if (event.code === AUTH_CLOSE_CODE) {
+            sessionStorage.removeItem(SECRET_STORAGE_KEY);
+            secretForm.hidden = false;
+            dashboard.hidden = true;
+            displayMessage(`Access denied: ${event.reason}`, 'error');
+            secretInput.focus();
+            return;
+        }
+
+        displayMessage('Admin channel lost. Reconnecting...', 'error');
+        reconnectTimer = setTimeout(() => connectAdmin(secret), RECONNECT_INTERVAL);
+    };
+
+    adminSocket.onmessage = handleAdminMessage;
+}
+
+/**
+ * Handle a message from the admin channel
+ * @param {MessageEvent} event - Message event
+ */
+function handleAdminMessage(event) {
+    const envelope = JSON.parse(event.data);
+
+    switch (envelope.type) {
+        case 'snapshot':
+            snapshot = envelope.payload;
+            renderSnapshot();
+            break;
+        case 'result':
+            displayMessage(envelope.payload.message, envelope.payload.ok ? 'success' : 'error');
+            break;
+        default:
+            console.log('Unhandled admin message', envelope);
+    }
+}
+
+/**
+ * Send an admin action
+ * @param {string} type - Action (kick, rename, send, pair)
+ * @param {Object} payload - Action data
+ */
+function sendAction(type, payload = {}) {
+    if (!adminSocket || adminSocket.readyState !== WebSocket.OPEN) {
+        displayMessage('Not connected to admin channel', 'error');
+        return;
+    }
+    adminSocket.send(JSON.stringify({ type, payload, id: `admin_${requestCounter++}` }));
+}
+
+// ===========================
+// Rendering
+// ===========================
+
+/**
+ * Format a duration for display
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. "1h 02m" or "45s"
+ */
+function formatDuration(ms) {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+
+    if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    if (minutes > 0) return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+    return `${seconds}s`;
+}
+
+/**
+ * Create a table cell
+ * @param {string} text - Cell text
+ * @param {string} [className] - Optional class
+ * @returns {HTMLTableCellElement} Cell
+ */
+function createCell(text, className) {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    if (className) cell.className = className;
+    return cell;
+}
+
+/**
+ * Create a button
+ * @param {string} label - Button text
+ * @param {Function} onClick - Click handler
+ * @param {string} [extraClass] - Optional extra class
+ * @returns {HTMLButtonElement} Button
+ */
+function createButton(label, onClick, extraClass) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = extraClass ? `action-btn ${extraClass}` : 'action-btn';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Build the table row of a client
+ * @param {Object} client - Client description from the snapshot
+ * @returns {HTMLTableRowElement} Row
+ */
+function createClientRow(client) {
+    const row = document.createElement('tr');
+
+    // Name and id
+    const nameCell = document.createElement('td');
+    const name = document.createElement('span');
+    name.className = 'client-name';
+    name.textContent = client.name || client.id;
+    const id = document.createElement('span');
+    id.className = 'client-id';
+    id.textContent = client.name ? `${client.id} · ${client.ip}` : client.ip;
+    nameCell.append(name, id);
+    row.appendChild(nameCell);
+
+    row.appendChild(createCell(client.type));
+    row.appendChild(createCell(client.room));
+    row.appendChild(createCell(client.protocol ? `v${client.protocol}` : 'legacy'));
+
+    const uptime = createCell(formatDuration(Date.now() - new Date(client.connectedAt).getTime()));
+    uptime.dataset.since = client.connectedAt;
+    row.appendChild(uptime);
+
+    const counts = [`${client.messageCount}`];
+    if (client.invalidMessageCount) counts.push(`${client.invalidMessageCount} invalid`);
+    if (client.throttledCount) counts.push(`${client.throttledCount} throttled`);
+    row.appendChild(createCell(counts.join(' · ')));
+
+    const activity = createCell(`${formatDuration(Date.now() - new Date(client.lastActivityAt).getTime())} ago`, 'muted');
+    activity.dataset.lastActivity = client.lastActivityAt;
+    row.appendChild(activity);
+
+    // Actions: direct color, rename, kick
+    const actionsCell = document.createElement('td');
+    const actions = document.createElement('div');
+    actions.className = 'client-actions';
+
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.className = 'color-input';
+    colorInput.value = '#ff0000';
+    colorInput.title = 'Color to send to this client only';
+
+    actions.append(
+        colorInput,
+        createButton('Send', () => sendAction('send', {
+            clientId: client.id,
+            command: { type: 'color', payload: { color: colorInput.value.toUpperCase() } }
+        })),
+        createButton('Rename', () => {
+            const newName = window.prompt(`Name for ${client.id}`, client.name || '');
+            if (newName !== null) {
+                sendAction('rename', { clientId: client.id, name: newName });
+            }
+        }),
+        createButton('Kick', () => {
+            if (window.confirm(`Disconnect ${client.name || client.id}?`)) {
+                sendAction('kick', { clientId: client.id });
+            }
+        }, 'danger')
+    );
+    actionsCell.appendChild(actions);
+    row.appendChild(actionsCell);
+
+    return row;
+}
+
+/**
+ * Render the latest snapshot
+ */
+function renderSnapshot() {
+    // Keep the color picked in a row that is being re-rendered
+    const pickedColors = new Map();
+    clientRows.querySelectorAll('tr').forEach((row) => {
+        pickedColors.set(row.dataset.clientId, row.querySelector('.color-input').value);
+    });
+
+    clientRows.replaceChildren(...snapshot.clients.map((client) => {
+        const row = createClientRow(client);
+        row.dataset.clientId = client.id;
+        if (pickedColors.has(client.id)) {
+            row.querySelector('.color-input').value = pickedColors.get(client.id);
+        }
+        return row;
+    }));
+
+    emptyMessage.hidden = snapshot.clients.length > 0;
+    clientCount.textContent = snapshot.clients.length;
+    roomCount.textContent = snapshot.rooms.length;
+    throttledCount.textContent = snapshot.throttling.throttled;
+    pairButton.hidden = !snapshot.authEnabled;
+}
+
+/**
+ * Refresh the relative times (uptime, last activity) without a new snapshot
+ */
+function refreshTimes() {
+    clientRows.querySelectorAll('[data-since]').forEach((cell) => {
+        cell.textContent = formatDuration(Date.now() - new Date(cell.dataset.since).getTime());
+    });
+    clientRows.querySelectorAll('[data-last-activity]').forEach((cell) => {
+        cell.textContent = `${formatDuration(Date.now() - new Date(cell.dataset.lastActivity).getTime())} ago`;
+    });
+}
+
+// ===========================
+// UI Update Functions
+// ===========================
+
+/**
+ * Update connection status display
+ * @param {boolean} isConnected - Connection status
+ */
+function updateConnectionStatus(isConnected) {
+    connectionStatus.textContent = isConnected ? 'Connected' : 'Disconnected';
+    connectionStatus.classList.toggle('connected', isConnected);
+    connectionStatus.classList.toggle('disconnected', !isConnected);
+}
+
+/**
+ * Display message to user
+ * @param {string} message - Message text
+ * @param {string} type - Message type (success, error, info)
+ */
+function displayMessage(message, type = 'info') {
+    messageDisplay.textContent = message;
+    messageDisplay.classList.remove('success', 'error');
+    if (type === 'success' || type === 'error') {
+        messageDisplay.classList.add(type);
+    }
+}
+
+// ===========================
+// Initialization
+// ===========================
+
+/**
+ * Initialize the admin console
+ */
+function init() {
+    secretForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        connectAdmin(secretInput.value);
+    });
+
+    pairButton.addEventListener('click', () => sendAction('pair'));
+
+    setInterval(refreshTimes, 1000);
+
+    // Reuse the secret for this browser session
+    const savedSecret = sessionStorage.getItem(SECRET_STORAGE_KEY);
+    if (savedSecret) {
+        connectAdmin(savedSecret);
+    } else {
+        secretInput.focus();
+    }
+}
+
+init();
@@ -1,6 +1,6 @@
 /**
  * Configuration for WebSocket connection
- * Change WS_SERVER_URL based on your deployment
+ * Change WS_SERVER_URL based on your deployment; users can pick another server in the page
  */
 
 const CONFIG = {
@@ -9,5 +9,16 @@ const CONFIG = {
     
     WS_SERVER_URL: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
         ? 'ws://localhost:8080'  // Local development
-        : 'wss://vrcia-controller-site.onrender.com'  // Production Render WebSocket
+        : 'wss://vrcia-controller-site.onrender.com',  // Production Render WebSocket
+    
+    // Servers offered in the connection settings next to the profiles saved in the browser.
+    // A link can also pick a server for one visit: ?server=wss://staging.example.com or ?server=Local
+    SERVER_PROFILES: [
+        { name: 'Local', url: 'ws://localhost:8080' },
+        { name: 'Production', url: 'wss://vrcia-controller-site.onrender.com' }
+    ],
+    
+    // Colors clicked while the connection is down are sent once it is back:
+    // 'latest' sends only the last one, 'all' sends every click in order
+    OUTBOX_POLICY: 'latest'
 };
@@ -0,0 +1,418 @@
+/**
+ * Connection Settings
+ * Picks the WebSocket server the controller talks to: the automatic default from config.js,
+ * the servers listed in CONFIG.SERVER_PROFILES, profiles saved in this browser, or a
+ * one-off ?server= link. Uses switchServer() and displayMessage() from script.js.
+ */
+
+// ===========================
+// Configuration
+// ===========================
+
+const SERVER_PROFILES_STORAGE_KEY = 'colorController.serverProfiles';
+const ACTIVE_SERVER_STORAGE_KEY = 'colorController.server';
+const MAX_PROFILE_NAME_LENGTH = 24;
+const MAX_SERVER_PROFILES = 20;
+const CUSTOM_SERVER_OPTION = 'custom'; // Select value of a server given by a ?server= link
+
+// Built-in servers: the automatic choice of config.js first, then the ones it lists
+// The automatic one is stored by its English name and shown translated (see renderServerSelect())
+const BUILT_IN_SERVER_PROFILES = [{ name: 'Automatic', url: CONFIG.WS_SERVER_URL }]
+    .concat(CONFIG.SERVER_PROFILES || [])
+    .map((profile) => ({ name: profile.name, url: normalizeServerUrl(profile.url), builtIn: true }))
+    .filter((profile) => profile.url);
+
+// ===========================
+// State Management
+// ===========================
+
+let serverProfiles = []; // Profiles saved in this browser: [{name, url}]
+let activeServerName = BUILT_IN_SERVER_PROFILES[0].name; // Profiles are picked by name: two may share a URL
+let serverOverride = null; // URL from a ?server= link, used for this visit only
+
+// ===========================
+// DOM Elements
+// ===========================
+
+const serverSelect = document.getElementById('serverSelect');
+const serverSettingsButton = document.getElementById('serverSettingsBtn');
+const serverPanel = document.getElementById('serverPanel');
+const serverProfileForm = document.getElementById('serverProfileForm');
+const serverNameInput = document.getElementById('serverNameInput');
+const serverUrlInput = document.getElementById('serverUrlInput');
+const deleteServerButton = document.getElementById('deleteServerBtn');
+const serverHint = document.getElementById('serverHint');
+const serverUrlDisplay = document.getElementById('serverUrlDisplay');
+const virtualReceiverLink = document.getElementById('virtualReceiverLink');
+
+// ===========================
+// Server URLs
+// ===========================
+
+/**
+ * Normalize a server address typed by the user or found in a link
+ * Accepts ws://, wss://, http:// and https:// URLs, or a bare host[:port] (ws:// is assumed).
+ * @param {string} value - Raw address (e.g. '192.168.1.20:8080')
+ * @returns {string|null} WebSocket URL without query string, or null if invalid
+ */
+function normalizeServerUrl(value) {
+    let text = String(value || '').trim();
+    if (!text) return null;
+    if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(text)) {
+        text = `ws://${text}`;
+    }
+
+    try {
+        const url = new URL(text);
+        if (url.protocol === 'http:') url.protocol = 'ws:';
+        if (url.protocol === 'https:') url.protocol = 'wss:';
+        if ((url.protocol !== 'ws:' && url.protocol !== 'wss:') || !url.hostname || url.username || url.password) {
+            return null;
+        }
+        // Keep a path for servers behind a proxy (e.g. wss://lab.example.com/relay)
+        return `${url.protocol}//${url.host}${url.pathname === '/' ? '' : url.pathname}`;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get the URL of the server the controller connects to
+ * Used by script.js to build the WebSocket and REST URLs.
+ * @returns {string} WebSocket URL (e.g. 'wss://vrcia-controller-site.onrender.com')
+ */
+function getServerUrl() {
+    return serverOverride || getActiveServerProfile().url;
+}
+
+/**
+ * Check whether the server in use only came from a ?server= link or an unnamed address
+ * script.js doesn't send the access codes saved for other servers to it.
+ * @returns {boolean} True if no server of the list has its URL
+ */
+function isServerFromLink() {
+    return Boolean(serverOverride) && !getAllServerProfiles().some((profile) => profile.url === serverOverride);
+}
+
+/**
+ * Check whether the browser will refuse to open a URL from this page
+ * Pages served over https can't open ws:// connections, except to localhost.
+ * @param {string} url - WebSocket URL
+ * @returns {boolean} True if the connection would be blocked as mixed content
+ */
+function isBlockedAsMixedContent(url) {
+    const { protocol, hostname } = new URL(url);
+    return window.location.protocol === 'https:' && protocol === 'ws:' &&
+        hostname !== 'localhost' && hostname !== '127.0.0.1';
+}
+
+// ===========================
+// Profiles
+// ===========================
+
+/**
+ * Get every server that can be picked
+ * @returns {Object[]} Built-in servers, then saved profiles: [{name, url, builtIn}]
+ */
+function getAllServerProfiles() {
+    return BUILT_IN_SERVER_PROFILES.concat(serverProfiles);
+}
+
+/**
+ * Get the profile in use (ignoring a ?server= link)
+ * @returns {Object} Profile {name, url, builtIn}
+ */
+function getActiveServerProfile() {
+    return getAllServerProfiles().find((profile) => profile.name === activeServerName) || BUILT_IN_SERVER_PROFILES[0];
+}
+
+/**
+ * Load the saved profiles and the last server used
+ */
+function loadServerProfiles() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SERVER_PROFILES_STORAGE_KEY)) || [];
+        serverProfiles = stored
+            .map((profile) => ({
+                name: String(profile.name || '').trim().slice(0, MAX_PROFILE_NAME_LENGTH),
+                url: normalizeServerUrl(profile.url)
+            }))
+            .filter((profile) => profile.name && profile.url)
+            .slice(0, MAX_SERVER_PROFILES);
+    } catch (error) {
+        serverProfiles = [];
+    }
+
+    try {
+        const lastName = localStorage.getItem(ACTIVE_SERVER_STORAGE_KEY);
+        if (getAllServerProfiles().some((profile) => profile.name === lastName)) {
+            activeServerName = lastName;
+        }
+    } catch (error) {
+        // Keep the automatic server
+    }
+}
+
+/**
+ * Save the profiles and the server in use
+ */
+function storeServerProfiles() {
+    try {
+        localStorage.setItem(SERVER_PROFILES_STORAGE_KEY, JSON.stringify(serverProfiles));
+        localStorage.setItem(ACTIVE_SERVER_STORAGE_KEY, activeServerName);
+    } catch (error) {
+        console.warn('Could not save server profiles:', error);
+    }
+}
+
+/**
+ * Find the saved profile with a name (built-in servers are not included)
+ * @param {string} name - Profile name
+ * @returns {number} Index in serverProfiles, or -1
+ */
+function findServerProfile(name) {
+    const wanted = name.toLowerCase();
+    return serverProfiles.findIndex((profile) => profile.name.toLowerCase() === wanted);
+}
+
+/**
+ * Resolve a ?server= link: a URL, or the name of a built-in server or saved profile
+ * @param {string} value - Query parameter value
+ * @returns {string|null} Server URL, or null if it is neither
+ */
+function resolveServerParam(value) {
+    const wanted = value.trim().toLowerCase();
+    const profile = getAllServerProfiles().find((entry) => entry.name.toLowerCase() === wanted);
+    return profile ? profile.url : normalizeServerUrl(value);
+}
+
+// ===========================
+// Rendering
+// ===========================
+
+/**
+ * Get the profile behind the selected entry of the server picker
+ * @returns {Object|null} Profile, or null for a ?server= link
+ */
+function getSelectedServerProfile() {
+    return serverSelect.value === CUSTOM_SERVER_OPTION
+        ? null
+        : getAllServerProfiles()[parseInt(serverSelect.value, 10)] || null;
+}
+
+/**
+ * Fill the server picker
+ * Also called when the language changes, for the names of the automatic server and ?server= links.
+ */
+function renderServerSelect() {
+    const options = getAllServerProfiles().map((profile, index) => {
+        const name = profile === BUILT_IN_SERVER_PROFILES[0] ? t('server.automatic') : profile.name;
+        return new Option(`${name} (${new URL(profile.url).host})`, String(index));
+    });
+
+    if (serverOverride) {
+        options.push(new Option(t('server.fromLink', { host: new URL(serverOverride).host }), CUSTOM_SERVER_OPTION));
+        serverSelect.replaceChildren(...options);
+        serverSelect.value = CUSTOM_SERVER_OPTION;
+    } else {
+        serverSelect.replaceChildren(...options);
+        serverSelect.value = String(getAllServerProfiles().indexOf(getActiveServerProfile()));
+    }
+}
+
+/**
+ * Fill the server picker and show the server in use
+ */
+function renderServerSettings() {
+    const url = getServerUrl();
+    renderServerSelect();
+
+    const selected = getSelectedServerProfile();
+    deleteServerButton.disabled = !selected || selected.builtIn;
+    serverUrlDisplay.textContent = url;
+
+    let hint = 'server.using';
+    if (isBlockedAsMixedContent(url)) {
+        hint = 'server.mixedContent';
+    } else if (isServerFromLink()) {
+        hint = 'server.linkToken';
+    }
+    localize(serverHint, hint, { url });
+    serverHint.classList.toggle('warning', isBlockedAsMixedContent(url));
+}
+
+/**
+ * Fill the profile form with the selected server, ready to be copied or edited
+ */
+function fillServerProfileForm() {
+    const selected = getSelectedServerProfile();
+    serverNameInput.value = selected && !selected.builtIn ? selected.name : '';
+    serverUrlInput.value = getServerUrl();
+}
+
+// ===========================
+// Switching Servers
+// ===========================
+
+/**
+ * Use another profile and reconnect the current room if its server changed
+ * @param {string} name - Profile name
+ * @param {string} [previousUrl] - Server used until now (pass it when the profile itself was just edited)
+ */
+function selectServer(name, previousUrl = getServerUrl()) {
+
+    // Picking a server ends a ?server= link visit; drop it from the address bar so a reload keeps the choice
+    if (serverOverride) {
+        serverOverride = null;
+        const pageUrl = new URL(window.location.href);
+        pageUrl.searchParams.delete('server');
+        window.history.replaceState(null, '', pageUrl);
+    }
+
+    activeServerName = name;
+    storeServerProfiles();
+    renderServerSettings();
+
+    if (getServerUrl() !== previousUrl) {
+        switchServer();
+    }
+}
+
+// ===========================
+// Connection Settings Event Handlers
+// ===========================
+
+/**
+ * Connect to the server picked in the list
+ */
+function handleServerSelect() {
+    const selected = getSelectedServerProfile();
+    if (selected) {
+        selectServer(selected.name);
+        fillServerProfileForm();
+    }
+}
+
+/**
+ * Show or hide the profile editor
+ */
+function handleServerSettingsToggle() {
+    serverPanel.hidden = !serverPanel.hidden;
+    localize(serverSettingsButton, serverPanel.hidden ? 'server.settings' : 'common.done');
+    serverSettingsButton.setAttribute('aria-expanded', String(!serverPanel.hidden));
+    if (!serverPanel.hidden) {
+        fillServerProfileForm();
+        serverUrlInput.focus();
+    }
+}
+
+/**
+ * Save a profile (a saved profile with the same name is updated) and connect to it
+ * @param {Event} event - Submit event
+ */
+function handleSaveServerProfile(event) {
+    event.preventDefault();
+
+    const url = normalizeServerUrl(serverUrlInput.value);
+    if (!url) {
+        displayMessage(t('server.invalidAddress'), 'error');
+        serverUrlInput.focus();
+        return;
+    }
+
+    const previousUrl = getServerUrl();
+    const name = serverNameInput.value.trim().slice(0, MAX_PROFILE_NAME_LENGTH);
+    if (name) {
+        if (BUILT_IN_SERVER_PROFILES.some((profile) => profile.name.toLowerCase() === name.toLowerCase())) {
+            displayMessage(t('server.builtInName', { name }), 'error');
+            return;
+        }
+
+        const existing = findServerProfile(name);
+        if (existing !== -1) {
+            serverProfiles[existing].url = url;
+        } else if (serverProfiles.length >= MAX_SERVER_PROFILES) {
+            displayMessage(t('server.tooMany', { max: MAX_SERVER_PROFILES }), 'error');
+            return;
+        } else {
+            serverProfiles.push({ name, url });
+        }
+        selectServer(existing !== -1 ? serverProfiles[existing].name : name, previousUrl);
+        displayMessage(t('server.saved', { name }), 'success');
+        return;
+    }
+
+    // Without a name the address is used for this visit only, like a ?server= link
+    const known = getAllServerProfiles().find((profile) => profile.url === url);
+    if (known) {
+        selectServer(known.name);
+    } else if (url !== previousUrl) {
+        serverOverride = url;
+        renderServerSettings();
+        switchServer();
+    }
+}
+
+/**
+ * Delete the selected saved profile and go back to the automatic server
+ */
+function handleDeleteServerProfile() {
+    const selected = getSelectedServerProfile();
+    if (!selected || selected.builtIn) return;
+    if (!window.confirm(t('server.confirmDelete', { name: selected.name }))) return;
+
+    const previousUrl = getServerUrl();
+    serverProfiles.splice(findServerProfile(selected.name), 1);
+    selectServer(BUILT_IN_SERVER_PROFILES[0].name, previousUrl);
+    fillServerProfileForm();
+}
+
+/**
+ * Open the virtual receiver on the current server and room
+ * The link is completed on click, so it follows server and room changes.
+ */
+function handleVirtualReceiverClick() {
+    const params = new URLSearchParams({ server: getServerUrl(), room: currentRoom || '' });
+    virtualReceiverLink.href = `receiver/?${params}`;
+}
+
+// ===========================
+// Initialization
+// ===========================
+
+/**
+ * Load the profiles and apply a ?server= link
+ * Runs before script.js connects, so the first connection already uses the right server.
+ */
+function initConnectionSettings() {
+    loadServerProfiles();
+
+    const serverParam = new URLSearchParams(window.location.search).get('server');
+    if (serverParam) {
+        serverOverride = resolveServerParam(serverParam);
+        if (!serverOverride) {
+            // Show the bad address so it can be fixed instead of silently using another server
+            console.warn(`Ignoring invalid ?server= value: ${serverParam}`);
+            serverPanel.hidden = false;
+            localize(serverSettingsButton, 'common.done');
+            serverSettingsButton.setAttribute('aria-expanded', 'true');
+        }
+    }
+
+    renderServerSettings();
+    fillServerProfileForm();
+    if (serverParam && !serverOverride) {
+        serverUrlInput.value = serverParam;
+        localize(serverHint, 'server.badLink', { value: serverParam, url: getServerUrl() });
+        serverHint.classList.add('warning');
+    }
+
+    serverSelect.addEventListener('change', handleServerSelect);
+    serverSettingsButton.addEventListener('click', handleServerSettingsToggle);
+    serverProfileForm.addEventListener('submit', handleSaveServerProfile);
+    deleteServerButton.addEventListener('click', handleDeleteServerProfile);
+    virtualReceiverLink.addEventListener('click', handleVirtualReceiverClick);
+    document.addEventListener('localechange', renderServerSelect);
+}
+
+initConnectionSettings();
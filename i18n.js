@@ -0,0 +1,273 @@
+/**
+ * Translations
+ * Shows the controller in the browser's language, or in the one picked in the header (saved
+ * in this browser). Catalogs live in locales/; English fills in keys a catalog lacks.
+ * Static texts of index.html carry data-i18n attributes; the other scripts get their texts
+ * from t() and redraw what they rendered on the 'localechange' event.
+ */
+
+// ===========================
+// Configuration
+// ===========================
+
+const LANGUAGE_STORAGE_KEY = 'colorController.language';
+const DEFAULT_LANGUAGE = 'en';
+const CATALOGS = {
+    en: LOCALE_EN,
+    fr: LOCALE_FR
+};
+const BROWSER_LANGUAGE_OPTION = ''; // Select value following the browser's language
+const TRANSLATED_ATTRIBUTES = ['placeholder', 'title', 'aria-label'];
+
+// Built-in color names of every catalog -> color id, so "Rouge" and "Red" are both the red of
+// the default palette whatever language it was saved in
+const COLOR_IDS = new Map();
+Object.values(CATALOGS).forEach((catalog) => {
+    Object.entries(catalog.colors).forEach(([id, name]) => COLOR_IDS.set(name.toLowerCase(), id));
+});
+
+// ===========================
+// State Management
+// ===========================
+
+let currentLanguage = DEFAULT_LANGUAGE;
+
+// ===========================
+// DOM Elements
+// ===========================
+
+const languageSelect = document.getElementById('languageSelect');
+
+// ===========================
+// Language Choice
+// ===========================
+
+/**
+ * Get the first language of the browser that has a catalog
+ * @returns {string} Language code (e.g. 'fr' for fr-CA)
+ */
+function getBrowserLanguage() {
+    const preferred = navigator.languages && navigator.languages.length > 0
+        ? navigator.languages
+        : [navigator.language];
+    const code = preferred
+        .map((tag) => String(tag || '').split('-')[0].toLowerCase())
+        .find((language) => CATALOGS[language]);
+    return code || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Get the language picked by the operator in this browser
+ * @returns {string|null} Language code, or null to follow the browser
+ */
+function getStoredLanguage() {
+    try {
+        const stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+        return CATALOGS[stored] ? stored : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get the language the page is shown in
+ * @returns {string} Language code
+ */
+function getLanguage() {
+    return currentLanguage;
+}
+
+/**
+ * Show the page in another language and remember the choice
+ * @param {string} language - Language code, or '' to follow the browser again
+ */
+function setLanguage(language) {
+    try {
+        if (CATALOGS[language]) {
+            localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+        } else {
+            localStorage.removeItem(LANGUAGE_STORAGE_KEY);
+        }
+    } catch (error) {
+        console.warn('Could not save language:', error);
+    }
+
+    currentLanguage = CATALOGS[language] ? language : getBrowserLanguage();
+    document.documentElement.lang = currentLanguage;
+    applyTranslations(document);
+    renderLanguageSelect();
+
+    // Let the other scripts redraw the texts they rendered
+    document.dispatchEvent(new CustomEvent('localechange', { detail: { language: currentLanguage } }));
+}
+
+// ===========================
+// Translating
+// ===========================
+
+/**
+ * Translate a text
+ * @param {string} key - Catalog key (e.g. 'connection.connected')
+ * @param {Object} [params] - Values of the {placeholders}; count picks the plural form
+ * @returns {string} Text in the current language, or the key if no catalog has it
+ */
+function t(key, params = {}) {
+    let message = CATALOGS[currentLanguage].messages[key];
+    if (message === undefined) {
+        message = CATALOGS[DEFAULT_LANGUAGE].messages[key];
+    }
+    if (message === undefined) {
+        console.warn(`Missing translation: ${key}`);
+        return key;
+    }
+
+    if (typeof message === 'object') {
+        const form = new Intl.PluralRules(currentLanguage).select(Number(params.count) || 0);
+        message = message[form] || message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        (params[name] === undefined ? placeholder : String(params[name])));
+}
+
+/**
+ * Check whether a catalog has a text, for keys built from what the server sends
+ * @param {string} key - Catalog key (e.g. 'error.forbidden')
+ * @returns {boolean} True if the current or the default catalog has it
+ */
+function hasTranslation(key) {
+    return CATALOGS[currentLanguage].messages[key] !== undefined ||
+        CATALOGS[DEFAULT_LANGUAGE].messages[key] !== undefined;
+}
+
+/**
+ * Translate the name of a built-in palette color
+ * @param {string} name - Color name as saved in the palette (e.g. 'Rouge')
+ * @returns {string} Name in the current language, or the name itself for custom colors
+ */
+function localizeColorName(name) {
+    const id = COLOR_IDS.get(String(name).toLowerCase());
+    if (!id) return name;
+    return CATALOGS[currentLanguage].colors[id] || CATALOGS[DEFAULT_LANGUAGE].colors[id];
+}
+
+/**
+ * Read the {placeholder} values kept on an element
+ * @param {Element} element - Translated element
+ * @returns {Object} Values, empty if none
+ */
+function readTranslationParams(element) {
+    try {
+        return JSON.parse(element.getAttribute('data-i18n-params')) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Keep the {placeholder} values of an element, shared by its text and attributes
+ * @param {Element} element - Translated element
+ * @param {Object} [params] - Values
+ */
+function storeTranslationParams(element, params) {
+    if (params) {
+        element.setAttribute('data-i18n-params', JSON.stringify(params));
+    } else {
+        element.removeAttribute('data-i18n-params');
+    }
+}
+
+/**
+ * Set the text of an element, translated again when the language changes
+ * @param {Element} element - Element
+ * @param {string} key - Catalog key
+ * @param {Object} [params] - Values of the {placeholders}
+ */
+function localize(element, key, params) {
+    element.setAttribute('data-i18n', key);
+    storeTranslationParams(element, params);
+    element.textContent = t(key, params);
+}
+
+/**
+ * Set an attribute of an element, translated again when the language changes
+ * @param {Element} element - Element
+ * @param {string} attribute - One of TRANSLATED_ATTRIBUTES
+ * @param {string} key - Catalog key
+ * @param {Object} [params] - Values of the {placeholders}
+ */
+function localizeAttribute(element, attribute, key, params) {
+    element.setAttribute(`data-i18n-${attribute}`, key);
+    if (params) {
+        storeTranslationParams(element, params);
+    }
+    element.setAttribute(attribute, t(key, params));
+}
+
+/**
+ * Translate the texts and attributes marked with data-i18n, data-i18n-title, ...
+ * @param {Document|Element} root - Part of the page to translate
+ */
+function applyTranslations(root) {
+    root.querySelectorAll('[data-i18n]').forEach((element) => {
+        element.textContent = t(element.getAttribute('data-i18n'), readTranslationParams(element));
+    });
+    TRANSLATED_ATTRIBUTES.forEach((attribute) => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach((element) => {
+            const key = element.getAttribute(`data-i18n-${attribute}`);
+            element.setAttribute(attribute, t(key, readTranslationParams(element)));
+        });
+    });
+}
+
+// ===========================
+// Language Switcher
+// ===========================
+
+/**
+ * Fill the language picker: the browser's language, then each catalog in its own language
+ */
+function renderLanguageSelect() {
+    const browserLanguage = CATALOGS[getBrowserLanguage()].name;
+    languageSelect.replaceChildren(
+        new Option(t('language.browser', { language: browserLanguage }), BROWSER_LANGUAGE_OPTION),
+        ...Object.entries(CATALOGS).map(([code, catalog]) => new Option(catalog.name, code)));
+    languageSelect.value = getStoredLanguage() || BROWSER_LANGUAGE_OPTION;
+}
+
+/**
+ * Switch to the language picked in the list
+ */
+function handleLanguageSelect() {
+    setLanguage(languageSelect.value);
+}
+
+/**
+ * Follow a change of the browser's languages, unless the operator picked one
+ */
+function handleBrowserLanguageChange() {
+    if (!getStoredLanguage() && getBrowserLanguage() !== currentLanguage) {
+        setLanguage(BROWSER_LANGUAGE_OPTION);
+    } else {
+        renderLanguageSelect();
+    }
+}
+
+// ===========================
+// Initialization
+// ===========================
+
+/**
+ * Pick the language and translate the page
+ * Runs before the other scripts, so they render their texts in that language right away.
+ */
+function initI18n() {
+    currentLanguage = getStoredLanguage() || getBrowserLanguage();
+    document.documentElement.lang = currentLanguage;
+    applyTranslations(document);
+    renderLanguageSelect();
+
+    languageSelect.addEventListener('change', handleLanguageSelect);
+    window.addEventListener('languagechange', handleBrowserLanguageChange);
+}
+
+initI18n();
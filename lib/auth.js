@@ -0,0 +1,280 @@
+/**
+ * Handshake Authentication
+ * Validates shared tokens (from an env var or a local file) and short-lived pairing codes,
+ * locking out addresses that keep presenting wrong ones
+ */
+
+// ===========================
+// Import Dependencies
+// ===========================
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+// ===========================
+// Configuration
+// ===========================
+
+const DEFAULT_PAIRING_CODE_TTL = 5 * 60 * 1000; // 5 minutes
+const PAIRING_CODE_LENGTH = 8; // Digits, so headsets can type them on a keypad
+const DEFAULT_MAX_FAILED_ATTEMPTS = 10; // Wrong codes per address before it is locked out...
+const DEFAULT_LOCKOUT_DURATION = 15 * 60 * 1000; // ...for 15 minutes (also how long failures are remembered)
+
+// ===========================
+// Token Loading
+// ===========================
+
+/**
+ * Parse a list of tokens separated by commas or newlines
+ * Blank entries and lines starting with # are ignored
+ * @param {string} text - Raw token list
+ * @returns {string[]} Tokens
+ */
+function parseTokenList(text) {
+    return String(text || '')
+        .split(/[\n,]/)
+        .map((token) => token.trim())
+        .filter((token) => token && !token.startsWith('#'));
+}
+
+/**
+ * Load shared tokens from an inline list and/or a file
+ * @param {string} [tokens] - Comma separated tokens (e.g. process.env.AUTH_TOKENS)
+ * @param {string} [tokensFile] - Path to a file with one token per line
+ * @returns {Set<string>} Shared tokens
+ */
+function loadTokens(tokens, tokensFile) {
+    const result = new Set(parseTokenList(tokens));
+
+    if (tokensFile) {
+        parseTokenList(fs.readFileSync(tokensFile, 'utf8')).forEach((token) => result.add(token));
+    }
+
+    return result;
+}
+
+/**
+ * Compare two strings in constant time
+ * Both values are hashed first so inputs of different lengths can be compared
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// ===========================
+// Authenticator
+// ===========================
+
+/**
+ * Create an authenticator
+ * Authentication is only enforced when at least one shared token is configured;
+ * pairing codes are issued by holders of a shared token.
+ * Without a limit, all pairing codes could be tried within one code lifetime, so an address
+ * (usually the client IP) that presents too many wrong credentials is locked out for a while.
+ * @param {Object} options - Authenticator options
+ * @param {string} [options.tokens] - Comma separated shared tokens
+ * @param {string} [options.tokensFile] - File with one shared token per line
+ * @param {number} [options.pairingCodeTtl] - Pairing code lifetime in milliseconds
+ * @param {number} [options.maxFailedAttempts] - Wrong credentials per address before a lockout
+ * @param {number} [options.lockoutDuration] - Lockout length in milliseconds
+ * @returns {Object} Authenticator
+ */
+function createAuthenticator(options = {}) {
+    const sharedTokens = loadTokens(options.tokens, options.tokensFile);
+    const pairingCodeTtl = options.pairingCodeTtl || DEFAULT_PAIRING_CODE_TTL;
+    const maxFailedAttempts = options.maxFailedAttempts || DEFAULT_MAX_FAILED_ATTEMPTS;
+    const lockoutDuration = options.lockoutDuration || DEFAULT_LOCKOUT_DURATION;
+
+    // Active pairing codes: code -> expiry timestamp
+    const pairingCodes = new Map();
+
+    // Wrong credentials per address: address -> {count, since, lockedUntil}
+    const failures = new Map();
+
+    /**
+     * Forget pairing codes that have expired
+     */
+    function pruneExpiredCodes() {
+        const now = Date.now();
+        pairingCodes.forEach((expiresAt, code) => {
+            if (expiresAt <= now) {
+                pairingCodes.delete(code);
+            }
+        });
+    }
+
+    /**
+     * Forget failures older than the lockout duration and lockouts that are over
+     */
+    function pruneFailures() {
+        const now = Date.now();
+        failures.forEach((entry, address) => {
+            if (entry.lockedUntil <= now && entry.since + lockoutDuration <= now) {
+                failures.delete(address);
+            }
+        });
+    }
+
+    /**
+     * Get the time left before a locked out address may try again
+     * @param {string} [address] - Client address
+     * @returns {number} Milliseconds (0 if the address is not locked out)
+     */
+    function getLockoutRemaining(address) {
+        const entry = address && failures.get(address);
+        return entry ? Math.max(0, entry.lockedUntil - Date.now()) : 0;
+    }
+
+    /**
+     * Count a wrong credential, locking the address out once it has too many
+     * @param {string} [address] - Client address (failures without one are not counted)
+     * @returns {boolean} True if this failure started a lockout
+     */
+    function recordFailure(address) {
+        if (!address) return false;
+        pruneFailures();
+
+        const now = Date.now();
+        const entry = failures.get(address) || { count: 0, since: now, lockedUntil: 0 };
+        entry.count++;
+        failures.set(address, entry);
+
+        if (entry.count < maxFailedAttempts) return false;
+        // A new series of failures starts once the lockout ends
+        entry.count = 0;
+        entry.since = now;
+        entry.lockedUntil = now + lockoutDuration;
+        return true;
+    }
+
+    /**
+     * Run a credential check unless the address is locked out, counting it if it fails
+     * @param {string} [address] - Client address
+     * @param {Function} check - Returns the verification result
+     * @returns {{ok: boolean, reason?: string, lockedOut?: boolean, retryAfter?: number}} Verification result
+     */
+    function checkThrottled(address, check) {
+        // Even a right credential is refused during a lockout, or it would not slow down guessing
+        const result = getLockoutRemaining(address) > 0 ? null : check();
+        if (result && result.ok) {
+            failures.delete(address);
+            return result;
+        }
+        if (result && !recordFailure(address)) {
+            return result;
+        }
+
+        const remaining = getLockoutRemaining(address);
+        return {
+            ok: false,
+            reason: `Too many failed attempts: try again in ${Math.ceil(remaining / 60000)} min`,
+            lockedOut: true,
+            retryAfter: Math.ceil(remaining / 1000)
+        };
+    }
+
+    /**
+     * Check whether authentication is enforced
+     * @returns {boolean} True if shared tokens are configured
+     */
+    function isEnabled() {
+        return sharedTokens.size > 0;
+    }
+
+    /**
+     * Check a shared token
+     * @param {string} token - Token to check
+     * @returns {boolean} True if the token is one of the shared tokens
+     */
+    function isSharedToken(token) {
+        if (!token) return false;
+        let match = false;
+        sharedTokens.forEach((sharedToken) => {
+            if (safeEqual(token, sharedToken)) {
+                match = true;
+            }
+        });
+        return match;
+    }
+
+    /**
+     * Verify a credential presented at handshake or with a REST request
+     * @param {string|null} credential - Shared token or pairing code
+     * @param {string} [address] - Client address, for the lockout after repeated failures
+     * @returns {{ok: boolean, reason?: string, lockedOut?: boolean, retryAfter?: number}} Verification result
+     *   (lockedOut and retryAfter, in seconds, are set once the address is locked out)
+     */
+    function verify(credential, address) {
+        if (!isEnabled()) {
+            return { ok: true };
+        }
+
+        // A missing code is not a guess, so it doesn't count towards the lockout
+        if (!credential && getLockoutRemaining(address) === 0) {
+            return { ok: false, reason: 'Authentication required: missing access code' };
+        }
+
+        return checkThrottled(address, () => {
+            if (isSharedToken(credential)) {
+                return { ok: true };
+            }
+
+            pruneExpiredCodes();
+            if (pairingCodes.has(credential)) {
+                return { ok: true };
+            }
+
+            return { ok: false, reason: 'Invalid or expired access code' };
+        });
+    }
+
+    /**
+     * Verify a shared token (pairing codes are not accepted)
+     * @param {string|null} token - Token to check
+     * @param {string} [address] - Client address, for the lockout after repeated failures
+     * @returns {{ok: boolean, reason?: string, lockedOut?: boolean, retryAfter?: number}} Verification result
+     */
+    function verifySharedToken(token, address) {
+        return checkThrottled(address, () => (isSharedToken(token)
+            ? { ok: true }
+            : { ok: false, reason: 'A valid shared token is required' }));
+    }
+
+    /**
+     * Issue a new pairing code
+     * Codes can be used by any number of clients until they expire (a headset that loses its
+     * connection reconnects with the same code); guessing one is bounded by the lockout.
+     * @returns {{code: string, expiresAt: string}} Pairing code and its expiry
+     */
+    function issuePairingCode() {
+        pruneExpiredCodes();
+
+        let code;
+        do {
+            code = String(crypto.randomInt(0, 10 ** PAIRING_CODE_LENGTH)).padStart(PAIRING_CODE_LENGTH, '0');
+        } while (pairingCodes.has(code));
+
+        const expiresAt = Date.now() + pairingCodeTtl;
+        pairingCodes.set(code, expiresAt);
+
+        return { code, expiresAt: new Date(expiresAt).toISOString() };
+    }
+
+    return {
+        isEnabled,
+        isSharedToken,
+        verify,
+        verifySharedToken,
+        issuePairingCode
+    };
+}
+
+module.exports = {
+    createAuthenticator,
+    safeEqual
+};
@@ -0,0 +1,184 @@
+/**
+ * Message Bus
+ * Pub/sub and shared hashes that let several relay instances behind a load balancer act as one:
+ * an in-memory bus for relays in a single process (the default), and a Redis bus for several
+ * processes or machines
+ *
+ * Every bus has the same interface, so other brokers can be plugged in:
+ *   connect() and close() return promises
+ *   publish(message) sends a JSON-serializable message to every subscriber, the sender included
+ *   subscribe(handler) calls handler(message) for each published message and returns an unsubscribe function
+ *   hset(key, field, value), hdel(key, field) and hgetall(key) (promise of {field: value}) store
+ *   JSON-serializable values shared by every instance
+ */
+
+// ===========================
+// Configuration
+// ===========================
+
+const DEFAULT_PREFIX = 'vrcia'; // Namespace of the Redis channel and keys
+const RECONNECT_STEP = 500; // Each failed reconnection waits 500ms longer...
+const RECONNECT_MAX_DELAY = 10000; // ...up to 10 seconds
+
+// ===========================
+// In-Memory Bus
+// ===========================
+
+/**
+ * Create an in-memory bus
+ * Messages are delivered asynchronously and values are copied through JSON, like a real broker,
+ * so relays sharing one memory bus behave like a cluster (handy in tests).
+ * @returns {Object} Bus
+ */
+function createMemoryBus() {
+    const handlers = new Set();
+    const hashes = new Map(); // key -> Map(field -> JSON text)
+
+    /**
+     * Get a hash, creating it if needed
+     * @param {string} key - Hash key
+     * @returns {Map} Fields of the hash
+     */
+    function getHash(key) {
+        if (!hashes.has(key)) {
+            hashes.set(key, new Map());
+        }
+        return hashes.get(key);
+    }
+
+    return {
+        connect: () => Promise.resolve(),
+        close: () => Promise.resolve(),
+        publish(message) {
+            const text = JSON.stringify(message);
+            setImmediate(() => handlers.forEach((handler) => handler(JSON.parse(text))));
+            return Promise.resolve();
+        },
+        subscribe(handler) {
+            handlers.add(handler);
+            return () => handlers.delete(handler);
+        },
+        hset(key, field, value) {
+            getHash(key).set(field, JSON.stringify(value));
+            return Promise.resolve();
+        },
+        hdel(key, field) {
+            getHash(key).delete(field);
+            return Promise.resolve();
+        },
+        hgetall(key) {
+            const entries = Array.from(getHash(key).entries()).map(([field, text]) => [field, JSON.parse(text)]);
+            return Promise.resolve(Object.fromEntries(entries));
+        }
+    };
+}
+
+// ===========================
+// Redis Bus
+// ===========================
+
+/**
+ * Create a Redis bus
+ * Uses the optional "redis" package (node-redis 4), loaded only when a Redis bus is created.
+ * @param {Object} options - Bus options
+ * @param {string} options.url - Redis URL (e.g. 'redis://localhost:6379')
+ * @param {string} [options.prefix] - Namespace of the channel and keys, to share one Redis between deployments
+ * @param {Object} options.log - Logger from lib/logger
+ * @returns {Object} Bus
+ * @throws {Error} If the redis package is not installed
+ */
+function createRedisBus(options) {
+    let redis;
+    try {
+        redis = require('redis');
+    } catch (error) {
+        throw new Error('The Redis bus needs the "redis" package: npm install redis');
+    }
+
+    const prefix = options.prefix || DEFAULT_PREFIX;
+    const channel = `${prefix}:events`;
+    const log = options.log;
+    const handlers = new Set();
+
+    // Subscribed connections can't run other commands, so Redis needs two
+    // While Redis is down, retry with a growing delay (up to RECONNECT_MAX_DELAY) instead of flooding the log
+    const publisher = redis.createClient({
+        url: options.url,
+        socket: { reconnectStrategy: (retries) => Math.min(retries * RECONNECT_STEP, RECONNECT_MAX_DELAY) }
+    });
+    const subscriber = publisher.duplicate();
+    publisher.on('error', (error) => log.error('Redis bus error', { error }));
+    subscriber.on('error', (error) => log.error('Redis bus error', { error }));
+
+    /**
+     * Pass a published message to the subscribers
+     * @param {string} text - Message as published
+     */
+    function dispatch(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            log.warn('Ignored malformed bus message', { channel });
+            return;
+        }
+        handlers.forEach((handler) => handler(message));
+    }
+
+    return {
+        async connect() {
+            await Promise.all([publisher.connect(), subscriber.connect()]);
+            await subscriber.subscribe(channel, dispatch);
+            log.info('Redis bus connected', { channel });
+        },
+        async close() {
+            await Promise.all([subscriber.quit(), publisher.quit()]);
+        },
+        publish(message) {
+            return publisher.publish(channel, JSON.stringify(message));
+        },
+        subscribe(handler) {
+            handlers.add(handler);
+            return () => handlers.delete(handler);
+        },
+        hset(key, field, value) {
+            return publisher.hSet(`${prefix}:${key}`, field, JSON.stringify(value));
+        },
+        hdel(key, field) {
+            return publisher.hDel(`${prefix}:${key}`, field);
+        },
+        async hgetall(key) {
+            const hash = await publisher.hGetAll(`${prefix}:${key}`);
+            return Object.fromEntries(Object.entries(hash).map(([field, text]) => [field, JSON.parse(text)]));
+        }
+    };
+}
+
+// ===========================
+// Bus Selection
+// ===========================
+
+/**
+ * Create the bus described by the relay's bus option
+ * @param {Object|null} option - null (private memory bus), a bus object, or {type: 'memory'|'redis', url, prefix}
+ * @param {Object} log - Logger from lib/logger
+ * @returns {{bus: Object, owned: boolean}} Bus, and whether the relay created it (and must close it)
+ */
+function createBus(option, log) {
+    if (option && typeof option.publish === 'function') {
+        return { bus: option, owned: false };
+    }
+    if (option && option.type === 'redis') {
+        return { bus: createRedisBus(Object.assign({}, option, { log })), owned: true };
+    }
+    if (option && option.type !== undefined && option.type !== 'memory') {
+        throw new Error(`Unknown bus type: ${option.type} (expected memory or redis)`);
+    }
+    return { bus: createMemoryBus(), owned: true };
+}
+
+module.exports = {
+    createMemoryBus,
+    createRedisBus,
+    createBus
+};
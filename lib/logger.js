@@ -0,0 +1,135 @@
+/**
+ * Logger
+ * Leveled logging with structured fields, as JSON lines (production) or pretty text (local dev)
+ */
+
+// ===========================
+// Configuration
+// ===========================
+
+const LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40
+};
+
+const FORMATS = ['json', 'pretty'];
+
+// ANSI colors used by the pretty format when writing to a terminal
+const LEVEL_COLORS = {
+    debug: '\x1b[90m', // gray
+    info: '\x1b[36m', // cyan
+    warn: '\x1b[33m', // yellow
+    error: '\x1b[31m' // red
+};
+const RESET_COLOR = '\x1b[0m';
+
+// ===========================
+// Formatting
+// ===========================
+
+/**
+ * Make a field value safe to serialize (errors don't serialize on their own)
+ * @param {*} value - Field value
+ * @returns {*} Serializable value
+ */
+function normalizeValue(value) {
+    if (value instanceof Error) {
+        return { message: value.message, name: value.name, stack: value.stack };
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    return value;
+}
+
+/**
+ * Format a record as one JSON line
+ * @param {Object} record - {time, level, msg, ...fields}
+ * @returns {string} JSON line
+ */
+function formatJson(record) {
+    return JSON.stringify(record, (key, value) => normalizeValue(value));
+}
+
+/**
+ * Format a record for humans: "12:04:31 INFO  Connection opened clientId=client_1 room=lab-a"
+ * @param {Object} record - {time, level, msg, ...fields}
+ * @param {boolean} useColor - Add ANSI colors
+ * @returns {string} Text line
+ */
+function formatPretty(record, useColor) {
+    const { time, level, msg, ...fields } = record;
+    const clock = time.slice(11, 19);
+    const label = level.toUpperCase().padEnd(5);
+
+    const details = Object.entries(fields)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => {
+            const normalized = normalizeValue(value);
+            if (normalized && normalized.stack) {
+                return `${key}=${JSON.stringify(normalized.message)}\n${normalized.stack}`;
+            }
+            return `${key}=${typeof normalized === 'string' && !/[\s"=]/.test(normalized) ? normalized : JSON.stringify(normalized)}`;
+        })
+        .join(' ');
+
+    const line = `${clock} ${useColor ? `${LEVEL_COLORS[level]}${label}${RESET_COLOR}` : label} ${msg}`;
+    return details ? `${line} ${details}` : line;
+}
+
+// ===========================
+// Logger
+// ===========================
+
+/**
+ * Create a logger
+ * @param {Object} [options] - Logger options
+ * @param {string} [options.level] - Minimum level: debug, info, warn or error (default info)
+ * @param {string} [options.format] - json or pretty (default pretty)
+ * @param {Object} [options.fields] - Fields added to every record
+ * @param {Object} [options.stream] - Output stream (default process.stdout)
+ * @returns {Object} Logger with debug(), info(), warn(), error() and child()
+ */
+function createLogger(options = {}) {
+    const level = LEVELS[options.level] ? options.level : 'info';
+    const format = FORMATS.includes(options.format) ? options.format : 'pretty';
+    const stream = options.stream || process.stdout;
+    const useColor = format === 'pretty' && Boolean(stream.isTTY);
+    const baseFields = options.fields || {};
+
+    /**
+     * Write a record if its level is enabled
+     * @param {string} recordLevel - Record level
+     * @param {string} msg - Message
+     * @param {Object} [fields] - Structured fields
+     */
+    function write(recordLevel, msg, fields) {
+        if (LEVELS[recordLevel] < LEVELS[level]) return;
+
+        const record = Object.assign({ time: new Date().toISOString(), level: recordLevel, msg }, baseFields, fields);
+        stream.write(`${format === 'json' ? formatJson(record) : formatPretty(record, useColor)}\n`);
+    }
+
+    return {
+        level,
+        format,
+        isLevelEnabled: (recordLevel) => LEVELS[recordLevel] >= LEVELS[level],
+        debug: (msg, fields) => write('debug', msg, fields),
+        info: (msg, fields) => write('info', msg, fields),
+        warn: (msg, fields) => write('warn', msg, fields),
+        error: (msg, fields) => write('error', msg, fields),
+        /**
+         * Create a logger that adds fields to every record
+         * @param {Object} fields - Fields to add
+         * @returns {Object} Child logger
+         */
+        child: (fields) => createLogger(Object.assign({}, options, { fields: Object.assign({}, baseFields, fields) }))
+    };
+}
+
+module.exports = {
+    LEVELS,
+    createLogger
+};
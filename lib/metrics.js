@@ -0,0 +1,178 @@
+/**
+ * Metrics
+ * Minimal counters, gauges and histograms rendered in the Prometheus text format
+ */
+
+// ===========================
+// Configuration
+// ===========================
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// ===========================
+// Formatting
+// ===========================
+
+/**
+ * Escape a label value for the text format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a label set, e.g. {type="unity",room="lab-a"}
+ * @param {Object} labels - Label names and values
+ * @returns {string} Formatted labels ('' if there are none)
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels || {});
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Format a sample value (Prometheus spells infinity +Inf)
+ * @param {number} value - Sample value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+// ===========================
+// Registry
+// ===========================
+
+/**
+ * Create a metrics registry
+ * Counters and histograms are updated as events happen; gauges are read from a
+ * collect function at scrape time, so they can't drift from the server's own state.
+ * @returns {Object} Registry
+ */
+function createRegistry() {
+    const metrics = [];
+
+    /**
+     * Register a metric
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {string} type - counter, gauge or histogram
+     * @param {Function} render - Returns the sample lines
+     */
+    function register(name, help, type, render) {
+        if (metrics.some((metric) => metric.name === name)) {
+            throw new Error(`Metric already registered: ${name}`);
+        }
+        metrics.push({ name, help, type, render });
+    }
+
+    /**
+     * Create a counter
+     * @param {string} name - Metric name (should end in _total)
+     * @param {string} help - Description
+     * @returns {{inc: Function}} Counter; inc(labels, amount) adds to the series of a label set
+     */
+    function counter(name, help) {
+        const series = new Map(); // formatted labels -> value
+
+        register(name, help, 'counter', () => {
+            if (series.size === 0) return [`${name} 0`];
+            return Array.from(series.entries()).map(([labels, value]) => `${name}${labels} ${value}`);
+        });
+
+        return {
+            inc(labels = {}, amount = 1) {
+                const key = formatLabels(labels);
+                series.set(key, (series.get(key) || 0) + amount);
+            }
+        };
+    }
+
+    /**
+     * Create a gauge read at scrape time
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {Function} collect - Returns a number, or an array of {labels, value}
+     */
+    function gauge(name, help, collect) {
+        register(name, help, 'gauge', () => {
+            const result = collect();
+            const samples = Array.isArray(result) ? result : [{ labels: {}, value: result }];
+            return samples.map((sample) => `${name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+        });
+    }
+
+    /**
+     * Create a histogram
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {number[]} buckets - Upper bounds, in increasing order
+     * @returns {{observe: Function}} Histogram; observe(value) records one observation
+     */
+    function histogram(name, help, buckets) {
+        const bounds = buckets.concat(Infinity);
+        const counts = bounds.map(() => 0);
+        let sum = 0;
+        let count = 0;
+
+        register(name, help, 'histogram', () => [
+            ...bounds.map((bound, index) => `${name}_bucket{le="${formatValue(bound)}"} ${counts[index]}`),
+            `${name}_sum ${sum}`,
+            `${name}_count ${count}`
+        ]);
+
+        return {
+            observe(value) {
+                bounds.forEach((bound, index) => {
+                    if (value <= bound) counts[index]++;
+                });
+                sum += value;
+                count++;
+            }
+        };
+    }
+
+    /**
+     * Render every metric in the Prometheus text format
+     * @returns {string} Exposition text
+     */
+    function render() {
+        return metrics.map((metric) => [
+            `# HELP ${metric.name} ${metric.help}`,
+            `# TYPE ${metric.name} ${metric.type}`,
+            ...metric.render()
+        ].join('\n')).join('\n') + '\n';
+    }
+
+    return {
+        counter,
+        gauge,
+        histogram,
+        render
+    };
+}
+
+/**
+ * Register the standard process gauges (memory, uptime)
+ * @param {Object} registry - Registry from createRegistry()
+ */
+function registerProcessMetrics(registry) {
+    const startTime = Math.round(Date.now() / 1000 - process.uptime());
+
+    registry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes.', () => process.memoryUsage().rss);
+    registry.gauge('nodejs_heap_size_total_bytes', 'Process heap size in bytes.', () => process.memoryUsage().heapTotal);
+    registry.gauge('nodejs_heap_size_used_bytes', 'Process heap size used in bytes.', () => process.memoryUsage().heapUsed);
+    registry.gauge('nodejs_external_memory_bytes', 'Memory used by C++ objects bound to JavaScript objects in bytes.', () => process.memoryUsage().external);
+    registry.gauge('process_start_time_seconds', 'Start time of the process since unix epoch in seconds.', () => startTime);
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    createRegistry,
+    registerProcessMetrics
+};
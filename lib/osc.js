@@ -0,0 +1,478 @@
+/**
+ * OSC Bridge
+ * Open Sound Control over UDP for lighting consoles and show software (QLab, grandMA, TouchDesigner):
+ * OSC messages like /vrcia/color ,s "#FF0000" become relay commands, and the colors relayed to a
+ * room can be sent back out as OSC so external rigs follow the VR scene
+ */
+
+// ===========================
+// Import Dependencies
+// ===========================
+
+const dgram = require('dgram');
+
+// ===========================
+// Configuration
+// ===========================
+
+// Options of createOscBridge() and their defaults
+const DEFAULT_OPTIONS = {
+    port: undefined, // UDP port to receive OSC on (commands are not received unless set)
+    host: undefined, // All interfaces
+    sendTo: [], // Destinations of outgoing OSC: ['192.168.1.50:53000'] or 'host:port,host:port'
+    prefix: '/vrcia' // Address prefix, in and out
+};
+
+const BUNDLE_HEADER = '#bundle';
+const MAX_BUNDLE_DEPTH = 8; // Nested bundles deeper than this are rejected
+
+// Last part of the addresses the bridge turns into commands
+const COMMAND_ADDRESSES = ['color', 'rgb', 'brightness', 'transition', 'reset'];
+
+// ===========================
+// OSC Encoding
+// ===========================
+
+/**
+ * Encode an OSC string (null terminated, padded to 4 bytes)
+ * @param {string} value - String
+ * @returns {Buffer} Encoded string
+ */
+function encodeString(value) {
+    const bytes = Buffer.from(`${value}\0`, 'utf8');
+    const padded = Buffer.alloc(Math.ceil(bytes.length / 4) * 4);
+    bytes.copy(padded);
+    return padded;
+}
+
+/**
+ * Encode an OSC message
+ * Numbers are sent as floats unless their type is given, e.g. {type: 'i', value: 1500}.
+ * @param {string} address - OSC address (e.g. '/vrcia/lab-a/color')
+ * @param {Array<(string|number|boolean|null|{type: string, value: *})>} [args] - Arguments
+ * @returns {Buffer} Encoded message
+ */
+function encodeMessage(address, args = []) {
+    let tags = ',';
+    const data = [];
+    args.forEach((arg) => {
+        const typed = arg !== null && typeof arg === 'object' ? arg : { type: inferType(arg), value: arg };
+        tags += typed.type;
+        switch (typed.type) {
+            case 'i': {
+                const buffer = Buffer.alloc(4);
+                buffer.writeInt32BE(typed.value);
+                data.push(buffer);
+                break;
+            }
+            case 'f': {
+                const buffer = Buffer.alloc(4);
+                buffer.writeFloatBE(typed.value);
+                data.push(buffer);
+                break;
+            }
+            case 's':
+                data.push(encodeString(typed.value));
+                break;
+            case 'T':
+            case 'F':
+            case 'N':
+                break;
+            default:
+                throw new Error(`Unsupported OSC type: ${typed.type}`);
+        }
+    });
+    return Buffer.concat([encodeString(address), encodeString(tags), ...data]);
+}
+
+/**
+ * Pick the OSC type of a plain argument
+ * @param {*} value - Argument
+ * @returns {string} OSC type tag
+ */
+function inferType(value) {
+    if (typeof value === 'string') return 's';
+    if (typeof value === 'number') return 'f';
+    if (value === true) return 'T';
+    if (value === false) return 'F';
+    return 'N';
+}
+
+// ===========================
+// OSC Decoding
+// ===========================
+
+/**
+ * Read an OSC string
+ * @param {Buffer} buffer - Packet
+ * @param {number} offset - Start of the string
+ * @returns {{value: string, offset: number}} String and the offset after its padding
+ */
+function readString(buffer, offset) {
+    const end = buffer.indexOf(0, offset);
+    if (end === -1) {
+        throw new Error('OSC string is not terminated');
+    }
+    return { value: buffer.toString('utf8', offset, end), offset: Math.ceil((end + 1) / 4) * 4 };
+}
+
+/**
+ * Decode an OSC message
+ * @param {Buffer} buffer - Message bytes
+ * @returns {{address: string, types: string, args: Array}} Message
+ */
+function decodeMessage(buffer) {
+    const address = readString(buffer, 0);
+    if (!address.value.startsWith('/')) {
+        throw new Error('OSC address must start with /');
+    }
+
+    // Very old senders omit the type tags; such messages have no readable arguments
+    if (address.offset >= buffer.length) {
+        return { address: address.value, types: '', args: [] };
+    }
+    const tags = readString(buffer, address.offset);
+    if (!tags.value.startsWith(',')) {
+        throw new Error('OSC type tags must start with ,');
+    }
+
+    const types = tags.value.slice(1);
+    const args = [];
+    let offset = tags.offset;
+    const need = (bytes) => {
+        if (offset + bytes > buffer.length) {
+            throw new Error('OSC message is truncated');
+        }
+    };
+
+    for (const type of types) {
+        switch (type) {
+            case 'i':
+                need(4);
+                args.push(buffer.readInt32BE(offset));
+                offset += 4;
+                break;
+            case 'f':
+                need(4);
+                args.push(buffer.readFloatBE(offset));
+                offset += 4;
+                break;
+            case 'd':
+                need(8);
+                args.push(buffer.readDoubleBE(offset));
+                offset += 8;
+                break;
+            case 'h':
+                need(8);
+                args.push(Number(buffer.readBigInt64BE(offset)));
+                offset += 8;
+                break;
+            case 's':
+            case 'S': {
+                const string = readString(buffer, offset);
+                args.push(string.value);
+                offset = string.offset;
+                break;
+            }
+            case 'b': {
+                need(4);
+                const size = buffer.readInt32BE(offset);
+                need(4 + size);
+                args.push(buffer.subarray(offset + 4, offset + 4 + size));
+                offset += 4 + Math.ceil(size / 4) * 4;
+                break;
+            }
+            case 'T':
+                args.push(true);
+                break;
+            case 'F':
+                args.push(false);
+                break;
+            case 'N':
+            case 'I':
+                args.push(null);
+                break;
+            default:
+                throw new Error(`Unsupported OSC type: ${type}`);
+        }
+    }
+    return { address: address.value, types, args };
+}
+
+/**
+ * Decode an OSC packet into its messages
+ * Bundles are flattened and their time tags ignored: everything applies as soon as it arrives.
+ * @param {Buffer} buffer - UDP datagram
+ * @param {number} [depth] - Bundle nesting level
+ * @returns {Array<{address: string, types: string, args: Array}>} Messages
+ * @throws {Error} If the packet is malformed
+ */
+function decodePacket(buffer, depth = 0) {
+    if (buffer.length === 0 || buffer.length % 4 !== 0) {
+        throw new Error('OSC packet size must be a non-zero multiple of 4');
+    }
+    if (readString(buffer, 0).value !== BUNDLE_HEADER) {
+        return [decodeMessage(buffer)];
+    }
+    if (depth >= MAX_BUNDLE_DEPTH) {
+        throw new Error('OSC bundles are nested too deeply');
+    }
+
+    const messages = [];
+    let offset = 16; // '#bundle\0' and the 8 byte time tag
+    while (offset < buffer.length) {
+        if (offset + 4 > buffer.length) {
+            throw new Error('OSC bundle is truncated');
+        }
+        const size = buffer.readInt32BE(offset);
+        if (size <= 0 || offset + 4 + size > buffer.length) {
+            throw new Error('OSC bundle element has an invalid size');
+        }
+        messages.push(...decodePacket(buffer.subarray(offset + 4, offset + 4 + size), depth + 1));
+        offset += 4 + size;
+    }
+    return messages;
+}
+
+// ===========================
+// Command Mapping
+// ===========================
+
+/**
+ * Convert a color channel to 0-255
+ * Floats are 0 to 1 (fader style), integers are 0 to 255 (DMX style).
+ * @param {number} value - Channel value
+ * @param {string} type - OSC type tag of the value
+ * @returns {number} Channel from 0 to 255
+ */
+function toChannel(value, type) {
+    const scaled = type === 'i' || type === 'h' ? value : value * 255;
+    return Math.min(255, Math.max(0, Math.round(scaled)));
+}
+
+/**
+ * Translate an OSC message into a relay command
+ *   /vrcia/color ,s "#FF0000"            /vrcia/lab-a/color ,s "#FF0000"
+ *   /vrcia/rgb ,fff 1 0 0 (or ,iii 255 0 0)
+ *   /vrcia/brightness ,f 0.5
+ *   /vrcia/transition ,si "#0000FF" 1500
+ *   /vrcia/reset
+ * The payload still has to be validated like any other command.
+ * @param {{address: string, types: string, args: Array}} message - Decoded message
+ * @param {string} [prefix] - Address prefix
+ * @returns {{room: (string|null), type: string, payload: Object}|{error: string}|null} Command, error,
+ *   or null if the address is not under the prefix
+ */
+function parseOscCommand(message, prefix = DEFAULT_OPTIONS.prefix) {
+    if (!message.address.startsWith(`${prefix}/`)) return null;
+
+    const parts = message.address.slice(prefix.length + 1).split('/');
+    if (parts.length > 2 || !COMMAND_ADDRESSES.includes(parts[parts.length - 1])) {
+        return { error: `Unknown OSC address: ${message.address}` };
+    }
+    const room = parts.length === 2 ? parts[0] : null;
+    const command = parts[parts.length - 1];
+    const { args, types } = message;
+    const isNumber = (index) => typeof args[index] === 'number';
+
+    switch (command) {
+        case 'color':
+            if (typeof args[0] !== 'string') {
+                return { error: `${message.address} expects a hex color string, e.g. ,s "#FF0000"` };
+            }
+            return { room, type: 'color', payload: { color: args[0] } };
+
+        case 'rgb': {
+            if (![0, 1, 2].every(isNumber)) {
+                return { error: `${message.address} expects three numbers, e.g. ,fff 1 0.5 0` };
+            }
+            const hex = [0, 1, 2].map((index) => toChannel(args[index], types[index]).toString(16).padStart(2, '0'));
+            return { room, type: 'color', payload: { color: `#${hex.join('')}` } };
+        }
+
+        case 'brightness':
+            if (!isNumber(0)) {
+                return { error: `${message.address} expects a number from 0 to 1` };
+            }
+            return { room, type: 'brightness', payload: { value: args[0] } };
+
+        case 'transition':
+            if (typeof args[0] !== 'string' || !isNumber(1)) {
+                return { error: `${message.address} expects a color and a duration in ms, e.g. ,si "#0000FF" 1500` };
+            }
+            return { room, type: 'transition', payload: { color: args[0], duration: Math.round(args[1]) } };
+
+        default:
+            return { room, type: 'reset', payload: {} };
+    }
+}
+
+/**
+ * Translate a relayed command into the OSC messages sent to external rigs
+ * Addresses always name the room, so they can be sent back to the bridge as they are.
+ * @param {string} room - Room the command was relayed to
+ * @param {Object} envelope - Command envelope
+ * @param {string} [prefix] - Address prefix
+ * @returns {Buffer[]} Encoded messages (none for unknown types)
+ */
+function encodeCommand(room, envelope, prefix = DEFAULT_OPTIONS.prefix) {
+    const base = `${prefix}/${room}`;
+    const payload = envelope.payload;
+    const rgb = (color) => [1, 3, 5].map((offset) => parseInt(color.slice(offset, offset + 2), 16) / 255);
+
+    switch (envelope.type) {
+        case 'color':
+            return [
+                encodeMessage(`${base}/color`, [payload.color]),
+                encodeMessage(`${base}/rgb`, rgb(payload.color))
+            ];
+        case 'transition':
+            return [
+                encodeMessage(`${base}/transition`, [payload.color, { type: 'i', value: payload.duration }]),
+                encodeMessage(`${base}/rgb`, rgb(payload.color))
+            ];
+        case 'brightness':
+            return [encodeMessage(`${base}/brightness`, [payload.value])];
+        case 'reset':
+            return [encodeMessage(`${base}/reset`)];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Parse OSC destinations
+ * @param {string|Array<(string|{host: string, port: number})>} value - 'host:port' list (comma separated) or array
+ * @returns {Array<{host: string, port: number}>} Valid destinations
+ */
+function parseOscTargets(value) {
+    const entries = typeof value === 'string' ? value.split(',') : (Array.isArray(value) ? value : []);
+    return entries
+        .map((entry) => {
+            if (entry && typeof entry === 'object') return entry;
+            const match = String(entry).trim().match(/^(.+):(\d+)$/);
+            return match ? { host: match[1], port: parseInt(match[2], 10) } : null;
+        })
+        .filter((target) => target && typeof target.host === 'string' && target.port > 0 && target.port < 65536);
+}
+
+// ===========================
+// OSC Bridge
+// ===========================
+
+/**
+ * Create an OSC bridge
+ * The bridge only translates: the relay validates the commands and decides what to send out.
+ * @param {Object} options - See DEFAULT_OPTIONS, plus:
+ * @param {Function} options.onCommand - onCommand(room, type, payload, from) for each valid OSC command
+ *   (room is null when the address has none; from is 'address:port')
+ * @param {Object} options.log - Logger from lib/logger
+ * @returns {Object} Bridge with start(), stop(), send(room, envelope) and address()
+ */
+function createOscBridge(options) {
+    // Options left undefined (e.g. unset environment variables) keep their default
+    const defined = Object.entries(options).filter(([, value]) => value !== undefined);
+    const config = Object.assign({}, DEFAULT_OPTIONS, Object.fromEntries(defined));
+    const targets = parseOscTargets(config.sendTo);
+    const log = options.log;
+    const listening = Number.isInteger(config.port);
+    let socket = null;
+
+    /**
+     * Handle a datagram
+     * @param {Buffer} buffer - Datagram
+     * @param {Object} rinfo - Sender address
+     */
+    function handleDatagram(buffer, rinfo) {
+        const from = `${rinfo.address}:${rinfo.port}`;
+        let messages;
+        try {
+            messages = decodePacket(buffer);
+        } catch (error) {
+            log.warn('Ignored malformed OSC packet', { from, error: error.message });
+            return;
+        }
+
+        messages.forEach((message) => {
+            const command = parseOscCommand(message, config.prefix);
+            if (!command) {
+                log.debug('Ignored OSC message outside the prefix', { from, address: message.address });
+            } else if (command.error) {
+                log.warn('Ignored OSC message', { from, address: message.address, error: command.error });
+            } else {
+                config.onCommand(command.room, command.type, command.payload, from);
+            }
+        });
+    }
+
+    /**
+     * Bind the UDP socket
+     * Without a port the socket is only used to send.
+     * @returns {Promise<Object>} Bound address {address, port}
+     */
+    function start() {
+        socket = dgram.createSocket('udp4');
+        if (listening) {
+            socket.on('message', handleDatagram);
+        }
+        socket.on('error', (error) => log.error('OSC socket error', { error }));
+
+        return new Promise((resolve, reject) => {
+            socket.once('error', reject);
+            socket.bind(listening ? config.port : 0, listening ? config.host : undefined, () => {
+                socket.removeListener('error', reject);
+                log.info('OSC bridge started', {
+                    receive: listening ? `udp://${config.host || '0.0.0.0'}:${socket.address().port}${config.prefix}/...` : 'disabled',
+                    sendTo: targets.map((target) => `${target.host}:${target.port}`)
+                });
+                resolve(socket.address());
+            });
+        });
+    }
+
+    /**
+     * Close the UDP socket
+     * @returns {Promise<void>} Resolves once closed
+     */
+    function stop() {
+        if (!socket) return Promise.resolve();
+        const closing = socket;
+        socket = null;
+        return new Promise((resolve) => closing.close(() => resolve()));
+    }
+
+    /**
+     * Send a relayed command to every OSC destination
+     * @param {string} room - Room the command was relayed to
+     * @param {Object} envelope - Command envelope
+     */
+    function send(room, envelope) {
+        if (!socket || targets.length === 0) return;
+
+        encodeCommand(room, envelope, config.prefix).forEach((message) => {
+            targets.forEach((target) => {
+                socket.send(message, target.port, target.host, (error) => {
+                    if (error) {
+                        log.warn('Could not send OSC', { to: `${target.host}:${target.port}`, error: error.message });
+                    }
+                });
+            });
+        });
+    }
+
+    return {
+        start,
+        stop,
+        send,
+        address: () => (socket ? socket.address() : null)
+    };
+}
+
+module.exports = {
+    createOscBridge,
+    encodeMessage,
+    decodePacket,
+    parseOscCommand,
+    encodeCommand,
+    parseOscTargets
+};
@@ -0,0 +1,574 @@
+/**
+ * Command Protocol
+ * Versioned JSON envelope ({v, type, payload, id, ts}) plus conversion to and
+ * from the legacy plain-hex format that older Unity builds expect
+ */
+
+// ===========================
+// Import Dependencies
+// ===========================
+
+const crypto = require('crypto');
+
+// ===========================
+// Protocol Constants
+// ===========================
+
+const PROTOCOL_VERSION = 1;
+const LEGACY_PROTOCOL = 0; // Bare hex strings in both directions
+
+// Commands that change what receivers display; these are relayed to the room
+const COMMAND_TYPES = ['color', 'brightness', 'transition', 'reset'];
+
+// Control messages handled by the server itself
+const CONTROL_TYPES = ['hello', 'join', 'ack', 'sequence', 'record', 'report'];
+
+// Delivery statuses a receiver can report in an ack
+const ACK_STATUSES = ['applied', 'failed'];
+
+// Sequence playback controls and cue list step types
+const SEQUENCE_ACTIONS = ['play', 'pause', 'resume', 'stop'];
+const STEP_TYPES = ['color', 'fade', 'strobe'];
+
+// Session recording controls
+const RECORD_ACTIONS = ['start', 'stop'];
+
+const HEX_COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+const MAX_TRANSITION_DURATION = 60000; // 1 minute
+const MAX_ID_LENGTH = 64;
+const MAX_NAME_LENGTH = 32;
+const MAX_ERROR_LENGTH = 200;
+const MAX_SCENE_LENGTH = 64;
+const MAX_OBJECT_NAME_LENGTH = 64;
+const MAX_TARGET_ENTRIES = 20; // Per list of a command target, and groups per client
+const GROUP_NAME_PATTERN = /^[a-z0-9_-]{1,32}$/i;
+const MAX_SEQUENCE_STEPS = 50;
+const MAX_STEP_DURATION = 10 * 60 * 1000; // 10 minutes
+const MIN_STROBE_INTERVAL = 50; // At most 20 flashes per second
+
+// Payload fields kept when relaying a message; anything else is dropped
+const PAYLOAD_FIELDS = {
+    color: ['color'],
+    brightness: ['value'],
+    transition: ['color', 'duration'],
+    reset: [],
+    hello: ['clientType', 'name', 'groups'],
+    join: ['room'],
+    ack: ['ref', 'status', 'error'],
+    sequence: ['action', 'sequence'],
+    record: ['action'],
+    report: ['color', 'brightness', 'scene', 'error']
+};
+
+// Lists of a command target: client ids, client groups and object names in the receivers' scene
+const TARGET_FIELDS = ['clients', 'groups', 'objects'];
+
+// Fields kept for each cue list step
+const STEP_FIELDS = {
+    color: ['color', 'duration'],
+    fade: ['color', 'duration'],
+    strobe: ['color', 'duration', 'interval']
+};
+
+// ===========================
+// Envelope Helpers
+// ===========================
+
+/**
+ * Generate a unique message ID
+ * @returns {string} Message identifier
+ */
+function generateMessageId() {
+    return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Create a protocol envelope
+ * @param {string} type - Message type (e.g. 'color', 'system')
+ * @param {Object} [payload] - Type specific data
+ * @param {string} [id] - Message ID (generated if omitted)
+ * @returns {{v: number, type: string, payload: Object, id: string, ts: number}} Envelope
+ */
+function createEnvelope(type, payload = {}, id = generateMessageId()) {
+    return {
+        v: PROTOCOL_VERSION,
+        type,
+        payload,
+        id,
+        ts: Date.now()
+    };
+}
+
+/**
+ * Check whether a message type is a relayed command
+ * @param {string} type - Message type
+ * @returns {boolean} True for command types
+ */
+function isCommandType(type) {
+    return COMMAND_TYPES.includes(type);
+}
+
+/**
+ * Parse an incoming text message into an envelope
+ * Accepts, in order of preference:
+ *   - a versioned envelope: {"v": 1, "type": "color", "payload": {"color": "#FF0000"}},
+ *     optionally addressed: {..., "target": {"clients": ["client_3"], "objects": ["Wall_Left"]}}
+ *   - a legacy JSON object: {"color": "#FF0000", "clientType": "unity"} or {"type": "join", "room": "lab-a"}
+ *   - a bare string, treated as a color: "#FF0000"
+ * @param {string} text - Raw message text
+ * @returns {{envelope: Object, legacy: boolean, clientType: (string|undefined)}} Parsed message
+ */
+function parseMessage(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        data = null;
+    }
+
+    // Bare string (or JSON that isn't an object, e.g. a quoted string)
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        const color = typeof data === 'string' ? data : text;
+        return { envelope: createEnvelope('color', { color: color.trim() }), legacy: true };
+    }
+
+    // Versioned envelope
+    if (data.v !== undefined) {
+        return {
+            envelope: {
+                v: data.v,
+                type: data.type,
+                payload: data.payload && typeof data.payload === 'object' ? data.payload : {},
+                id: typeof data.id === 'string' && data.id ? data.id : generateMessageId(),
+                ts: typeof data.ts === 'number' ? data.ts : Date.now(),
+                target: data.target
+            },
+            legacy: false
+        };
+    }
+
+    // Legacy JSON object
+    const { clientType, type, ...rest } = data;
+    if (type) {
+        return { envelope: createEnvelope(type, rest), legacy: true, clientType };
+    }
+    if (data.color !== undefined || data.message !== undefined) {
+        return { envelope: createEnvelope('color', { color: data.color || data.message }), legacy: true, clientType };
+    }
+    return { envelope: createEnvelope('hello', {}), legacy: true, clientType };
+}
+
+// ===========================
+// Validation
+// ===========================
+
+/**
+ * Check a hex color string (#RRGGBB)
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+function isHexColor(value) {
+    return typeof value === 'string' && HEX_COLOR_PATTERN.test(value);
+}
+
+/**
+ * Create a validation error
+ * @param {string} code - Machine readable error code
+ * @param {string} message - Human readable description
+ * @returns {{code: string, message: string}} Validation error
+ */
+function validationError(code, message) {
+    return { code, message };
+}
+
+/**
+ * Normalize a list of group names (from a hello payload or a comma separated ?groups= query)
+ * Invalid names are dropped; the rest are lower-cased and deduplicated.
+ * @param {string|string[]} value - Group names
+ * @returns {string[]} Group names
+ */
+function parseGroups(value) {
+    const names = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(names)) return [];
+
+    const groups = names
+        .filter((name) => typeof name === 'string' && GROUP_NAME_PATTERN.test(name.trim()))
+        .map((name) => name.trim().toLowerCase());
+    return Array.from(new Set(groups)).slice(0, MAX_TARGET_ENTRIES);
+}
+
+/**
+ * Validate the target of a directed command
+ *   {"clients": ["client_3"], "groups": ["left-wall"], "objects": ["Wall_Left"]}
+ * Every list is optional; an empty target addresses the whole room.
+ * @param {Object} target - Target to check
+ * @returns {{code: string, message: string}|null} Validation error, or null if valid
+ */
+function validateTarget(target) {
+    if (!target || typeof target !== 'object' || Array.isArray(target)) {
+        return validationError('invalid_target', 'target must be an object with clients, groups or objects arrays');
+    }
+
+    for (const field of TARGET_FIELDS) {
+        const list = target[field];
+        if (list === undefined) continue;
+        if (!Array.isArray(list) || list.length > MAX_TARGET_ENTRIES) {
+            return validationError('invalid_target', `target ${field} must be an array of at most ${MAX_TARGET_ENTRIES} entries`);
+        }
+        if (field === 'groups') {
+            if (!list.every((name) => typeof name === 'string' && GROUP_NAME_PATTERN.test(name))) {
+                return validationError('invalid_target', 'target groups must use letters, numbers, dashes and underscores (max 32 characters)');
+            }
+        } else {
+            const maxLength = field === 'clients' ? MAX_ID_LENGTH : MAX_OBJECT_NAME_LENGTH;
+            if (!list.every((name) => typeof name === 'string' && name.length > 0 && name.length <= maxLength)) {
+                return validationError('invalid_target', `target ${field} must be non-empty strings of at most ${maxLength} characters`);
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Copy a validated target, dropping empty lists
+ * @param {Object} target - Validated target
+ * @returns {Object|null} Sanitized target, or null if it addresses the whole room
+ */
+function sanitizeTarget(target) {
+    const sanitized = {};
+    TARGET_FIELDS.forEach((field) => {
+        const list = field === 'groups' ? parseGroups(target[field]) : target[field];
+        if (Array.isArray(list) && list.length > 0) {
+            sanitized[field] = Array.from(new Set(list));
+        }
+    });
+    return Object.keys(sanitized).length > 0 ? sanitized : null;
+}
+
+/**
+ * Check whether a receiver is addressed by a command target
+ * Object names don't select receivers: every receiver gets the command and applies it to
+ * the named objects of its scene.
+ * @param {Object|null} target - Sanitized target
+ * @param {{id: string, groups: string[]}} client - Receiver
+ * @returns {boolean} True if the receiver should get the command
+ */
+function matchesTarget(target, client) {
+    if (!target || (!target.clients && !target.groups)) return true;
+    return Boolean((target.clients && target.clients.includes(client.id)) ||
+        (target.groups && client.groups && client.groups.some((group) => target.groups.includes(group))));
+}
+
+/**
+ * Validate a cue list
+ *   {"name": "Intro", "loop": false, "steps": [
+ *     {"type": "color", "color": "#FF0000", "duration": 2000},
+ *     {"type": "fade", "color": "#0000FF", "duration": 1500},
+ *     {"type": "strobe", "color": "#FFFFFF", "duration": 1000, "interval": 100}
+ *   ]}
+ * @param {Object} sequence - Cue list to check
+ * @returns {{code: string, message: string}|null} Validation error, or null if valid
+ */
+function validateSequence(sequence) {
+    if (!sequence || typeof sequence !== 'object' || Array.isArray(sequence)) {
+        return validationError('invalid_sequence', 'sequence must be an object with a steps array');
+    }
+    if (sequence.name !== undefined && (typeof sequence.name !== 'string' || sequence.name.length > MAX_NAME_LENGTH)) {
+        return validationError('invalid_sequence', `sequence name must be a string of at most ${MAX_NAME_LENGTH} characters`);
+    }
+    if (sequence.loop !== undefined && typeof sequence.loop !== 'boolean') {
+        return validationError('invalid_sequence', 'sequence loop must be a boolean');
+    }
+    if (!Array.isArray(sequence.steps) || sequence.steps.length === 0 || sequence.steps.length > MAX_SEQUENCE_STEPS) {
+        return validationError('invalid_sequence', `sequence must have 1 to ${MAX_SEQUENCE_STEPS} steps`);
+    }
+
+    for (let index = 0; index < sequence.steps.length; index++) {
+        const step = sequence.steps[index] || {};
+        const where = `step ${index + 1}`;
+
+        if (!STEP_TYPES.includes(step.type)) {
+            return validationError('invalid_sequence', `${where}: type must be one of: ${STEP_TYPES.join(', ')}`);
+        }
+        if (!isHexColor(step.color)) {
+            return validationError('invalid_color', `${where}: color must be a hex code like #FF0000`);
+        }
+        const maxDuration = step.type === 'fade' ? MAX_TRANSITION_DURATION : MAX_STEP_DURATION;
+        if (!Number.isInteger(step.duration) || step.duration < 0 || step.duration > maxDuration) {
+            return validationError('invalid_sequence', `${where}: duration must be an integer from 0 to ${maxDuration} ms`);
+        }
+        if (step.type === 'strobe' &&
+            (!Number.isInteger(step.interval) || step.interval < MIN_STROBE_INTERVAL || step.interval > step.duration)) {
+            return validationError('invalid_sequence', `${where}: strobe interval must be an integer from ${MIN_STROBE_INTERVAL} ms to the step duration`);
+        }
+    }
+
+    // A looping sequence needs time to pass, or it would spin forever
+    if (sequence.loop && sequence.steps.every((step) => step.duration === 0)) {
+        return validationError('invalid_sequence', 'a looping sequence needs at least one step with a duration');
+    }
+    return null;
+}
+
+/**
+ * Copy a validated cue list, keeping only known fields
+ * @param {Object} sequence - Validated cue list
+ * @returns {{name: string, loop: boolean, steps: Object[]}} Sanitized cue list
+ */
+function sanitizeSequence(sequence) {
+    return {
+        name: sequence.name || 'Untitled',
+        loop: sequence.loop === true,
+        steps: sequence.steps.map((step) => {
+            const clean = { type: step.type };
+            STEP_FIELDS[step.type].forEach((field) => {
+                clean[field] = step[field];
+            });
+            clean.color = clean.color.toUpperCase();
+            return clean;
+        })
+    };
+}
+
+/**
+ * Validate the payload of a known message type
+ * @param {string} type - Message type
+ * @param {Object} payload - Payload to check
+ * @returns {{code: string, message: string}|null} Validation error, or null if valid
+ */
+function validatePayload(type, payload) {
+    switch (type) {
+        case 'color':
+            if (!isHexColor(payload.color)) {
+                return validationError('invalid_color', 'color must be a hex code like #FF0000');
+            }
+            return null;
+
+        case 'brightness':
+            if (typeof payload.value !== 'number' || !(payload.value >= 0 && payload.value <= 1)) {
+                return validationError('invalid_payload', 'brightness value must be a number from 0 to 1');
+            }
+            return null;
+
+        case 'transition':
+            if (!isHexColor(payload.color)) {
+                return validationError('invalid_color', 'color must be a hex code like #FF0000');
+            }
+            if (!Number.isInteger(payload.duration) || payload.duration < 0 || payload.duration > MAX_TRANSITION_DURATION) {
+                return validationError('invalid_payload', `duration must be an integer from 0 to ${MAX_TRANSITION_DURATION} ms`);
+            }
+            return null;
+
+        case 'join':
+            if (typeof payload.room !== 'string') {
+                return validationError('invalid_payload', 'room must be a string');
+            }
+            return null;
+
+        case 'ack':
+            if (typeof payload.ref !== 'string' || !payload.ref || payload.ref.length > MAX_ID_LENGTH) {
+                return validationError('invalid_payload', 'ack ref must be the id of the acknowledged command');
+            }
+            if (!ACK_STATUSES.includes(payload.status)) {
+                return validationError('invalid_payload', `ack status must be one of: ${ACK_STATUSES.join(', ')}`);
+            }
+            if (payload.error !== undefined &&
+                (typeof payload.error !== 'string' || payload.error.length > MAX_ERROR_LENGTH)) {
+                return validationError('invalid_payload', `ack error must be a string of at most ${MAX_ERROR_LENGTH} characters`);
+            }
+            return null;
+
+        case 'sequence':
+            if (!SEQUENCE_ACTIONS.includes(payload.action)) {
+                return validationError('invalid_payload', `sequence action must be one of: ${SEQUENCE_ACTIONS.join(', ')}`);
+            }
+            return payload.action === 'play' ? validateSequence(payload.sequence) : null;
+
+        case 'record':
+            if (!RECORD_ACTIONS.includes(payload.action)) {
+                return validationError('invalid_payload', `record action must be one of: ${RECORD_ACTIONS.join(', ')}`);
+            }
+            return null;
+
+        case 'report':
+            // What a receiver is displaying; every field is optional and null clears it
+            if (payload.color !== undefined && payload.color !== null && !isHexColor(payload.color)) {
+                return validationError('invalid_color', 'report color must be a hex code like #FF0000');
+            }
+            if (payload.brightness !== undefined && payload.brightness !== null &&
+                (typeof payload.brightness !== 'number' || !(payload.brightness >= 0 && payload.brightness <= 1))) {
+                return validationError('invalid_payload', 'report brightness must be a number from 0 to 1');
+            }
+            if (payload.scene !== undefined && payload.scene !== null &&
+                (typeof payload.scene !== 'string' || payload.scene.length > MAX_SCENE_LENGTH)) {
+                return validationError('invalid_payload', `report scene must be a string of at most ${MAX_SCENE_LENGTH} characters`);
+            }
+            if (payload.error !== undefined && payload.error !== null &&
+                (typeof payload.error !== 'string' || payload.error.length > MAX_ERROR_LENGTH)) {
+                return validationError('invalid_payload', `report error must be a string of at most ${MAX_ERROR_LENGTH} characters`);
+            }
+            return null;
+
+        case 'hello':
+            if (payload.clientType !== undefined &&
+                (typeof payload.clientType !== 'string' || payload.clientType.length > MAX_NAME_LENGTH)) {
+                return validationError('invalid_payload', `clientType must be a string of at most ${MAX_NAME_LENGTH} characters`);
+            }
+            if (payload.name !== undefined &&
+                (typeof payload.name !== 'string' || payload.name.length > MAX_NAME_LENGTH)) {
+                return validationError('invalid_payload', `name must be a string of at most ${MAX_NAME_LENGTH} characters`);
+            }
+            if (payload.groups !== undefined && (!Array.isArray(payload.groups) || payload.groups.length > MAX_TARGET_ENTRIES ||
+                !payload.groups.every((name) => typeof name === 'string' && GROUP_NAME_PATTERN.test(name)))) {
+                return validationError('invalid_payload', `groups must be an array of at most ${MAX_TARGET_ENTRIES} names (letters, numbers, dashes and underscores)`);
+            }
+            return null;
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Validate an envelope received from a client
+ * @param {Object} envelope - Parsed envelope
+ * @param {boolean} legacy - True if it was converted from the legacy format
+ * @returns {{code: string, message: string}|null} Validation error, or null if valid
+ */
+function validateEnvelope(envelope, legacy) {
+    if (!legacy && envelope.v !== PROTOCOL_VERSION) {
+        return validationError('unsupported_version', `Unsupported protocol version: ${envelope.v}`);
+    }
+
+    if (typeof envelope.type !== 'string' ||
+        (!COMMAND_TYPES.includes(envelope.type) && !CONTROL_TYPES.includes(envelope.type))) {
+        return validationError('unknown_type', `Unknown message type: ${String(envelope.type).slice(0, MAX_NAME_LENGTH)}`);
+    }
+
+    if (envelope.id.length > MAX_ID_LENGTH) {
+        return validationError('invalid_id', `id must be at most ${MAX_ID_LENGTH} characters`);
+    }
+
+    if (envelope.target !== undefined && envelope.target !== null) {
+        if (!COMMAND_TYPES.includes(envelope.type)) {
+            return validationError('invalid_target', 'Only commands can have a target');
+        }
+        const invalidTarget = validateTarget(envelope.target);
+        if (invalidTarget) {
+            return invalidTarget;
+        }
+    }
+
+    return validatePayload(envelope.type, envelope.payload);
+}
+
+/**
+ * Copy a validated envelope, keeping only known payload fields
+ * Hex colors are upper-cased so every receiver sees the same spelling, and a target that
+ * addresses the whole room is dropped.
+ * @param {Object} envelope - Validated envelope
+ * @returns {Object} Sanitized envelope
+ */
+function sanitizeEnvelope(envelope) {
+    const payload = {};
+    (PAYLOAD_FIELDS[envelope.type] || []).forEach((field) => {
+        if (envelope.payload[field] !== undefined) {
+            payload[field] = envelope.payload[field];
+        }
+    });
+    if (payload.color) {
+        payload.color = payload.color.toUpperCase();
+    }
+    if (envelope.type === 'sequence') {
+        if (payload.action === 'play') {
+            payload.sequence = sanitizeSequence(payload.sequence);
+        } else {
+            delete payload.sequence;
+        }
+    }
+
+    const sanitized = {
+        v: PROTOCOL_VERSION,
+        type: envelope.type,
+        payload,
+        id: envelope.id,
+        ts: envelope.ts
+    };
+    const target = envelope.target ? sanitizeTarget(envelope.target) : null;
+    if (target) {
+        sanitized.target = target;
+    }
+    return sanitized;
+}
+
+// ===========================
+// Legacy Conversion
+// ===========================
+
+/**
+ * Convert a command envelope to the legacy plain-hex format
+ * Commands that legacy receivers can't express (brightness, reset, or a color meant for named
+ * objects only, which they would apply to the whole scene) return null and are not sent.
+ * @param {Object} envelope - Command envelope
+ * @returns {string|null} Hex string, or null if there is no legacy equivalent
+ */
+function toLegacy(envelope) {
+    if (envelope.target && envelope.target.objects) {
+        return null;
+    }
+    switch (envelope.type) {
+        case 'color':
+        case 'transition':
+            return envelope.payload.color || null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Serialize an envelope for a client speaking the given protocol version
+ * @param {Object} envelope - Envelope to send
+ * @param {number} protocol - Client protocol version (0 = legacy)
+ * @returns {string|null} Wire format, or null if nothing should be sent
+ */
+function serializeFor(envelope, protocol) {
+    if (protocol >= PROTOCOL_VERSION) {
+        return JSON.stringify(envelope);
+    }
+    return toLegacy(envelope);
+}
+
+/**
+ * Parse a requested protocol version
+ * @param {string|number} value - Requested version (e.g. from ?protocol=1)
+ * @returns {number} Supported protocol version
+ */
+function negotiateProtocol(value) {
+    const requested = parseInt(value, 10);
+    if (!requested || requested < PROTOCOL_VERSION) {
+        return LEGACY_PROTOCOL;
+    }
+    return PROTOCOL_VERSION;
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    LEGACY_PROTOCOL,
+    COMMAND_TYPES,
+    CONTROL_TYPES,
+    SEQUENCE_ACTIONS,
+    RECORD_ACTIONS,
+    isHexColor,
+    validateSequence,
+    validateEnvelope,
+    sanitizeEnvelope,
+    parseGroups,
+    matchesTarget,
+    generateMessageId,
+    createEnvelope,
+    isCommandType,
+    parseMessage,
+    toLegacy,
+    serializeFor,
+    negotiateProtocol
+};
@@ -0,0 +1,167 @@
+/**
+ * Rate Limiting
+ * Token buckets per client and per IP address
+ */
+
+// ===========================
+// Token Bucket
+// ===========================
+
+/**
+ * Create a token bucket
+ * The bucket starts full, holds at most `burst` tokens and refills at `rate` tokens per second.
+ * @param {number} rate - Tokens added per second
+ * @param {number} burst - Bucket capacity
+ * @returns {Object} Token bucket
+ */
+function createTokenBucket(rate, burst) {
+    let tokens = burst;
+    let lastRefill = Date.now();
+
+    /**
+     * Add the tokens earned since the last refill
+     */
+    function refill() {
+        const now = Date.now();
+        tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * rate);
+        lastRefill = now;
+    }
+
+    /**
+     * Check whether a token is available without taking it
+     * @returns {boolean} True if a token is available
+     */
+    function canTake() {
+        refill();
+        return tokens >= 1;
+    }
+
+    /**
+     * Take a token (call canTake() first)
+     */
+    function take() {
+        tokens -= 1;
+    }
+
+    /**
+     * Get the time until the next token is available
+     * @returns {number} Milliseconds (0 if a token is available now)
+     */
+    function msUntilAvailable() {
+        refill();
+        return tokens >= 1 ? 0 : Math.ceil(((1 - tokens) / rate) * 1000);
+    }
+
+    return { canTake, take, msUntilAvailable };
+}
+
+// ===========================
+// Rate Limiter
+// ===========================
+
+/**
+ * Create a rate limiter with one bucket per client and one shared bucket per IP address
+ * Acks have a bucket of their own per client. A rate of 0 disables that limit.
+ * @param {Object} options - Limits
+ * @param {number} options.clientRate - Messages per second per client
+ * @param {number} options.clientBurst - Burst size per client
+ * @param {number} options.ipRate - Messages per second per IP address
+ * @param {number} options.ipBurst - Burst size per IP address
+ * @param {number} [options.ackRate] - Acks per second per client
+ * @param {number} [options.ackBurst] - Ack burst size per client
+ * @returns {Object} Rate limiter
+ */
+function createRateLimiter(options) {
+    const clientBuckets = new Map(); // client id -> bucket
+    const ipBuckets = new Map(); // ip -> {bucket, clients: number}
+    const ackBuckets = new Map(); // client id -> bucket for acks
+
+    /**
+     * Register a client and its IP address
+     * @param {string} clientId - Client identifier
+     * @param {string} ip - Client IP address
+     */
+    function addClient(clientId, ip) {
+        if (options.clientRate > 0) {
+            clientBuckets.set(clientId, createTokenBucket(options.clientRate, options.clientBurst));
+        }
+        if (options.ackRate > 0) {
+            ackBuckets.set(clientId, createTokenBucket(options.ackRate, options.ackBurst));
+        }
+
+        if (options.ipRate > 0) {
+            if (!ipBuckets.has(ip)) {
+                ipBuckets.set(ip, { bucket: createTokenBucket(options.ipRate, options.ipBurst), clients: 0 });
+            }
+            ipBuckets.get(ip).clients++;
+        }
+    }
+
+    /**
+     * Forget a client; the IP bucket is dropped with its last client
+     * @param {string} clientId - Client identifier
+     * @param {string} ip - Client IP address
+     */
+    function removeClient(clientId, ip) {
+        clientBuckets.delete(clientId);
+        ackBuckets.delete(clientId);
+
+        const entry = ipBuckets.get(ip);
+        if (entry && --entry.clients <= 0) {
+            ipBuckets.delete(ip);
+        }
+    }
+
+    /**
+     * Try to spend one message from both the client and the IP budget
+     * @param {string} clientId - Client identifier
+     * @param {string} ip - Client IP address
+     * @returns {{allowed: boolean, retryAfter: number}} Result and milliseconds until the next message is allowed
+     */
+    function consume(clientId, ip) {
+        return spend([clientBuckets.get(clientId), ipBuckets.has(ip) ? ipBuckets.get(ip).bucket : null]);
+    }
+
+    /**
+     * Try to spend one ack from the client's ack budget
+     * A receiver answers every command sent to its room, which can add up to more than the
+     * messages it sends itself, and headsets often share an IP address.
+     * @param {string} clientId - Client identifier
+     * @returns {{allowed: boolean, retryAfter: number}} Result and milliseconds until the next ack is allowed
+     */
+    function consumeAck(clientId) {
+        return spend([ackBuckets.get(clientId)]);
+    }
+
+    /**
+     * Take a token from each bucket, or from none if one of them is empty
+     * @param {Array<Object|null|undefined>} candidates - Buckets (missing ones are disabled limits)
+     * @returns {{allowed: boolean, retryAfter: number}} Result and milliseconds until a token is available in all of them
+     */
+    function spend(candidates) {
+        const buckets = candidates.filter(Boolean);
+
+        // Only spend tokens if every bucket has one
+        if (buckets.every((bucket) => bucket.canTake())) {
+            buckets.forEach((bucket) => bucket.take());
+            return { allowed: true, retryAfter: 0 };
+        }
+
+        return {
+            allowed: false,
+            retryAfter: Math.max(...buckets.map((bucket) => bucket.msUntilAvailable()))
+        };
+    }
+
+    return {
+        addClient,
+        removeClient,
+        consume,
+        consumeAck
+    };
+}
+
+module.exports = {
+    createTokenBucket,
+    createRateLimiter
+};
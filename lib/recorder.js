@@ -0,0 +1,415 @@
+/**
+ * Recorder
+ * Records the commands relayed to a room as JSON lines, one file per session,
+ * and replays a recording into a room at its original or a scaled speed
+ */
+
+// ===========================
+// Import Dependencies
+// ===========================
+
+const fs = require('fs');
+const path = require('path');
+
+// ===========================
+// Configuration
+// ===========================
+
+// <room>_<YYYYMMDD-HHMMSS>[-n].jsonl (room names never contain dots or slashes)
+const RECORDING_NAME_PATTERN = /^([a-z0-9_-]{1,32})_(\d{8}-\d{6})(-\d+)?\.jsonl$/;
+const MIN_REPLAY_SPEED = 0.1;
+const MAX_REPLAY_SPEED = 100;
+
+// ===========================
+// File Helpers
+// ===========================
+
+/**
+ * Check that a recording name is one the recorder could have written
+ * Also keeps download requests inside the recordings directory.
+ * @param {string} name - File name (e.g. 'lab-a_20260312-141503.jsonl')
+ * @returns {boolean} True if the name is valid
+ */
+function isRecordingName(name) {
+    return typeof name === 'string' && RECORDING_NAME_PATTERN.test(name);
+}
+
+/**
+ * Build the file name of a new recording
+ * @param {string} room - Room name
+ * @param {Date} date - Start time
+ * @returns {string} File name without the collision suffix
+ */
+function createRecordingName(room, date) {
+    const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    return `${room}_${stamp}.jsonl`;
+}
+
+/**
+ * Parse the lines of a recording
+ * Blank and malformed lines are skipped, so a file cut short by a crash still replays.
+ * @param {string} text - File contents
+ * @returns {Object[]} Recorded commands {t, ts, room, senderId, type, payload, target, id}
+ */
+function parseRecording(text) {
+    return text.split('\n').reduce((entries, line) => {
+        if (!line.trim()) return entries;
+        try {
+            const entry = JSON.parse(line);
+            if (entry && typeof entry.type === 'string' && Number.isFinite(entry.t)) {
+                entries.push(entry);
+            }
+        } catch (error) {
+            // Ignore a torn last line
+        }
+        return entries;
+    }, []);
+}
+
+/**
+ * Parse a replay speed
+ * @param {*} value - Requested speed (1 = original timing, 2 = twice as fast)
+ * @returns {number|null} Speed, or null if it is out of range
+ */
+function parseReplaySpeed(value) {
+    if (value === undefined || value === null || value === '') return 1;
+    const speed = Number(value);
+    return speed >= MIN_REPLAY_SPEED && speed <= MAX_REPLAY_SPEED ? speed : null;
+}
+
+// ===========================
+// Recorder
+// ===========================
+
+/**
+ * Create a recorder
+ * Each room has at most one recording and one replay at a time.
+ * @param {Object} options - Recorder options
+ * @param {string} options.dir - Directory recordings are written to (created on first use)
+ * @param {Function} options.send - send(room, entry) relays a replayed command to the room
+ * @param {Function} options.onStatus - onStatus(room, status) reports recording and replay changes
+ * @param {Function} [options.onError] - onError(room, error) reports a failed recording file
+ * @returns {Object} Recorder
+ */
+function createRecorder(options) {
+    const recordings = new Map(); // room -> recording
+    const replays = new Map(); // room -> replay
+    const onError = options.onError || (() => {});
+
+    /**
+     * Describe a room's recording and replay for status reports
+     * @param {string} room - Room name
+     * @returns {Object} Status {room, recording, replay}
+     */
+    function getStatus(room) {
+        const recording = recordings.get(room);
+        const replay = replays.get(room);
+
+        return {
+            room,
+            recording: recording ? {
+                name: recording.name,
+                startedBy: recording.startedBy,
+                startedAt: new Date(recording.startedAt).toISOString(),
+                commands: recording.commands
+            } : null,
+            replay: replay ? {
+                name: replay.name,
+                speed: replay.speed,
+                position: replay.position,
+                commands: replay.entries.length,
+                startedBy: replay.startedBy
+            } : null
+        };
+    }
+
+    /**
+     * Report a room's status, with what just ended and why
+     * @param {string} room - Room name
+     * @param {string} [ended] - 'recording' or 'replay'
+     * @param {string} [reason] - e.g. 'finished', 'override', 'stopped'
+     */
+    function report(room, ended, reason) {
+        options.onStatus(room, ended ? Object.assign(getStatus(room), { ended, reason }) : getStatus(room));
+    }
+
+    /**
+     * Open a new recording file, adding a suffix if a recording started in the same second
+     * @param {string} room - Room name
+     * @param {Date} date - Start time
+     * @returns {Promise<{name: string, stream: fs.WriteStream}>} Open file
+     */
+    async function openRecordingFile(room, date) {
+        await fs.promises.mkdir(options.dir, { recursive: true });
+
+        const base = createRecordingName(room, date);
+        for (let attempt = 1; ; attempt++) {
+            const name = attempt === 1 ? base : base.replace('.jsonl', `-${attempt}.jsonl`);
+            try {
+                const handle = await fs.promises.open(path.join(options.dir, name), 'wx');
+                return { name, stream: handle.createWriteStream() };
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+        }
+    }
+
+    /**
+     * Start recording the commands relayed to a room
+     * @param {string} room - Room name
+     * @param {string} startedBy - Who started the recording (client id or 'api')
+     * @returns {Promise<Object|null>} Status, or null if the room is already being recorded
+     */
+    async function start(room, startedBy) {
+        if (recordings.has(room)) return null;
+
+        // Reserve the room while the file opens so a double click doesn't start two recordings
+        const recording = { room, name: null, stream: null, startedBy, startedAt: Date.now(), commands: 0, pending: [] };
+        recordings.set(room, recording);
+
+        try {
+            const file = await openRecordingFile(room, new Date(recording.startedAt));
+            recording.name = file.name;
+            recording.stream = file.stream;
+        } catch (error) {
+            recordings.delete(room);
+            throw error;
+        }
+
+        recording.stream.on('error', (error) => {
+            if (recordings.get(room) === recording) {
+                recordings.delete(room);
+                onError(room, error);
+                report(room, 'recording', 'error');
+            }
+        });
+        recording.pending.forEach((line) => recording.stream.write(line));
+        recording.pending = null;
+
+        // Stopped while the file was opening
+        if (recordings.get(room) !== recording) {
+            recording.stream.end();
+            return getStatus(room);
+        }
+
+        report(room);
+        return getStatus(room);
+    }
+
+    /**
+     * Stop a room's recording
+     * @param {string} room - Room name
+     * @returns {Object|null} The finished recording {name, commands, ...}, or null if none was running
+     */
+    function stop(room) {
+        const recording = recordings.get(room);
+        if (!recording) return null;
+
+        const finished = getStatus(room).recording;
+        recordings.delete(room);
+        if (recording.stream) {
+            recording.stream.end();
+        }
+
+        report(room, 'recording', 'stopped');
+        return finished;
+    }
+
+    /**
+     * Append a relayed command to the room's recording, if one is running
+     * @param {string} room - Room name
+     * @param {Object} command - {id, type, payload, target, senderId}
+     */
+    function record(room, command) {
+        const recording = recordings.get(room);
+        if (!recording) return;
+
+        const now = Date.now();
+        const line = JSON.stringify({
+            t: now - recording.startedAt,
+            ts: new Date(now).toISOString(),
+            room,
+            senderId: command.senderId,
+            type: command.type,
+            payload: command.payload,
+            target: command.target, // Left out of the line for commands sent to the whole room
+            id: command.id
+        }) + '\n';
+
+        recording.commands++;
+        if (recording.stream) {
+            recording.stream.write(line);
+        } else {
+            recording.pending.push(line);
+        }
+    }
+
+    /**
+     * Check whether a room is being recorded
+     * @param {string} room - Room name
+     * @returns {boolean} True while recording
+     */
+    function isRecording(room) {
+        return recordings.has(room);
+    }
+
+    /**
+     * List the recordings on disk, newest first
+     * @returns {Promise<Object[]>} Recordings {name, room, size, createdAt, modifiedAt, recording}
+     */
+    async function list() {
+        let names;
+        try {
+            names = await fs.promises.readdir(options.dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const active = new Set(Array.from(recordings.values()).map((recording) => recording.name));
+        const files = await Promise.all(names.filter(isRecordingName).map(async (name) => {
+            const stats = await fs.promises.stat(path.join(options.dir, name));
+            return {
+                name,
+                room: name.match(RECORDING_NAME_PATTERN)[1],
+                size: stats.size,
+                createdAt: stats.birthtime.toISOString(),
+                modifiedAt: stats.mtime.toISOString(),
+                recording: active.has(name)
+            };
+        }));
+
+        return files.sort((a, b) => (a.name < b.name ? 1 : -1));
+    }
+
+    /**
+     * Get the path of a recording on disk
+     * @param {string} name - Recording name
+     * @returns {string|null} File path, or null if the name is invalid
+     */
+    function getFilePath(name) {
+        return isRecordingName(name) ? path.join(options.dir, name) : null;
+    }
+
+    /**
+     * Read the commands of a recording
+     * @param {string} name - Recording name
+     * @returns {Promise<Object[]|null>} Recorded commands, or null if there is no such recording
+     */
+    async function read(name) {
+        const file = getFilePath(name);
+        if (!file) return null;
+
+        try {
+            return parseRecording(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Send the next recorded command of a replay and schedule the one after it
+     * @param {Object} replay - Room replay
+     */
+    function step(replay) {
+        const entry = replay.entries[replay.position];
+        replay.position++;
+        options.send(replay.room, entry);
+
+        // options.send may have stopped this replay (e.g. the command was rejected)
+        if (replays.get(replay.room) !== replay) return;
+
+        if (replay.position >= replay.entries.length) {
+            replays.delete(replay.room);
+            report(replay.room, 'replay', 'finished');
+            return;
+        }
+
+        const next = replay.entries[replay.position];
+        replay.timer = setTimeout(() => step(replay), Math.max(0, (next.t - entry.t) / replay.speed));
+    }
+
+    /**
+     * Replay a recording into a room
+     * The first command is sent right away; the others keep their recorded spacing divided by speed.
+     * A replay already running in the room is replaced.
+     * @param {string} room - Room to replay into (not necessarily the recorded room)
+     * @param {string} name - Recording name
+     * @param {Object[]} entries - Commands from read()
+     * @param {number} speed - Speed factor (1 = original timing)
+     * @param {string} startedBy - Who started the replay (client id or 'api')
+     * @returns {Object} Status
+     */
+    function replay(room, name, entries, speed, startedBy) {
+        stopReplay(room, 'replaced');
+
+        const replayState = { room, name, entries, speed, startedBy, position: 0, timer: null };
+        replays.set(room, replayState);
+        report(room);
+
+        if (entries.length > 0) {
+            step(replayState);
+        } else {
+            replays.delete(room);
+            report(room, 'replay', 'finished');
+        }
+        return getStatus(room);
+    }
+
+    /**
+     * Stop the replay running in a room
+     * @param {string} room - Room name
+     * @param {string} [reason] - Reported reason (default 'stopped')
+     * @returns {boolean} True if a replay was running
+     */
+    function stopReplay(room, reason = 'stopped') {
+        const replayState = replays.get(room);
+        if (!replayState) return false;
+
+        clearTimeout(replayState.timer);
+        replays.delete(room);
+        report(room, 'replay', reason);
+        return true;
+    }
+
+    /**
+     * Check whether a room has a recording or a replay running
+     * @param {string} room - Room name
+     * @returns {boolean} True if there is something to report
+     */
+    function isActive(room) {
+        return recordings.has(room) || replays.has(room);
+    }
+
+    /**
+     * Stop every replay and close every recording without reporting (used on shutdown)
+     */
+    function stopAll() {
+        replays.forEach((replayState) => clearTimeout(replayState.timer));
+        replays.clear();
+        recordings.forEach((recording) => recording.stream && recording.stream.end());
+        recordings.clear();
+    }
+
+    return {
+        start,
+        stop,
+        record,
+        isRecording,
+        list,
+        getFilePath,
+        read,
+        replay,
+        stopReplay,
+        getStatus,
+        isActive,
+        stopAll
+    };
+}
+
+module.exports = {
+    createRecorder,
+    isRecordingName,
+    parseReplaySpeed
+};
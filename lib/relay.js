@@ -0,0 +1,2820 @@
+/**
+ * Relay Server
+ * HTTP + WebSocket relay (rooms, REST API, admin console, metrics, sequences, recordings)
+ * created as an object with start() and stop(), so it can be embedded in other Node tools
+ * or run several times in one process. server.js is the command line entry point.
+ */
+
+// ===========================
+// Import Dependencies
+// ===========================
+
+const WebSocket = require('ws');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { createAuthenticator, safeEqual } = require('./auth');
+const protocol = require('./protocol');
+const { createRateLimiter } = require('./rateLimit');
+const metrics = require('./metrics');
+const { createLogger } = require('./logger');
+const { createSequencer } = require('./sequencer');
+const { createRecorder, parseReplaySpeed } = require('./recorder');
+const { createOscBridge } = require('./osc');
+const { createBus } = require('./bus');
+
+// ===========================
+// Configuration
+// ===========================
+
+const DEFAULT_ROOM = 'default'; // Room used when a client does not ask for one
+const ROOM_NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const AUTH_CLOSE_CODE = 4001; // Application close code for rejected handshakes
+const INVALID_ROOM_CLOSE_CODE = 4002; // Application close code for handshakes asking for an invalid room
+const INVALID_ROOM_MESSAGE = 'Room codes use 1-32 letters, digits, "-" or "_"';
+const CONTROLLER_CLIENT_TYPE = 'controller'; // Controllers send commands; every other client type is a receiver
+// client_type label values of the metrics; clients pick their type, so the others share 'other'
+const METRIC_CLIENT_TYPES = [CONTROLLER_CLIENT_TYPE, 'unity', 'web', 'virtual', 'unknown'];
+const OTHER_CLIENT_TYPE = 'other';
+const POLICY_VIOLATION_CLOSE_CODE = 1008;
+const KICK_CLOSE_CODE = 4003; // Application close code for clients kicked from the admin console
+const ADMIN_WS_PATH = '/admin/ws';
+const ADMIN_NOTIFY_DELAY = 250; // Batch client changes into one snapshot per 250ms
+const ADMIN_DIR = path.join(__dirname, '..', 'admin'); // Static files of the admin page
+const RECEIVER_DIR = path.join(__dirname, '..', 'receiver'); // Static files of the virtual receiver page
+const MAX_CLIENT_NAME_LENGTH = 32;
+const MAX_UNACKED_COMMANDS = 100; // Commands a receiver may still ack; older ones are forgotten
+const STOP_TIMEOUT = 5000; // Connections still open 5 seconds after stop() are terminated
+const INSTANCE_UPDATE_DELAY = 250; // Batch connection count changes into one cluster update per 250ms
+
+// Files of the virtual receiver page: request path -> [file in receiver/, content type]
+const RECEIVER_FILES = {
+    '/receiver': ['index.html', 'text/html; charset=utf-8'],
+    '/receiver/': ['index.html', 'text/html; charset=utf-8'],
+    '/receiver/receiver.js': ['receiver.js', 'application/javascript'],
+    '/receiver/receiver.css': ['receiver.css', 'text/css']
+};
+
+// Options of createRelayServer() and their defaults
+const DEFAULT_OPTIONS = {
+    port: 8080,
+    host: undefined, // All interfaces
+    heartbeatInterval: 30000, // 30 seconds
+    maxPayload: 4096, // Larger frames close the connection (1009)
+    ackTimeout: 3000, // How long to wait for receivers to confirm a command
+    trustProxy: false, // Proxies in front of the relay (true = 1) whose X-Forwarded-For entries are trusted
+    paletteFile: '', // JSON palette shared with controllers through GET /api/palette
+    recordingsDir: path.join(__dirname, '..', 'recordings'), // Session recordings (JSON lines)
+    adminSecret: '', // Admin console (disabled unless set)
+    statusInterval: 300000, // Log server statistics every 5 minutes (0 disables)
+    // Flood protection (set a rate to 0 to disable that limit)
+    rateLimit: {
+        clientRate: 10, // Messages per second per client
+        clientBurst: 20,
+        ipRate: 50, // Messages per second per IP (classrooms share NAT)
+        ipBurst: 100,
+        ackRate: 50, // Acks per second per client, counted apart from its other messages
+        ackBurst: 100,
+        maxViolations: 200, // Throttled messages before disconnect...
+        violationWindow: 10000 // ...within 10 seconds
+    },
+    // Auth is enforced only when shared tokens are configured: {tokens, tokensFile, pairingCodeTtl}
+    auth: {},
+    // OSC over UDP for lighting consoles, disabled unless set: {port, host, sendTo, room, prefix} (see lib/osc.js)
+    osc: null,
+    // Message bus shared by the instances of a cluster: a bus object or {type: 'redis', url, prefix} (see lib/bus.js).
+    // Without one, the relay runs alone on a private in-memory bus.
+    bus: null
+};
+
+// Event hooks that can be passed as options
+const HOOK_NAMES = ['onConnect', 'onDisconnect', 'onMessage', 'onBroadcast'];
+
+/**
+ * Merge options over their defaults; options left undefined keep the default
+ * @param {Object} defaults - Default values
+ * @param {Object} [values] - Options
+ * @returns {Object} Merged options
+ */
+function withDefaults(defaults, values = {}) {
+    const defined = Object.entries(values).filter(([, value]) => value !== undefined);
+    return Object.assign({}, defaults, Object.fromEntries(defined));
+}
+
+// ===========================
+// Relay Server
+// ===========================
+
+/**
+ * Create a relay server
+ * Nothing listens and no timer runs until start() is called.
+ *
+ * Hooks are called with one event object and can't change what happens:
+ *   onConnect({client}), onDisconnect({client, code, reason}),
+ *   onMessage({client, envelope}), onBroadcast({envelope, room, senderId, recipients})
+ *
+ * Middleware runs on every valid message from a WebSocket client, the REST API or OSC, in order,
+ * before it is handled: middleware({envelope, client, room, source}) returns a replacement
+ * envelope, nothing to keep it, or null/false to drop it silently. Throwing rejects the
+ * message with a 'rejected' error. Middleware is synchronous so messages keep their order.
+ *
+ * @param {Object} [options] - See DEFAULT_OPTIONS, plus:
+ * @param {Object} [options.logger] - Logger from lib/logger (default: info level, pretty)
+ * @param {Function[]} [options.middleware] - Message middleware
+ * @param {Function} [options.onConnect] - Called when a relay client connects
+ * @param {Function} [options.onDisconnect] - Called when a relay client disconnects
+ * @param {Function} [options.onMessage] - Called with each message about to be handled
+ * @param {Function} [options.onBroadcast] - Called after a command is relayed to a room
+ * @returns {Object} Relay server with start(), stop(), use(), send(), address(), oscAddress(), getClients()
+ *   and getRoomState()
+ * @throws {Error} If the bus can't be created (e.g. the redis package is missing)
+ */
+function createRelayServer(options = {}) {
+    const config = withDefaults(DEFAULT_OPTIONS, options);
+    config.rateLimit = withDefaults(DEFAULT_OPTIONS.rateLimit, options.rateLimit);
+
+    const HEARTBEAT_INTERVAL = config.heartbeatInterval;
+    const MAX_PAYLOAD = config.maxPayload;
+    const ACK_TIMEOUT = config.ackTimeout;
+    const TRUSTED_PROXY_HOPS = config.trustProxy === true ? 1 : Math.max(0, parseInt(config.trustProxy, 10) || 0);
+    const PALETTE_FILE = config.paletteFile;
+    const RECORDINGS_DIR = config.recordingsDir;
+    const RATE_LIMIT = config.rateLimit;
+    const ADMIN_SECRET = config.adminSecret;
+
+    const log = config.logger || createLogger();
+    const middleware = (config.middleware || []).slice();
+    const hooks = {};
+    HOOK_NAMES.forEach((name) => {
+        if (typeof config[name] === 'function') {
+            hooks[name] = config[name];
+        }
+    });
+
+    // Lifecycle: idle until start(), then listening, then stopped for good
+    let state = 'idle';
+    let heartbeatTimer = null;
+    let statusTimer = null;
+
+    // ===========================
+    // Authentication
+    // ===========================
+
+    // Auth is enforced only when shared tokens are configured (auth.tokens and/or auth.tokensFile)
+    const authenticator = createAuthenticator(config.auth);
+
+    /**
+     * Extract a bearer token from an HTTP request
+     * @param {http.IncomingMessage} req - HTTP request
+     * @returns {string|null} Token, or null if none was sent
+     */
+    function getBearerToken(req) {
+        const header = req.headers.authorization || '';
+        const match = header.match(/^Bearer\s+(.+)$/i);
+        return match ? match[1].trim() : null;
+    }
+
+    // ===========================
+    // Create HTTP Server
+    // ===========================
+
+    /**
+     * Send a JSON response
+     * @param {http.ServerResponse} res - HTTP response
+     * @param {number} status - HTTP status code
+     * @param {Object} body - Response body
+     */
+    function sendJson(res, status, body) {
+        res.writeHead(status, {
+            'Content-Type': 'application/json',
+            // The web controller is hosted on another origin (Vercel)
+            'Access-Control-Allow-Origin': '*'
+        });
+        res.end(JSON.stringify(body));
+    }
+
+    /**
+     * Refuse a REST request with wrong credentials
+     * @param {http.ServerResponse} res - HTTP response
+     * @param {Object} auth - Failed verification result (see lib/auth.js)
+     * @param {string} [message] - Error shown for a wrong credential
+     */
+    function sendAuthFailure(res, auth, message = 'A valid access code is required (Authorization: Bearer <token>)') {
+        if (auth.lockedOut) {
+            // Too many wrong credentials from this address: nothing is checked until the lockout ends
+            res.setHeader('Retry-After', String(auth.retryAfter));
+            sendJson(res, 429, { error: auth.reason });
+        } else {
+            sendJson(res, 401, { error: message });
+        }
+    }
+
+    /**
+     * Send a static file of a page served by the relay (admin console, virtual receiver)
+     * @param {http.ServerResponse} res - HTTP response
+     * @param {string} filePath - File to send
+     * @param {string} contentType - Content type of the file
+     */
+    function sendStaticFile(res, filePath, contentType) {
+        fs.readFile(filePath, (error, content) => {
+            if (error) {
+                log.error('Could not read static file', { file: path.basename(filePath), error: error.message });
+                res.writeHead(500, { 'Content-Type': 'text/plain' });
+                res.end('Internal server error\n');
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'no-cache' });
+            res.end(content);
+        });
+    }
+
+    /**
+     * Get the IP address of the client behind a request
+     * Each proxy appends the address it got the request from to X-Forwarded-For, so the client's
+     * is the entry added by the outermost trusted proxy. Entries left of it come from the client
+     * and could be forged to get a fresh rate limit budget or dodge the access code lockout.
+     * @param {http.IncomingMessage} req - HTTP request
+     * @returns {string} Client IP address
+     */
+    function getClientIp(req) {
+        const forwarded = req.headers['x-forwarded-for'];
+        if (TRUSTED_PROXY_HOPS > 0 && forwarded) {
+            const hops = forwarded.split(',').map((entry) => entry.trim()).filter(Boolean);
+            if (hops.length > 0) {
+                return hops[Math.max(0, hops.length - TRUSTED_PROXY_HOPS)];
+            }
+        }
+        return req.socket.remoteAddress;
+    }
+
+    const server = http.createServer((req, res) => {
+        const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+        // Simple health check endpoint; connections are this instance's, cluster adds up every instance
+        if (pathname === '/health') {
+            getClusterSummary().then((cluster) => sendJson(res, 200, {
+                status: 'ok',
+                connections: wss.clients.size,
+                cluster,
+                rooms: getRoomSummary(),
+                throttling: throttleStats,
+                timestamp: new Date().toISOString()
+            }));
+        } else if (pathname === '/metrics' && req.method === 'GET') {
+            // Prometheus scrape endpoint
+            res.writeHead(200, { 'Content-Type': metrics.CONTENT_TYPE });
+            res.end(registry.render());
+        } else if (req.method === 'OPTIONS') {
+            // CORS preflight for browser callers of the REST API
+            res.writeHead(204, {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+                'Access-Control-Max-Age': '86400'
+            });
+            res.end();
+        } else if (pathname === '/state' && req.method === 'GET') {
+            // Retained state: all rooms, or a single room with ?room=lab-a (same credentials as /api/state)
+            const auth = authenticator.verify(getBearerToken(req), getClientIp(req));
+            if (!auth.ok) {
+                sendAuthFailure(res, auth);
+            } else {
+                try {
+                    sendJson(res, 200, getStateResponse(searchParams));
+                } catch (error) {
+                    sendJson(res, error.status, { error: error.message, code: error.code });
+                }
+            }
+        } else if (pathname === '/admin' || pathname.startsWith('/admin/')) {
+            serveAdminFile(res, pathname);
+        } else if (RECEIVER_FILES[pathname] && req.method === 'GET') {
+            // Virtual receiver page, for testing controllers without a headset
+            sendStaticFile(res, path.join(RECEIVER_DIR, RECEIVER_FILES[pathname][0]), RECEIVER_FILES[pathname][1]);
+        } else if (pathname.startsWith('/api/')) {
+            handleApiRequest(req, res, pathname, searchParams).catch((error) => {
+                if (!error.status) {
+                    log.error('API request failed', { method: req.method, path: pathname, error });
+                }
+                sendJson(res, error.status || 500, error.status
+                    ? { error: error.message, code: error.code }
+                    : { error: 'Internal server error' });
+            });
+        } else if (pathname === '/pair' && req.method === 'POST') {
+            // Issue a short-lived pairing code to a holder of a shared token
+            const auth = authenticator.isEnabled()
+                ? authenticator.verifySharedToken(getBearerToken(req), getClientIp(req))
+                : null;
+            if (!auth) {
+                sendJson(res, 400, { error: 'Authentication is not enabled on this server' });
+            } else if (!auth.ok) {
+                sendAuthFailure(res, auth, auth.reason);
+            } else {
+                const pairing = authenticator.issuePairingCode();
+                log.info('Pairing code issued', { expiresAt: pairing.expiresAt, ip: getClientIp(req) });
+                sendJson(res, 201, pairing);
+            }
+        } else {
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.end('WebSocket Server Running\n');
+        }
+    });
+
+    // ===========================
+    // Create WebSocket Server
+    // ===========================
+
+    const wss = new WebSocket.Server({
+        noServer: true, // Upgrades are routed by path, see server.on('upgrade') below
+        maxPayload: MAX_PAYLOAD,
+        // Accept connections from any origin (for cross-origin support)
+        verifyClient: (info) => {
+            log.debug('Connection request', { origin: info.origin || 'unknown', ip: getClientIp(info.req) });
+
+            // Check the access code (?token=...). The result is acted on once the socket is open:
+            // browsers can't read HTTP rejection details, but they can read a close reason.
+            const query = new URL(info.req.url, 'http://localhost').searchParams;
+            info.req.authResult = authenticator.verify(query.get('token'), getClientIp(info.req));
+            return true;
+        }
+    });
+
+    /**
+     * Route WebSocket upgrades: the admin channel has its own path, everything else is a relay client
+     */
+    server.on('upgrade', (req, socket, head) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const target = pathname === ADMIN_WS_PATH ? adminWss : wss;
+
+        if (target === adminWss && !ADMIN_SECRET) {
+            socket.destroy();
+            return;
+        }
+
+        target.handleUpgrade(req, socket, head, (ws) => {
+            target.emit('connection', ws, req);
+        });
+    });
+
+    // ===========================
+    // Client Management
+    // ===========================
+
+    // Track connected clients with metadata
+    const clients = new Map();
+    let clientIdCounter = 1;
+
+    /**
+     * Generate unique client ID
+     * @returns {string} Unique client identifier
+     */
+    function generateClientId() {
+        // Ids must not collide with the clients of other instances
+        return clustered ? `client_${INSTANCE_TAG}_${clientIdCounter++}` : `client_${clientIdCounter++}`;
+    }
+
+    /**
+     * Get the structured log fields of a client
+     * @param {string} clientId - Client identifier
+     * @returns {Object} clientId, clientName (if renamed), clientType, ip and room
+     */
+    function getClientFields(clientId) {
+        const client = clients.get(clientId);
+        if (!client) return { clientId };
+        return { clientId, clientName: client.name || undefined, clientType: client.type, ip: client.ip, room: client.room };
+    }
+
+    // ===========================
+    // Room Management
+    // ===========================
+
+    // Track room membership: room name -> Set of client IDs
+    const rooms = new Map();
+
+    /**
+     * Read a requested room name
+     * Room codes are case-insensitive; a missing name means the default room. An invalid name
+     * is not the default room: it would mix its sender into the room everyone shares.
+     * @param {string} [name] - Requested room name
+     * @returns {string|null} Valid room name, or null if the name is invalid
+     */
+    function parseRoomName(name) {
+        if (name === undefined || name === null || name === '') return DEFAULT_ROOM;
+        if (typeof name !== 'string') return null;
+        const room = name.trim().toLowerCase();
+        return ROOM_NAME_PATTERN.test(room) ? room : null;
+    }
+
+    /**
+     * Normalize a requested room name
+     * Room codes are case-insensitive; invalid or missing names fall back to the default room
+     * @param {string} name - Requested room name
+     * @returns {string} Valid room name
+     */
+    function normalizeRoomName(name) {
+        return parseRoomName(name) || DEFAULT_ROOM;
+    }
+
+    /**
+     * Move a client into a room, leaving its previous room if any
+     * @param {string} clientId - Client identifier
+     * @param {string} roomName - Room to join
+     */
+    function joinRoom(clientId, roomName) {
+        const client = clients.get(clientId);
+        if (!client) return;
+
+        leaveRoom(clientId);
+
+        if (!rooms.has(roomName)) {
+            rooms.set(roomName, new Set());
+        }
+        rooms.get(roomName).add(clientId);
+        client.room = roomName;
+    }
+
+    /**
+     * Remove a client from its current room
+     * Empty rooms are deleted
+     * @param {string} clientId - Client identifier
+     */
+    function leaveRoom(clientId) {
+        const client = clients.get(clientId);
+        if (!client || !client.room) return;
+
+        const members = rooms.get(client.room);
+        if (members) {
+            members.delete(clientId);
+            if (members.size === 0) {
+                rooms.delete(client.room);
+            }
+        }
+        client.room = null;
+    }
+
+    /**
+     * Get room occupancy for status reporting
+     * @returns {Array<{name: string, connections: number}>} Rooms and their client counts
+     */
+    function getRoomSummary() {
+        return Array.from(rooms.entries()).map(([name, members]) => ({
+            name,
+            connections: members.size
+        }));
+    }
+
+    // ===========================
+    // Presence
+    // ===========================
+
+    /**
+     * Describe a client for the roster shown by controllers
+     * @param {Object} client - Client metadata from the clients map
+     * @returns {Object} {id, name, type, groups, protocol, connectedAt, lastAck, report}
+     */
+    function describePresence(client) {
+        return {
+            id: client.id,
+            name: client.name,
+            type: client.type,
+            groups: client.groups,
+            protocol: client.protocol,
+            connectedAt: client.connectedAt.toISOString(),
+            lastAck: client.lastAck,
+            report: client.report
+        };
+    }
+
+    /**
+     * Send the list of clients in its room to a controller
+     * @param {Object} client - Client metadata from the clients map
+     */
+    function sendRoster(client) {
+        if (client.type !== CONTROLLER_CLIENT_TYPE || client.protocol < protocol.PROTOCOL_VERSION) return;
+
+        const members = Array.from(rooms.get(client.room) || [])
+            .map((memberId) => clients.get(memberId))
+            .filter(Boolean)
+            .map(describePresence)
+            .concat(getRemoteMembers(client.room));
+        sendToClient(client.ws, JSON.stringify(protocol.createEnvelope('roster', { room: client.room, clients: members })));
+    }
+
+    /**
+     * Tell the controllers of a room, on every instance, that a client joined, left or changed
+     * @param {string} room - Room name
+     * @param {string} event - 'join', 'leave' or 'update'
+     * @param {Object} presence - Client from describePresence()
+     * @param {WebSocket} [except] - Socket that doesn't need the event (e.g. the client itself)
+     */
+    function notifyPresence(room, event, presence, except = null) {
+        if (!room) return;
+        sendToControllers(room, protocol.createEnvelope('presence', { room, event, client: presence }), except);
+        publishToCluster('presence', { room, action: event, client: presence });
+    }
+
+    /**
+     * Store what a receiver reports it is displaying and pass it on to the room's controllers
+     * Reports update the previous one field by field; a null field clears it.
+     * @param {Object} client - Receiver metadata from the clients map
+     * @param {Object} report - Validated report payload {color, brightness, scene, error}
+     */
+    function handleReport(client, report) {
+        const merged = Object.assign({}, client.report, report, { at: new Date().toISOString() });
+        Object.keys(merged).forEach((field) => {
+            if (merged[field] === null) delete merged[field];
+        });
+        client.report = merged;
+
+        log.debug('Report received', Object.assign(getClientFields(client.id), { report: merged }));
+        const payload = { room: client.room, clientId: client.id, name: client.name, report: merged };
+        sendToControllers(client.room, protocol.createEnvelope('report', payload), client.ws);
+        publishToCluster('report', { room: client.room, payload });
+    }
+
+    // ===========================
+    // Retained State
+    // ===========================
+
+    // Last applied state per room: room name -> {color, brightness, command, updatedAt, updatedBy}
+    const roomStates = new Map();
+
+    /**
+     * Get the retained state of a room
+     * @param {string} room - Room name
+     * @returns {Object|null} Retained state, or null if nothing was applied yet
+     */
+    function getRoomState(room) {
+        return roomStates.get(room) || null;
+    }
+
+    /**
+     * Update the retained state of a room after a command is relayed
+     * Directed commands only change part of the room, so they don't update its state.
+     * @param {string} room - Room name
+     * @param {Object} envelope - Command envelope
+     * @param {string} senderId - ID of the client that sent the command
+     */
+    function updateRoomState(room, envelope, senderId) {
+        if (envelope.target) {
+            return;
+        }
+        if (envelope.type === 'reset') {
+            roomStates.delete(room);
+            return;
+        }
+
+        const state = Object.assign({ color: null, brightness: null }, roomStates.get(room));
+
+        if (envelope.type === 'color' || envelope.type === 'transition') {
+            state.color = envelope.payload.color;
+        } else if (envelope.type === 'brightness') {
+            state.brightness = envelope.payload.value;
+        } else {
+            return;
+        }
+
+        state.command = envelope;
+        state.updatedAt = new Date().toISOString();
+        state.updatedBy = senderId;
+        roomStates.set(room, state);
+    }
+
+    /**
+     * Build the response of the state endpoints
+     * @param {URLSearchParams} searchParams - Query; ?room=lab-a selects a single room
+     * @returns {Object} State of one room, or of every room
+     * @throws {Error} 400 invalid_room if the room name is invalid
+     */
+    function getStateResponse(searchParams) {
+        if (searchParams.has('room')) {
+            const room = getRequestRoom({}, searchParams);
+            return { room, state: getRoomState(room) };
+        }
+        return { rooms: Object.fromEntries(roomStates) };
+    }
+
+    /**
+     * Send a room's retained state to a single client
+     * Replayed commands are marked with payload.replay so receivers can skip transitions
+     * @param {Object} client - Client metadata from the clients map
+     */
+    function replayRoomState(client) {
+        // Controllers that (re)join while a sequence runs get its playback status
+        const playback = sequencer.getStatus(client.room);
+        if (playback && client.type === CONTROLLER_CLIENT_TYPE && client.protocol >= protocol.PROTOCOL_VERSION) {
+            sendToClient(client.ws, JSON.stringify(protocol.createEnvelope('playback', playback)));
+        }
+        // ...and whether the room is being recorded or replayed
+        if (recorder.isActive(client.room) && client.type === CONTROLLER_CLIENT_TYPE && client.protocol >= protocol.PROTOCOL_VERSION) {
+            sendToClient(client.ws, JSON.stringify(protocol.createEnvelope('recording', recorder.getStatus(client.room))));
+        }
+
+        const state = getRoomState(client.room);
+        if (!state) return;
+
+        const replay = [];
+        if (state.color) {
+            replay.push(protocol.createEnvelope('color', { color: state.color, replay: true }));
+        }
+        if (state.brightness !== null) {
+            replay.push(protocol.createEnvelope('brightness', { value: state.brightness, replay: true }));
+        }
+
+        replay.forEach((envelope) => {
+            const message = protocol.serializeFor(envelope, client.protocol);
+            if (message !== null) {
+                sendToClient(client.ws, message);
+            }
+        });
+        log.debug('Replayed room state', Object.assign(getClientFields(client.id), { messages: replay.length }));
+    }
+
+    // ===========================
+    // WebSocket Event Handlers
+    // ===========================
+
+    /**
+     * Handle new WebSocket connection
+     */
+    wss.on('connection', (ws, req) => {
+        // Close rejected handshakes with a reason the client can display
+        if (req.authResult && !req.authResult.ok) {
+            log.warn('Connection rejected', { ip: getClientIp(req), reason: req.authResult.reason });
+            connectionsRejected.inc({ reason: 'auth' });
+            ws.close(AUTH_CLOSE_CODE, req.authResult.reason);
+            return;
+        }
+
+        // Room can be requested with a query string, e.g. ws://host:8080/?room=lab-a
+        const query = new URL(req.url, 'http://localhost').searchParams;
+        const room = parseRoomName(query.get('room'));
+        if (!room) {
+            log.warn('Connection rejected', { ip: getClientIp(req), reason: INVALID_ROOM_MESSAGE, room: query.get('room') });
+            connectionsRejected.inc({ reason: 'invalid_room' });
+            ws.close(INVALID_ROOM_CLOSE_CODE, INVALID_ROOM_MESSAGE);
+            return;
+        }
+
+        // Generate unique ID for this client
+        const clientId = generateClientId();
+        const clientIp = getClientIp(req);
+
+        // Store client metadata
+        clients.set(clientId, {
+            ws: ws,
+            id: clientId,
+            ip: clientIp,
+            connectedAt: new Date(),
+            type: 'unknown', // Will be updated based on first message
+            name: null, // Friendly name from the hello message or the admin console
+            groups: [], // Groups directed commands can address, from the hello message or ?groups=
+            protocol: protocol.LEGACY_PROTOCOL, // Plain hex until the client negotiates envelopes
+            room: null,
+            isAlive: true,
+            messageCount: 0,
+            invalidMessageCount: 0,
+            throttledCount: 0,
+            violations: { count: 0, windowStart: 0 }, // Throttled messages in the current window
+            coalescedCommand: null, // Latest command held back while throttled
+            coalesceTimer: null,
+            lastAck: null, // Latest ack status {status, at}, shown in the controllers' roster
+            unackedCommands: new Set(), // Ids of the commands sent to this receiver that it hasn't acked yet
+            report: null, // What the receiver last reported displaying {color, brightness, scene, error, at}
+            lastActivityAt: new Date()
+        });
+        rateLimiter.addClient(clientId, clientIp);
+
+        // Attach client ID to WebSocket object
+        ws.clientId = clientId;
+
+        joinRoom(clientId, room);
+        applyHello(clients.get(clientId), {
+            protocol: query.get('protocol'),
+            clientType: query.get('clientType'),
+            name: query.get('name'),
+            groups: query.get('groups')
+        });
+
+        // Late joiners (e.g. a restarted Unity app) immediately get the room's current state
+        replayRoomState(clients.get(clientId));
+
+        // Controllers get the room's roster; the room's other controllers learn about the newcomer
+        sendRoster(clients.get(clientId));
+        notifyPresence(clients.get(clientId).room, 'join', describePresence(clients.get(clientId)), ws);
+
+        log.info('Connection opened', Object.assign(getClientFields(clientId), {
+            protocol: clients.get(clientId).protocol || 'legacy',
+            connections: wss.clients.size
+        }));
+        notifyAdmins();
+        scheduleInstanceUpdate();
+        callHook('onConnect', { client: describeClient(clients.get(clientId)) });
+
+        // Don't send welcome message - Unity expects only hex codes, not JSON
+
+        // ===========================
+        // Handle incoming messages
+        // ===========================
+
+        ws.on('message', (data) => {
+            // Ignore frames still arriving after we decided to close the connection
+            if (ws.readyState !== WebSocket.OPEN) return;
+
+            try {
+                const client = clients.get(clientId);
+                if (client) {
+                    client.messageCount++;
+                    client.lastActivityAt = new Date();
+                    messagesReceived.inc({ client_type: getClientTypeLabel(client.type) });
+                    notifyAdmins();
+                }
+
+                // Convert buffer to string
+                const message = data.toString();
+
+                // Normalize envelopes, legacy JSON and bare hex strings into one envelope shape
+                const { envelope, legacy, clientType } = protocol.parseMessage(message);
+
+                // Acks answer our own commands, so they have a budget of their own
+                if (client) {
+                    const limit = envelope.type === 'ack'
+                        ? rateLimiter.consumeAck(clientId)
+                        : rateLimiter.consume(clientId, client.ip);
+                    if (!limit.allowed) {
+                        handleThrottled(client, envelope, legacy, limit.retryAfter);
+                        return;
+                    }
+                }
+
+                // Update client type if provided by a legacy client
+                if (clientType && client && clientType !== client.type) {
+                    client.type = clientType;
+                    notifyPresence(client.room, 'update', describePresence(client));
+                }
+
+                log.debug('Message received', Object.assign(getClientFields(clientId), {
+                    type: envelope.type,
+                    bytes: data.length,
+                    content: message
+                }));
+
+                // Reject malformed messages before they reach any receiver
+                const invalid = protocol.validateEnvelope(envelope, legacy);
+                if (invalid) {
+                    if (client) {
+                        client.invalidMessageCount++;
+                    }
+                    messagesRejected.inc({ reason: invalid.code });
+                    log.info('Message rejected', Object.assign(getClientFields(clientId), {
+                        code: invalid.code,
+                        reason: invalid.message
+                    }));
+                    sendError(client || { ws, protocol: protocol.LEGACY_PROTOCOL }, invalid.code, invalid.message, envelope.id);
+                    return;
+                }
+
+                // A newer command supersedes one still held back by the rate limiter
+                if (client && client.coalescedCommand && protocol.isCommandType(envelope.type)) {
+                    discardCoalescedCommand(client);
+                }
+
+                receiveEnvelope(client, protocol.sanitizeEnvelope(envelope), legacy);
+
+            } catch (error) {
+                log.error('Failed to process message', Object.assign(getClientFields(clientId), { error }));
+                sendError(clients.get(clientId) || { ws, protocol: protocol.LEGACY_PROTOCOL }, 'server_error', 'Failed to process message');
+            }
+        });
+
+        // ===========================
+        // Handle client disconnect
+        // ===========================
+
+        ws.on('close', (code, reason) => {
+            const client = clients.get(clientId);
+            const duration = client ?
+                Math.round((Date.now() - client.connectedAt.getTime()) / 1000) : 0;
+            const room = client ? client.room : null;
+
+            // The closed socket has already left wss.clients
+            log.info('Connection closed', Object.assign(getClientFields(clientId), {
+                code,
+                reason: reason.toString() || undefined,
+                durationSeconds: duration,
+                messages: client ? client.messageCount : 0,
+                invalidMessages: client ? client.invalidMessageCount : 0,
+                throttledMessages: client ? client.throttledCount : 0,
+                connections: wss.clients.size
+            }));
+
+            // Remove client from its room, the rate limiter and the map
+            const presence = client ? describePresence(client) : null;
+            if (client) {
+                callHook('onDisconnect', { client: describeClient(client), code, reason: reason.toString() });
+                discardCoalescedCommand(client);
+                rateLimiter.removeClient(clientId, client.ip);
+            }
+            leaveRoom(clientId);
+            clients.delete(clientId);
+            notifyAdmins();
+            scheduleInstanceUpdate();
+
+            // Notify remaining clients in the same room
+            if (room) {
+                broadcastSystemMessage(`Client ${clientId} left`, null, room, { event: 'leave', clientId });
+                notifyPresence(room, 'leave', presence);
+            }
+        });
+
+        // ===========================
+        // Handle errors
+        // ===========================
+
+        ws.on('error', (error) => {
+            log.error('WebSocket error', Object.assign(getClientFields(clientId), { error: error.message }));
+        });
+
+        // ===========================
+        // Setup heartbeat/ping-pong
+        // ===========================
+
+        ws.isAlive = true;
+
+        ws.on('pong', () => {
+            ws.isAlive = true;
+            const client = clients.get(clientId);
+            if (client) {
+                client.isAlive = true;
+            }
+        });
+    });
+
+    // ===========================
+    // Hooks and Middleware
+    // ===========================
+
+    /**
+     * Call an event hook; a hook that throws is logged and doesn't affect the relay
+     * @param {string} name - Hook name (e.g. 'onConnect')
+     * @param {Object} event - Event passed to the hook
+     */
+    function callHook(name, event) {
+        if (!hooks[name]) return;
+        try {
+            hooks[name](event);
+        } catch (error) {
+            log.error('Hook failed', { hook: name, error });
+        }
+    }
+
+    /**
+     * Run a message through the middleware
+     * The result is validated again, so middleware can't relay what a client couldn't send.
+     * @param {Object} envelope - Validated, sanitized envelope
+     * @param {Object|null} client - Sender metadata from the clients map (null for REST API callers)
+     * @param {string} room - Room the message applies to
+     * @param {string} source - 'websocket', 'api' or 'osc'
+     * @returns {{envelope: (Object|null), error: (Object|undefined)}} Envelope to handle (null if dropped),
+     *   or the {code, message} error if it was rejected
+     */
+    function applyMiddleware(envelope, client, room, source) {
+        if (middleware.length === 0) {
+            return { envelope };
+        }
+
+        const info = client ? describeClient(client) : null;
+        let current = envelope;
+        for (const fn of middleware) {
+            let result;
+            try {
+                result = fn({ envelope: current, client: info, room, source });
+            } catch (error) {
+                return { envelope: null, error: { code: 'rejected', message: error.message || 'Rejected by the server' } };
+            }
+
+            if (result === null || result === false) {
+                return { envelope: null };
+            }
+            if (result !== undefined) {
+                // Replacements keep the original id, so receipts still match
+                current = Object.assign({ v: protocol.PROTOCOL_VERSION, payload: {}, id: envelope.id, ts: envelope.ts }, result);
+            }
+        }
+
+        const invalid = protocol.validateEnvelope(current, false);
+        if (invalid) {
+            log.warn('Middleware produced an invalid message', { type: current.type, code: invalid.code });
+            return { envelope: null, error: invalid };
+        }
+        return { envelope: protocol.sanitizeEnvelope(current) };
+    }
+
+    /**
+     * Pass a client's message through the middleware and hooks, then handle it
+     * @param {Object} client - Sender metadata from the clients map
+     * @param {Object} envelope - Validated, sanitized envelope
+     * @param {boolean} legacy - True if the message was not a versioned envelope
+     */
+    function receiveEnvelope(client, envelope, legacy) {
+        if (!client) return;
+
+        const filtered = applyMiddleware(envelope, client, client.room, 'websocket');
+        if (filtered.error) {
+            messagesRejected.inc({ reason: 'middleware' });
+            log.info('Message rejected by middleware', Object.assign(getClientFields(client.id), {
+                type: envelope.type,
+                code: filtered.error.code,
+                reason: filtered.error.message
+            }));
+            sendError(client, filtered.error.code, filtered.error.message, envelope.id);
+            return;
+        }
+        if (!filtered.envelope) {
+            log.debug('Message dropped by middleware', Object.assign(getClientFields(client.id), { type: envelope.type }));
+            return;
+        }
+
+        callHook('onMessage', { client: describeClient(client), envelope: filtered.envelope });
+        handleEnvelope(client, filtered.envelope, legacy);
+    }
+
+    // ===========================
+    // Message Handling
+    // ===========================
+
+    /**
+     * Apply protocol negotiation and identification data to a client
+     * @param {Object} client - Client metadata from the clients map
+     * @param {Object} hello - Negotiation fields
+     * @param {string|number} [hello.protocol] - Requested protocol version
+     * @param {string} [hello.clientType] - Client type (e.g. 'controller', 'unity')
+     * @param {string} [hello.name] - Friendly name shown in rosters (e.g. 'Headset 3')
+     * @param {string|string[]} [hello.groups] - Groups for directed commands (e.g. ['left-wall'] or 'left-wall,team-a')
+     */
+    function applyHello(client, hello) {
+        if (!client) return;
+
+        if (hello.protocol !== undefined && hello.protocol !== null) {
+            client.protocol = protocol.negotiateProtocol(hello.protocol);
+        }
+        if (hello.clientType) {
+            client.type = String(hello.clientType).slice(0, 32);
+        }
+        if (typeof hello.name === 'string' && hello.name.trim()) {
+            client.name = hello.name.trim().slice(0, MAX_CLIENT_NAME_LENGTH);
+        }
+        if (hello.groups !== undefined && hello.groups !== null) {
+            client.groups = protocol.parseGroups(hello.groups);
+        }
+    }
+
+    /**
+     * Handle a parsed envelope from a client
+     * @param {Object} client - Sender metadata from the clients map
+     * @param {Object} envelope - Parsed envelope
+     * @param {boolean} legacy - True if the message was not a versioned envelope
+     */
+    function handleEnvelope(client, envelope, legacy) {
+        if (!client) return;
+
+        switch (envelope.type) {
+            case 'hello': {
+                // {"v": 1, "type": "hello", "payload": {"clientType": "unity", "name": "Headset 3", "groups": ["left-wall"]}}
+                const previous = describePresence(client);
+                applyHello(client, {
+                    protocol: legacy ? undefined : envelope.v,
+                    clientType: envelope.payload.clientType,
+                    name: envelope.payload.name,
+                    groups: envelope.payload.groups
+                });
+                log.debug('Client identified', Object.assign(getClientFields(client.id), { protocol: client.protocol || 'legacy' }));
+
+                // Resend the state in the new format (brightness is only expressible in envelopes)
+                if (client.protocol !== previous.protocol) {
+                    replayRoomState(client);
+                }
+                if (client.type !== previous.type || client.name !== previous.name || client.protocol !== previous.protocol ||
+                    client.groups.join() !== previous.groups.join()) {
+                    // A client that just said it is a controller needs the roster
+                    if (client.type !== previous.type || client.protocol !== previous.protocol) {
+                        sendRoster(client);
+                    }
+                    notifyPresence(client.room, 'update', describePresence(client), client.ws);
+                }
+                return;
+            }
+
+            case 'join': {
+                // {"v": 1, "type": "join", "payload": {"room": "lab-a"}}
+                const room = parseRoomName(envelope.payload.room);
+                if (!room) {
+                    messagesRejected.inc({ reason: 'invalid_room' });
+                    sendError(client, 'invalid_room', INVALID_ROOM_MESSAGE, envelope.id);
+                    return;
+                }
+                const previousRoom = client.room;
+                joinRoom(client.id, room);
+                replayRoomState(client);
+                // Joining the room the client is already in only replays the state and roster
+                if (client.room !== previousRoom) {
+                    broadcastSystemMessage(`Client ${client.id} left`, client.ws, previousRoom, { event: 'leave', clientId: client.id });
+                    log.info('Client changed room', Object.assign(getClientFields(client.id), { previousRoom }));
+                    notifyPresence(previousRoom, 'leave', describePresence(client));
+                    notifyPresence(client.room, 'join', describePresence(client), client.ws);
+                }
+                sendRoster(client);
+                return;
+            }
+
+            case 'ack':
+                // {"v": 1, "type": "ack", "payload": {"ref": "<command id>", "status": "applied"}}
+                recordAck(client, envelope.payload);
+                return;
+
+            case 'sequence':
+                // {"v": 1, "type": "sequence", "payload": {"action": "play", "sequence": {"steps": [...]}}}
+                handleSequenceControl(client, envelope);
+                return;
+
+            case 'record':
+                // {"v": 1, "type": "record", "payload": {"action": "start"}}
+                handleRecordControl(client, envelope);
+                return;
+
+            case 'report':
+                // {"v": 1, "type": "report", "payload": {"color": "#FF0000", "scene": "Lobby", "error": null}}
+                handleReport(client, envelope.payload);
+                return;
+
+            default: {
+                // Commands (color, brightness, transition, reset) are relayed to the sender's room,
+                // or to the receivers of its target.
+                // Legacy senders can't read receipts.
+                const onReceipt = client.protocol >= protocol.PROTOCOL_VERSION
+                    ? (receipt) => sendToClient(client.ws, JSON.stringify(receipt))
+                    : null;
+                relayCommand(envelope, client.room, client, onReceipt);
+            }
+        }
+    }
+
+    /**
+     * Relay a validated command to a room and update the room's retained state
+     * This is the single path for commands from WebSocket clients, the REST API, OSC, sequences
+     * and replays; the other instances of the cluster get the command through the bus.
+     * @param {Object} envelope - Sanitized command envelope
+     * @param {string} room - Room to relay to
+     * @param {Object|null} sender - Sender metadata from the clients map (null for HTTP callers)
+     * @param {Function|null} onReceipt - Called with the delivery receipt, if one is wanted
+     * @returns {Object[]} Clients the command was sent to
+     */
+    function relayCommand(envelope, room, sender = null, onReceipt = null) {
+        const senderId = sender ? sender.id : 'api';
+        const recipients = deliverCommand(envelope, room, senderId, sender ? sender.ws : null);
+        messagesBroadcast.inc({ type: envelope.type });
+        shareRoomState(room, envelope);
+        publishToCluster('command', { room, envelope, senderId, receipt: Boolean(onReceipt) });
+        // External rigs follow the room's color; directed commands and OSC's own commands are not echoed
+        if (oscBridge && sender !== OSC_SENDER && !envelope.target) {
+            oscBridge.send(room, envelope);
+        }
+        log.debug('Command relayed', {
+            id: envelope.id,
+            type: envelope.type,
+            payload: envelope.payload,
+            target: envelope.target,
+            room,
+            senderId,
+            recipients: recipients.length
+        });
+
+        if (onReceipt) {
+            trackDelivery(envelope, room, recipients, onReceipt);
+        }
+        return recipients;
+    }
+
+    /**
+     * Apply a command on this instance: send it to the room's clients connected here, then
+     * update the room's retained state and recording
+     * @param {Object} envelope - Sanitized command envelope
+     * @param {string} room - Room to relay to
+     * @param {string} senderId - Client id, or 'api', 'osc', 'sequencer', 'replay'
+     * @param {WebSocket} [senderWs] - Socket of the sender, which doesn't get its own command
+     * @returns {Object[]} Clients the command was sent to
+     */
+    function deliverCommand(envelope, room, senderId, senderWs = null) {
+        // A command sent by hand takes over from the room's sequence or replay
+        if (senderId !== SEQUENCER_SENDER.id) {
+            sequencer.stop(room, 'override');
+        }
+        if (senderId !== REPLAY_SENDER.id) {
+            recorder.stopReplay(room, 'override');
+        }
+
+        const recipients = broadcast(envelope, senderWs, room);
+        recipients.forEach((client) => expectAck(client, envelope.id));
+        messagesDelivered.inc({ type: envelope.type }, recipients.length);
+        callHook('onBroadcast', {
+            envelope,
+            room,
+            senderId,
+            recipients: recipients.map((client) => client.id)
+        });
+        updateRoomState(room, envelope, senderId);
+        recorder.record(room, {
+            id: envelope.id,
+            type: envelope.type,
+            payload: envelope.payload,
+            target: envelope.target,
+            senderId
+        });
+        return recipients;
+    }
+
+    /**
+     * Check that a client may run the room's sequences and recordings
+     * Receivers only display what controllers send, so the others get a `forbidden` error.
+     * @param {Object} client - Sender metadata from the clients map
+     * @param {Object} envelope - Control envelope
+     * @returns {boolean} True if the client is a controller
+     */
+    function requireController(client, envelope) {
+        if (client.type === CONTROLLER_CLIENT_TYPE) return true;
+
+        messagesRejected.inc({ reason: 'forbidden' });
+        log.warn('Rejected control from a non-controller', Object.assign(getClientFields(client.id), { type: envelope.type }));
+        sendError(client, 'forbidden', `Only controllers can send ${envelope.type} messages`, envelope.id);
+        return false;
+    }
+
+    /**
+     * Send an error to a single client in the format it understands
+     * @param {Object} client - Client metadata (needs ws and protocol)
+     * @param {string} code - Machine readable error code (e.g. 'invalid_color')
+     * @param {string} message - Human readable error
+     * @param {string} [ref] - ID of the message that caused the error
+     * @param {Object} [details] - Extra fields for the client (e.g. {retryAfter: 500})
+     */
+    function sendError(client, code, message, ref, details = {}) {
+        if (client.protocol >= protocol.PROTOCOL_VERSION) {
+            sendToClient(client.ws, JSON.stringify(protocol.createEnvelope('error', Object.assign({ code, message, ref }, details))));
+        } else {
+            sendToClient(client.ws, JSON.stringify(Object.assign({ type: 'error', code, message }, details)));
+        }
+    }
+
+    // ===========================
+    // Sequence Playback
+    // ===========================
+
+    // Sender of sequence steps; it has no socket, so every client in the room receives them
+    const SEQUENCER_SENDER = { id: 'sequencer', ws: null };
+
+    const sequencer = createSequencer({
+        send: (room, type, payload) => relayCommand(protocol.createEnvelope(type, payload), room, SEQUENCER_SENDER),
+        onStatus: (room, status) => {
+            log.debug('Sequence status', status);
+            sendToControllers(room, protocol.createEnvelope('playback', status));
+        },
+        getColor: (room) => {
+            const state = getRoomState(room);
+            return state ? state.color : null;
+        }
+    });
+
+    /**
+     * Play, pause, resume or stop the sequence of the sender's room
+     * @param {Object} client - Sender metadata from the clients map
+     * @param {Object} envelope - Sanitized sequence envelope
+     */
+    function handleSequenceControl(client, envelope) {
+        if (!requireController(client, envelope)) return;
+        const { action, sequence } = envelope.payload;
+
+        let handled;
+        switch (action) {
+            case 'play':
+                handled = sequencer.play(client.room, sequence, client.id);
+                break;
+            case 'pause':
+                handled = sequencer.pause(client.room);
+                break;
+            case 'resume':
+                handled = sequencer.resume(client.room);
+                break;
+            default:
+                handled = sequencer.stop(client.room);
+        }
+
+        if (!handled) {
+            sendError(client, 'no_sequence', `No sequence to ${action} in room "${client.room}"`, envelope.id);
+            return;
+        }
+        log.info('Sequence control', Object.assign(getClientFields(client.id), {
+            action,
+            name: sequence ? sequence.name : undefined,
+            steps: sequence ? sequence.steps.length : undefined
+        }));
+    }
+
+    // ===========================
+    // Session Recording
+    // ===========================
+
+    // Sender of replayed commands; like the sequencer it has no socket
+    const REPLAY_SENDER = { id: 'replay', ws: null };
+
+    const recorder = createRecorder({
+        dir: RECORDINGS_DIR,
+        send: (room, entry) => {
+            // Recordings are plain files that may have been edited, so replayed commands are validated again
+            const envelope = {
+                v: protocol.PROTOCOL_VERSION,
+                type: entry.type,
+                payload: entry.payload && typeof entry.payload === 'object' ? entry.payload : {},
+                id: protocol.generateMessageId(),
+                ts: Date.now(),
+                target: entry.target
+            };
+            const invalid = protocol.validateEnvelope(envelope, false) ||
+                (protocol.isCommandType(envelope.type) ? null : { code: 'unknown_type', message: `Not a command: ${envelope.type}` });
+            if (invalid) {
+                log.warn('Skipped invalid recorded command', { room, type: entry.type, code: invalid.code });
+                return;
+            }
+            relayCommand(protocol.sanitizeEnvelope(envelope), room, REPLAY_SENDER);
+        },
+        onStatus: (room, status) => {
+            log.debug('Recording status', status);
+            sendToControllers(room, protocol.createEnvelope('recording', status));
+        },
+        onError: (room, error) => {
+            log.error('Recording failed', { room, error });
+        }
+    });
+
+    /**
+     * Start or stop recording the sender's room
+     * @param {Object} client - Sender metadata from the clients map
+     * @param {Object} envelope - Sanitized record envelope
+     */
+    function handleRecordControl(client, envelope) {
+        if (!requireController(client, envelope)) return;
+        const room = client.room;
+
+        if (envelope.payload.action === 'stop') {
+            const finished = recorder.stop(room);
+            if (!finished) {
+                sendError(client, 'not_recording', `Room "${room}" is not being recorded`, envelope.id);
+                return;
+            }
+            log.info('Recording stopped', Object.assign(getClientFields(client.id), { name: finished.name, commands: finished.commands }));
+            return;
+        }
+
+        recorder.start(room, client.id).then((status) => {
+            if (!status) {
+                sendError(client, 'already_recording', `Room "${room}" is already being recorded`, envelope.id);
+                return;
+            }
+            log.info('Recording started', Object.assign(getClientFields(client.id), { name: status.recording && status.recording.name }));
+        }).catch((error) => {
+            log.error('Could not start recording', { room, dir: RECORDINGS_DIR, error });
+            sendError(client, 'recording_failed', 'The server could not create the recording file', envelope.id);
+        });
+    }
+
+    // ===========================
+    // Flood Protection
+    // ===========================
+
+    const rateLimiter = createRateLimiter(RATE_LIMIT);
+
+    // Totals reported by /health
+    const throttleStats = {
+        throttled: 0, // Messages over the rate limit
+        coalesced: 0, // Throttled commands superseded by a newer one
+        dropped: 0, // Throttled non-command or invalid messages
+        disconnected: 0 // Connections closed for flooding
+    };
+
+    /**
+     * Handle a message that exceeded the client's or IP's rate limit
+     * The latest valid command is held back and forwarded once the budget allows,
+     * so a burst of clicks collapses into its final color.
+     * @param {Object} client - Sender metadata from the clients map
+     * @param {Object} envelope - Parsed envelope
+     * @param {boolean} legacy - True if the message was not a versioned envelope
+     * @param {number} retryAfter - Milliseconds until the next message is allowed
+     */
+    function handleThrottled(client, envelope, legacy, retryAfter) {
+        throttleStats.throttled++;
+        client.throttledCount++;
+
+        // Track violations in a sliding window; flooding past the limit ends the connection
+        const now = Date.now();
+        if (now - client.violations.windowStart > RATE_LIMIT.violationWindow) {
+            client.violations = { count: 0, windowStart: now };
+            log.warn('Client throttled', getClientFields(client.id));
+        }
+        client.violations.count++;
+
+        if (client.violations.count > RATE_LIMIT.maxViolations) {
+            throttleStats.disconnected++;
+            log.warn('Disconnecting client: rate limit exceeded', Object.assign(getClientFields(client.id), {
+                violations: client.violations.count
+            }));
+            discardCoalescedCommand(client);
+            client.ws.close(POLICY_VIOLATION_CLOSE_CODE, 'Rate limit exceeded');
+            return;
+        }
+
+        if (protocol.isCommandType(envelope.type) && !protocol.validateEnvelope(envelope, legacy)) {
+            if (client.coalescedCommand) {
+                throttleStats.coalesced++;
+            }
+            client.coalescedCommand = { envelope: protocol.sanitizeEnvelope(envelope), legacy };
+
+            if (!client.coalesceTimer) {
+                client.coalesceTimer = setTimeout(() => flushCoalescedCommand(client), retryAfter);
+            }
+            return;
+        }
+
+        throttleStats.dropped++;
+        messagesRejected.inc({ reason: 'rate_limited' });
+
+        // One error per window, so the reply doesn't become a flood of its own
+        if (client.violations.count === 1) {
+            sendError(client, 'rate_limited', 'Too many messages, slow down', envelope.id, { retryAfter });
+        }
+    }
+
+    /**
+     * Forward the command held back while a client was throttled
+     * @param {Object} client - Sender metadata from the clients map
+     */
+    function flushCoalescedCommand(client) {
+        client.coalesceTimer = null;
+
+        const pending = client.coalescedCommand;
+        if (!pending || client.ws.readyState !== WebSocket.OPEN) return;
+
+        const limit = rateLimiter.consume(client.id, client.ip);
+        if (!limit.allowed) {
+            client.coalesceTimer = setTimeout(() => flushCoalescedCommand(client), limit.retryAfter);
+            return;
+        }
+
+        client.coalescedCommand = null;
+        log.debug('Forwarding latest throttled command', Object.assign(getClientFields(client.id), { type: pending.envelope.type }));
+        receiveEnvelope(client, pending.envelope, pending.legacy);
+    }
+
+    /**
+     * Drop a held back command and its timer
+     * @param {Object} client - Client metadata from the clients map
+     */
+    function discardCoalescedCommand(client) {
+        clearTimeout(client.coalesceTimer);
+        client.coalesceTimer = null;
+
+        if (client.coalescedCommand) {
+            throttleStats.coalesced++;
+            client.coalescedCommand = null;
+        }
+    }
+
+    // ===========================
+    // Delivery Receipts
+    // ===========================
+
+    // Commands waiting for receiver acks: command id -> pending delivery
+    const pendingDeliveries = new Map();
+    // Commands of other instances whose acks are forwarded to them: command id -> {instance, expected, timer}
+    const forwardedDeliveries = new Map();
+
+    /**
+     * Get the receivers among the clients a command was sent to
+     * @param {Object[]} recipients - Clients the command was sent to
+     * @returns {string[]} Ids of the non-controller clients
+     */
+    function getReceiverIds(recipients) {
+        return recipients
+            .filter((client) => client.type !== CONTROLLER_CLIENT_TYPE)
+            .map((client) => client.id);
+    }
+
+    /**
+     * Start collecting acks for a relayed command
+     * Only receivers (non-controller clients) are expected to confirm. Legacy receivers
+     * can't send acks, so they are reported as unconfirmed once the timeout expires.
+     * In a cluster, the instances with clients in the room report which of their receivers
+     * got the command and forward their acks (see handleClusterEvent).
+     * @param {Object} envelope - Relayed command
+     * @param {string} room - Room the command was relayed to
+     * @param {Object[]} recipients - Clients the command was sent to
+     * @param {Function} onReceipt - Called once with the receipt envelope
+     */
+    function trackDelivery(envelope, room, recipients, onReceipt) {
+        const delivery = {
+            ref: envelope.id,
+            onReceipt,
+            expected: new Set(getReceiverIds(recipients)),
+            applied: new Set(),
+            failed: new Map(), // client id -> error message
+            awaiting: new Set(getRemoteInstances(room)), // Instances that haven't reported their receivers yet
+            timer: null
+        };
+
+        if (delivery.expected.size === 0 && delivery.awaiting.size === 0) {
+            sendReceipt(delivery, false);
+            return;
+        }
+
+        delivery.timer = setTimeout(() => sendReceipt(delivery, true), ACK_TIMEOUT);
+        pendingDeliveries.set(delivery.ref, delivery);
+    }
+
+    /**
+     * Add the receivers another instance sent a command to
+     * @param {string} ref - Command id
+     * @param {string} instance - Instance that delivered the command
+     * @param {string[]} receivers - Ids of its receivers that got the command
+     */
+    function addRemoteDelivery(ref, instance, receivers) {
+        const delivery = pendingDeliveries.get(ref);
+        if (!delivery) return;
+
+        delivery.awaiting.delete(instance);
+        receivers.forEach((clientId) => delivery.expected.add(clientId));
+        completeDelivery(delivery);
+    }
+
+    /**
+     * Forward the acks of the receivers here to the instance that relayed a command
+     * @param {Object} envelope - Command of the other instance
+     * @param {string} instance - Instance waiting for the receipt
+     * @param {Object[]} recipients - Clients here the command was sent to
+     */
+    function forwardDelivery(envelope, instance, recipients) {
+        const receivers = getReceiverIds(recipients);
+        publishToCluster('delivery', { to: instance, ref: envelope.id, receivers });
+        if (receivers.length === 0) return;
+
+        forwardedDeliveries.set(envelope.id, {
+            instance,
+            expected: new Set(receivers),
+            // The other instance stops waiting after ACK_TIMEOUT, so late acks aren't forwarded
+            timer: setTimeout(() => forwardedDeliveries.delete(envelope.id), ACK_TIMEOUT)
+        });
+    }
+
+    /**
+     * Let a receiver ack a command it was sent
+     * @param {Object} client - Recipient metadata from the clients map
+     * @param {string} ref - Command id
+     */
+    function expectAck(client, ref) {
+        if (client.type === CONTROLLER_CLIENT_TYPE || client.protocol < protocol.PROTOCOL_VERSION) return;
+
+        client.unackedCommands.add(ref);
+        if (client.unackedCommands.size > MAX_UNACKED_COMMANDS) {
+            client.unackedCommands.delete(client.unackedCommands.values().next().value);
+        }
+    }
+
+    /**
+     * Record an ack from a receiver
+     * Each command the receiver was sent can be acked once; other acks are dropped, since
+     * every ack may reach the room's controllers and the other instances.
+     * @param {Object} client - Receiver metadata from the clients map
+     * @param {{ref: string, status: string, error: (string|undefined)}} ack - Ack payload
+     */
+    function recordAck(client, ack) {
+        if (!client.unackedCommands.delete(ack.ref)) {
+            messagesRejected.inc({ reason: 'unknown_ref' });
+            log.debug('Ignored ack for a command the client was not sent', Object.assign(getClientFields(client.id), { ref: ack.ref }));
+            return;
+        }
+
+        // Controllers see in the roster whether each receiver applies commands; only changes are announced
+        const statusChanged = !client.lastAck || client.lastAck.status !== ack.status;
+        client.lastAck = { status: ack.status, at: new Date().toISOString() };
+        if (statusChanged) {
+            notifyPresence(client.room, 'update', describePresence(client));
+        }
+
+        const forwarded = forwardedDeliveries.get(ack.ref);
+        if (forwarded && forwarded.expected.has(client.id)) {
+            publishToCluster('ack', { to: forwarded.instance, clientId: client.id, ack });
+            forwarded.expected.delete(client.id);
+            if (forwarded.expected.size === 0) {
+                clearTimeout(forwarded.timer);
+                forwardedDeliveries.delete(ack.ref);
+            }
+            return;
+        }
+
+        applyAck(client.id, ack);
+    }
+
+    /**
+     * Count an ack towards the receipt of a command relayed by this instance
+     * @param {string} clientId - Receiver that answered, connected here or to another instance
+     * @param {{ref: string, status: string, error: (string|undefined)}} ack - Ack payload
+     */
+    function applyAck(clientId, ack) {
+        const delivery = pendingDeliveries.get(ack.ref);
+        if (!delivery || !delivery.expected.has(clientId)) return;
+
+        if (ack.status === 'applied') {
+            delivery.applied.add(clientId);
+            delivery.failed.delete(clientId);
+        } else {
+            delivery.failed.set(clientId, ack.error || 'Unknown error');
+            delivery.applied.delete(clientId);
+        }
+        log.debug('Ack received', Object.assign(getClientFields(clientId), {
+            ref: ack.ref,
+            status: ack.status,
+            answered: delivery.applied.size + delivery.failed.size,
+            expected: delivery.expected.size
+        }));
+
+        completeDelivery(delivery);
+    }
+
+    /**
+     * Send the receipt once every receiver answered and every instance reported
+     * @param {Object} delivery - Pending delivery
+     */
+    function completeDelivery(delivery) {
+        if (delivery.awaiting.size === 0 && delivery.applied.size + delivery.failed.size === delivery.expected.size) {
+            sendReceipt(delivery, false);
+        }
+    }
+
+    /**
+     * Deliver the aggregated receipt of a command to whoever sent it
+     * @param {Object} delivery - Pending delivery
+     * @param {boolean} timedOut - True if some receivers never answered
+     */
+    function sendReceipt(delivery, timedOut) {
+        clearTimeout(delivery.timer);
+        pendingDeliveries.delete(delivery.ref);
+
+        const receipt = protocol.createEnvelope('receipt', {
+            ref: delivery.ref,
+            delivered: delivery.expected.size,
+            applied: delivery.applied.size,
+            failed: Array.from(delivery.failed.entries()).map(([clientId, error]) => ({ clientId, error })),
+            unconfirmed: delivery.expected.size - delivery.applied.size - delivery.failed.size,
+            timedOut
+        });
+        delivery.onReceipt(receipt);
+    }
+
+    /**
+     * Drop all pending deliveries without sending receipts
+     */
+    function clearPendingDeliveries() {
+        pendingDeliveries.forEach((delivery) => clearTimeout(delivery.timer));
+        pendingDeliveries.clear();
+        forwardedDeliveries.forEach((forwarded) => clearTimeout(forwarded.timer));
+        forwardedDeliveries.clear();
+    }
+
+    // ===========================
+    // Broadcasting Functions
+    // ===========================
+
+    /**
+     * Broadcast an envelope to all clients in a room except sender
+     * Each client gets the envelope in its negotiated format: legacy clients receive
+     * only the bare hex code (Unity expects plain strings, not JSON).
+     * @param {Object} envelope - Envelope to broadcast
+     * @param {WebSocket} sender - Sender's WebSocket (will be excluded)
+     * @param {string} room - Room to broadcast to
+     * @returns {Object[]} Clients the message was sent to
+     */
+    function broadcast(envelope, sender = null, room = DEFAULT_ROOM) {
+        const members = rooms.get(room);
+        if (!members) return [];
+
+        const startedAt = process.hrtime.bigint();
+
+        // Serialize once per protocol version
+        const encoded = new Map();
+
+        const recipients = [];
+        members.forEach((memberId) => {
+            const client = clients.get(memberId);
+            if (!client || client.ws === sender || client.ws.readyState !== WebSocket.OPEN) return;
+            if (!isAddressed(client, envelope.target)) return;
+
+            if (!encoded.has(client.protocol)) {
+                encoded.set(client.protocol, protocol.serializeFor(envelope, client.protocol));
+            }
+            const message = encoded.get(client.protocol);
+
+            if (message !== null) {
+                client.ws.send(message);
+                recipients.push(client);
+            }
+        });
+
+        broadcastDuration.observe(Number(process.hrtime.bigint() - startedAt) / 1e9);
+        return recipients;
+    }
+
+    /**
+     * Check whether a client should get a directed command
+     * Controllers get every command of their room so operators see what the others send.
+     * @param {Object} client - Client metadata from the clients map
+     * @param {Object} [target] - Command target {clients, groups, objects}
+     * @returns {boolean} True if the client is addressed
+     */
+    function isAddressed(client, target) {
+        return !target || client.type === CONTROLLER_CLIENT_TYPE || protocol.matchesTarget(target, client);
+    }
+
+    /**
+     * Broadcast system message to all clients in a room except sender
+     * Legacy clients don't receive system messages
+     * @param {string} message - System message
+     * @param {WebSocket} sender - Sender to exclude
+     * @param {string} room - Room to broadcast to
+     * @param {Object} [details] - Event the message describes, so clients can word it themselves (e.g. {event: 'leave', clientId})
+     */
+    function broadcastSystemMessage(message, sender = null, room = DEFAULT_ROOM, details = {}) {
+        broadcast(protocol.createEnvelope('system', Object.assign({ message, room }, details)), sender, room);
+    }
+
+    /**
+     * Send an envelope to the controllers of a room (receivers don't need status updates)
+     * @param {string} room - Room name
+     * @param {Object} envelope - Envelope to send
+     * @param {WebSocket} [except] - Socket to skip
+     */
+    function sendToControllers(room, envelope, except = null) {
+        const members = rooms.get(room);
+        if (!members) return;
+
+        const message = JSON.stringify(envelope);
+        members.forEach((memberId) => {
+            const client = clients.get(memberId);
+            if (client && client.ws !== except && client.type === CONTROLLER_CLIENT_TYPE && client.protocol >= protocol.PROTOCOL_VERSION) {
+                sendToClient(client.ws, message);
+            }
+        });
+    }
+
+    /**
+     * Send message to specific client with error handling
+     * @param {WebSocket} ws - WebSocket client
+     * @param {string} message - Message to send
+     */
+    function sendToClient(ws, message) {
+        if (ws.readyState === WebSocket.OPEN) {
+            try {
+                ws.send(message);
+            } catch (error) {
+                log.error('Failed to send to client', Object.assign(getClientFields(ws.clientId), { error: error.message }));
+            }
+        }
+    }
+
+    // ===========================
+    // Cluster
+    // ===========================
+
+    // Instances behind a load balancer share commands, presence and retained state through the bus
+    const { bus, owned: ownsBus } = createBus(config.bus, log);
+    const clustered = Boolean(config.bus);
+    const INSTANCE_TAG = crypto.randomBytes(3).toString('hex');
+    const INSTANCE_ID = `${os.hostname()}-${process.pid}-${INSTANCE_TAG}`;
+    const INSTANCE_STALE_AFTER = 3 * HEARTBEAT_INTERVAL; // Instances that stop refreshing their entry are gone
+
+    // Clients connected to other instances: client id -> {instance, room, client (from describePresence)}
+    const remoteClients = new Map();
+    let unsubscribeBus = null;
+    let instanceUpdateTimer = null;
+    let busConnected = false;
+
+    /**
+     * Publish an event to the other instances
+     * @param {string} event - 'command', 'delivery', 'ack', 'presence', 'report', 'sync', 'snapshot' or 'down'
+     * @param {Object} [data] - Event fields
+     * @returns {Promise<void>} Resolves once published (failures are logged)
+     */
+    function publishToCluster(event, data = {}) {
+        return Promise.resolve()
+            .then(() => bus.publish(Object.assign({ event, instance: INSTANCE_ID }, data)))
+            .catch((error) => log.error('Could not publish to the bus', { event, error }));
+    }
+
+    /**
+     * Handle an event published by another instance
+     * @param {Object} message - Bus message {event, instance, ...}
+     */
+    function handleClusterEvent(message) {
+        if (message.instance === INSTANCE_ID || state !== 'listening') return;
+
+        switch (message.event) {
+            case 'command': {
+                // Commands only reach the clients connected here; the sender's instance did the rest
+                const recipients = deliverCommand(message.envelope, message.room, message.senderId);
+                if (message.receipt) {
+                    forwardDelivery(message.envelope, message.instance, recipients);
+                }
+                return;
+            }
+
+            case 'delivery':
+                if (message.to === INSTANCE_ID) {
+                    addRemoteDelivery(message.ref, message.instance, message.receivers);
+                }
+                return;
+
+            case 'ack':
+                if (message.to === INSTANCE_ID) {
+                    applyAck(message.clientId, message.ack);
+                }
+                return;
+
+            case 'presence':
+                applyRemotePresence(message.instance, message.room, message.action, message.client);
+                return;
+
+            case 'report': {
+                const entry = remoteClients.get(message.payload.clientId);
+                if (entry) {
+                    entry.client.report = message.payload.report;
+                }
+                sendToControllers(message.room, protocol.createEnvelope('report', message.payload));
+                return;
+            }
+
+            case 'sync':
+                // A new instance asks who is connected
+                publishToCluster('snapshot', {
+                    clients: Array.from(clients.values())
+                        .filter((client) => client.room)
+                        .map((client) => ({ room: client.room, client: describePresence(client) }))
+                });
+                return;
+
+            case 'snapshot':
+                message.clients.forEach(({ room, client }) => {
+                    if (!remoteClients.has(client.id)) {
+                        applyRemotePresence(message.instance, room, 'join', client);
+                    }
+                });
+                return;
+
+            case 'down':
+                dropInstance(message.instance);
+                return;
+
+            default:
+                log.debug('Ignored unknown bus event', { event: message.event, instance: message.instance });
+        }
+    }
+
+    /**
+     * Track a client of another instance and tell the room's controllers connected here
+     * @param {string} instance - Instance the client is connected to
+     * @param {string} room - Room of the event
+     * @param {string} action - 'join', 'leave' or 'update'
+     * @param {Object} client - Client from describePresence()
+     */
+    function applyRemotePresence(instance, room, action, client) {
+        const known = remoteClients.get(client.id);
+        if (action !== 'leave') {
+            remoteClients.set(client.id, { instance, room, client });
+        } else if (known && known.room === room) {
+            // A client moving rooms joins its new room right after leaving the old one
+            remoteClients.delete(client.id);
+        }
+        sendToControllers(room, protocol.createEnvelope('presence', { room, event: action, client }));
+    }
+
+    /**
+     * Forget the clients of an instance that stopped or stopped answering
+     * @param {string} instance - Instance id
+     */
+    function dropInstance(instance) {
+        remoteClients.forEach((entry, clientId) => {
+            if (entry.instance === instance) {
+                remoteClients.delete(clientId);
+                sendToControllers(entry.room, protocol.createEnvelope('presence', { room: entry.room, event: 'leave', client: entry.client }));
+            }
+        });
+        // It won't report who got the commands it was sent
+        pendingDeliveries.forEach((delivery) => {
+            if (delivery.awaiting.delete(instance)) {
+                completeDelivery(delivery);
+            }
+        });
+    }
+
+    /**
+     * Get the clients of a room connected to other instances
+     * @param {string} room - Room name
+     * @returns {Object[]} Clients from describePresence()
+     */
+    function getRemoteMembers(room) {
+        return Array.from(remoteClients.values())
+            .filter((entry) => entry.room === room)
+            .map((entry) => entry.client);
+    }
+
+    /**
+     * Get the other instances with clients in a room
+     * @param {string} room - Room name
+     * @returns {string[]} Instance ids
+     */
+    function getRemoteInstances(room) {
+        const instances = new Set();
+        remoteClients.forEach((entry) => {
+            if (entry.room === room) {
+                instances.add(entry.instance);
+            }
+        });
+        return Array.from(instances);
+    }
+
+    /**
+     * Store the retained state of a room on the bus, for instances that start later
+     * @param {string} room - Room name
+     * @param {Object} envelope - Command that was just relayed
+     */
+    function shareRoomState(room, envelope) {
+        if (envelope.target) return;
+
+        const roomState = roomStates.get(room);
+        Promise.resolve()
+            .then(() => (roomState ? bus.hset('state', room, roomState) : bus.hdel('state', room)))
+            .catch((error) => log.error('Could not share room state', { room, error }));
+    }
+
+    /**
+     * Describe this instance for the cluster's health summary
+     * @returns {Object} {connections, rooms, at}
+     */
+    function describeInstance() {
+        return { connections: wss.clients.size, rooms: rooms.size, at: Date.now() };
+    }
+
+    /**
+     * Refresh this instance's entry on the bus
+     * @returns {Promise<void>} Resolves once written (failures are logged)
+     */
+    function updateInstanceEntry() {
+        clearTimeout(instanceUpdateTimer);
+        instanceUpdateTimer = null;
+        return Promise.resolve()
+            .then(() => bus.hset('instances', INSTANCE_ID, describeInstance()))
+            .catch((error) => log.error('Could not update the cluster entry', { error }));
+    }
+
+    /**
+     * Refresh this instance's entry soon, batching connection changes
+     */
+    function scheduleInstanceUpdate() {
+        if (instanceUpdateTimer || state !== 'listening') return;
+        instanceUpdateTimer = setTimeout(updateInstanceEntry, INSTANCE_UPDATE_DELAY);
+    }
+
+    /**
+     * Read the live instances of the cluster, forgetting the ones that stopped refreshing
+     * @returns {Promise<Object>} Instance id -> {connections, rooms, at}
+     */
+    async function getInstances() {
+        const instances = await bus.hgetall('instances');
+        const staleBefore = Date.now() - INSTANCE_STALE_AFTER;
+
+        Object.entries(instances).forEach(([instance, entry]) => {
+            if (instance !== INSTANCE_ID && entry.at < staleBefore) {
+                log.warn('Cluster instance stopped responding', { instance });
+                delete instances[instance];
+                dropInstance(instance);
+                bus.hdel('instances', instance).catch((error) => log.error('Could not remove a stale instance', { instance, error }));
+            }
+        });
+        instances[INSTANCE_ID] = describeInstance();
+        return instances;
+    }
+
+    /**
+     * Summarize the cluster for /health
+     * @returns {Promise<Object|null>} {instance, instances, connections}, or null if the bus can't be read
+     */
+    async function getClusterSummary() {
+        try {
+            const instances = Object.values(await getInstances());
+            return {
+                instance: INSTANCE_ID,
+                instances: instances.length,
+                connections: instances.reduce((total, entry) => total + entry.connections, 0)
+            };
+        } catch (error) {
+            log.error('Could not read the cluster', { error });
+            return null;
+        }
+    }
+
+    /**
+     * Connect to the bus and load the retained state of the cluster
+     * @returns {Promise<void>} Resolves once connected
+     */
+    async function connectCluster() {
+        await bus.connect();
+        busConnected = true;
+        unsubscribeBus = bus.subscribe(handleClusterEvent);
+
+        const states = await bus.hgetall('state');
+        Object.entries(states).forEach(([room, roomState]) => roomStates.set(room, roomState));
+    }
+
+    /**
+     * Announce this instance and ask the others who is connected
+     */
+    function joinCluster() {
+        updateInstanceEntry();
+        publishToCluster('sync');
+        if (clustered) {
+            log.info('Joined cluster', { instance: INSTANCE_ID, rooms: roomStates.size });
+        }
+    }
+
+    /**
+     * Tell the other instances this one is going away and disconnect from the bus
+     * @returns {Promise<void>} Resolves once disconnected (failures are logged)
+     */
+    async function leaveCluster() {
+        clearTimeout(instanceUpdateTimer);
+        instanceUpdateTimer = null;
+        remoteClients.clear();
+        if (!busConnected) return;
+        busConnected = false;
+
+        await publishToCluster('down');
+        try {
+            await bus.hdel('instances', INSTANCE_ID);
+            if (unsubscribeBus) {
+                unsubscribeBus();
+            }
+            if (ownsBus) {
+                await bus.close();
+            }
+        } catch (error) {
+            log.error('Could not leave the cluster', { error });
+        }
+    }
+
+    // ===========================
+    // OSC Bridge
+    // ===========================
+
+    // Sender of commands received over OSC; like the sequencer it has no socket
+    const OSC_SENDER = { id: 'osc', ws: null };
+
+    const oscBridge = config.osc ? createOscBridge(Object.assign({}, config.osc, { log, onCommand: handleOscCommand })) : null;
+
+    /**
+     * Relay a command received over OSC
+     * OSC has no access codes, so the bridge should only listen on a trusted network.
+     * @param {string|null} room - Room named in the OSC address, or null for the bridge's default room
+     * @param {string} type - Command type
+     * @param {Object} payload - Command payload
+     * @param {string} from - Sender address and port
+     */
+    function handleOscCommand(room, type, payload, from) {
+        // An address naming an invalid room is dropped rather than relayed to the default room
+        if (room !== null && !ROOM_NAME_PATTERN.test(room.toLowerCase())) {
+            messagesRejected.inc({ reason: 'invalid_room' });
+            log.warn('Rejected OSC command', { from, type, room, code: 'invalid_room', reason: 'Room codes use 1-32 letters, digits, "-" or "_"' });
+            return;
+        }
+
+        const targetRoom = normalizeRoomName(room || config.osc.room);
+        const envelope = protocol.createEnvelope(type, payload);
+        const invalid = protocol.validateEnvelope(envelope, false);
+        if (invalid) {
+            messagesRejected.inc({ reason: invalid.code });
+            log.warn('Rejected OSC command', { from, type, code: invalid.code, reason: invalid.message });
+            return;
+        }
+
+        const filtered = applyMiddleware(protocol.sanitizeEnvelope(envelope), null, targetRoom, 'osc');
+        if (filtered.error) {
+            messagesRejected.inc({ reason: 'middleware' });
+            log.info('OSC command rejected by middleware', { from, type, code: filtered.error.code, reason: filtered.error.message });
+            return;
+        }
+        if (!filtered.envelope || !protocol.isCommandType(filtered.envelope.type)) {
+            return;
+        }
+
+        callHook('onMessage', { client: null, envelope: filtered.envelope });
+        log.debug('OSC command received', { from, type, payload: filtered.envelope.payload, room: targetRoom });
+        relayCommand(filtered.envelope, targetRoom, OSC_SENDER);
+    }
+
+    // ===========================
+    // REST API
+    // ===========================
+
+    /**
+     * Create an error carrying an HTTP status
+     * @param {number} status - HTTP status code
+     * @param {string} message - Error message returned to the caller
+     * @param {string} [code] - Machine readable error code returned with it (e.g. 'invalid_room')
+     * @returns {Error} Error with a status property
+     */
+    function httpError(status, message, code) {
+        const error = new Error(message);
+        error.status = status;
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * Get the room a REST request addresses: the body's room, else ?room=, else the default room
+     * @param {Object} body - Parsed request body ({} for requests without one)
+     * @param {URLSearchParams} searchParams - Query parameters
+     * @returns {string} Valid room name
+     * @throws {Error} 400 invalid_room if the name is invalid, rather than using the default room
+     */
+    function getRequestRoom(body, searchParams) {
+        const room = parseRoomName(body.room || searchParams.get('room'));
+        if (!room) {
+            throw httpError(400, INVALID_ROOM_MESSAGE, 'invalid_room');
+        }
+        return room;
+    }
+
+    /**
+     * Read and parse a JSON request body
+     * @param {http.IncomingMessage} req - HTTP request
+     * @returns {Promise<Object>} Parsed body ({} if empty)
+     */
+    function readJsonBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            req.on('data', (chunk) => {
+                size += chunk.length;
+                if (size <= MAX_PAYLOAD) {
+                    chunks.push(chunk);
+                }
+            });
+
+            req.on('end', () => {
+                if (size > MAX_PAYLOAD) {
+                    reject(httpError(413, `Request body exceeds ${MAX_PAYLOAD} bytes`));
+                    return;
+                }
+                if (size === 0) {
+                    resolve({});
+                    return;
+                }
+
+                try {
+                    const body = JSON.parse(Buffer.concat(chunks).toString());
+                    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                        throw new Error('not an object');
+                    }
+                    resolve(body);
+                } catch (e) {
+                    reject(httpError(400, 'Request body must be a JSON object'));
+                }
+            });
+
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Describe a client for API responses
+     * @param {Object} client - Client metadata from the clients map
+     * @returns {Object} Public client information
+     */
+    function describeClient(client) {
+        return {
+            id: client.id,
+            name: client.name,
+            type: client.type,
+            groups: client.groups,
+            room: client.room,
+            protocol: client.protocol,
+            ip: client.ip,
+            connectedAt: client.connectedAt.toISOString(),
+            messageCount: client.messageCount,
+            invalidMessageCount: client.invalidMessageCount,
+            throttledCount: client.throttledCount,
+            lastActivityAt: client.lastActivityAt.toISOString()
+        };
+    }
+
+    /**
+     * Validate and relay a command received over HTTP
+     * Responds with delivery counts, or with the full receipt when the caller asked to wait for acks.
+     * @param {http.ServerResponse} res - HTTP response
+     * @param {Object} envelope - Command envelope
+     * @param {string} room - Room to relay to
+     * @param {boolean} wait - Respond only once receivers acked or the ack timeout expired
+     */
+    function dispatchApiCommand(res, envelope, room, wait) {
+        const invalid = protocol.validateEnvelope(envelope, false);
+        if (invalid) {
+            messagesRejected.inc({ reason: invalid.code });
+            sendJson(res, 400, { error: invalid.message, code: invalid.code });
+            return;
+        }
+        if (!protocol.isCommandType(envelope.type)) {
+            sendJson(res, 400, { error: `Only commands can be sent through the API: ${protocol.COMMAND_TYPES.join(', ')}`, code: 'unknown_type' });
+            return;
+        }
+
+        const filtered = applyMiddleware(protocol.sanitizeEnvelope(envelope), null, room, 'api');
+        if (filtered.error) {
+            messagesRejected.inc({ reason: 'middleware' });
+            sendJson(res, 403, { error: filtered.error.message, code: filtered.error.code });
+            return;
+        }
+        if (!filtered.envelope || !protocol.isCommandType(filtered.envelope.type)) {
+            sendJson(res, 200, { ok: true, id: envelope.id, type: envelope.type, room, delivered: 0, receivers: 0, dropped: true });
+            return;
+        }
+
+        const command = filtered.envelope;
+        callHook('onMessage', { client: null, envelope: command });
+        log.debug('API command received', { type: command.type, payload: command.payload, room });
+
+        // With no receivers the receipt arrives synchronously, before the summary exists
+        let summary = null;
+        const onReceipt = wait
+            ? (receipt) => process.nextTick(() => sendJson(res, 200, Object.assign({}, summary, { receipt: receipt.payload })))
+            : null;
+
+        const recipients = relayCommand(command, room, null, onReceipt);
+
+        summary = {
+            ok: true,
+            id: command.id,
+            type: command.type,
+            room,
+            delivered: recipients.length,
+            receivers: recipients.filter((client) => client.type !== CONTROLLER_CLIENT_TYPE).length
+        };
+
+        if (!wait) {
+            sendJson(res, 200, summary);
+        }
+    }
+
+    /**
+     * Read the shared palette file
+     * The file is read on every request, so edits apply without a restart.
+     * @returns {Promise<{name: string, colors: Object[]}>} Palette
+     */
+    async function readSharedPalette() {
+        if (!PALETTE_FILE) {
+            throw httpError(404, 'No shared palette configured (set PALETTE_FILE)');
+        }
+
+        let palette;
+        try {
+            palette = JSON.parse(await fs.promises.readFile(PALETTE_FILE, 'utf8'));
+        } catch (error) {
+            log.error('Could not read shared palette', { file: PALETTE_FILE, error: error.message });
+            throw httpError(500, 'Shared palette file is missing or not valid JSON');
+        }
+
+        const valid = palette && Array.isArray(palette.colors) && palette.colors.length > 0 &&
+            palette.colors.every((entry) => entry && protocol.isHexColor(entry.color));
+        if (!valid) {
+            log.error('Invalid shared palette', { file: PALETTE_FILE });
+            throw httpError(500, 'Shared palette must have a "colors" array of {name, color, key}');
+        }
+        return palette;
+    }
+
+    /**
+     * Send a recording file as a download
+     * @param {http.ServerResponse} res - HTTP response
+     * @param {string} name - Recording name
+     */
+    async function sendRecordingFile(res, name) {
+        const file = recorder.getFilePath(name);
+        const stats = file ? await fs.promises.stat(file).catch(() => null) : null;
+        if (!stats) {
+            throw httpError(404, `No recording named "${name}"`);
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'application/x-ndjson',
+            'Content-Length': stats.size,
+            'Content-Disposition': `attachment; filename="${name}"`,
+            'Access-Control-Allow-Origin': '*'
+        });
+        fs.createReadStream(file).pipe(res);
+    }
+
+    /**
+     * Replay a recording into a room
+     * @param {http.ServerResponse} res - HTTP response
+     * @param {string} name - Recording name
+     * @param {Object} body - {room, speed}
+     * @param {URLSearchParams} searchParams - Query parameters (?room=, ?speed=)
+     */
+    async function startReplay(res, name, body, searchParams) {
+        const speed = parseReplaySpeed(body.speed !== undefined ? body.speed : searchParams.get('speed'));
+        if (speed === null) {
+            throw httpError(400, 'speed must be a number from 0.1 to 100 (1 = original timing)');
+        }
+
+        const entries = await recorder.read(name);
+        if (!entries) {
+            throw httpError(404, `No recording named "${name}"`);
+        }
+
+        const room = getRequestRoom(body, searchParams);
+        const status = recorder.replay(room, name, entries, speed, 'api');
+        log.info('Replay started', { name, room, speed, commands: entries.length });
+        sendJson(res, 200, status);
+    }
+
+    /**
+     * Handle a request to the REST API
+     *   POST /api/color    {"color": "#FF0000", "room": "lab-a"}
+     *   POST /api/command  {"type": "brightness", "payload": {"value": 0.5}, "room": "lab-a"}
+     * Both accept a "target" to address part of the room, e.g. {"groups": ["left-wall"]}.
+     *   GET  /api/clients  (?room=lab-a)
+     *   GET  /api/state    (?room=lab-a)
+     *   GET  /api/palette  (shared palette from PALETTE_FILE)
+     *   GET  /api/recordings                      (list)
+     *   POST /api/recordings                      {"room": "lab-a", "action": "start"}
+     *   GET  /api/recordings/<name>               (download)
+     *   POST /api/recordings/<name>/replay        {"room": "lab-a", "speed": 2}
+     *   POST /api/replay/stop                     {"room": "lab-a"}
+     * Commands accept ?wait=true to respond with the delivery receipt.
+     * @param {http.IncomingMessage} req - HTTP request
+     * @param {http.ServerResponse} res - HTTP response
+     * @param {string} pathname - Request path
+     * @param {URLSearchParams} searchParams - Query parameters
+     */
+    async function handleApiRequest(req, res, pathname, searchParams) {
+        // Same credentials as WebSocket handshakes: a shared token or a pairing code
+        const auth = authenticator.verify(getBearerToken(req), getClientIp(req));
+        if (!auth.ok) {
+            sendAuthFailure(res, auth);
+            return;
+        }
+
+        const wait = searchParams.get('wait') === 'true';
+
+        // Routes with a recording name in the path
+        const recordingRoute = pathname.match(/^\/api\/recordings\/([^/]+?)(\/replay)?$/);
+        if (recordingRoute) {
+            const name = recordingRoute[1];
+            if (req.method === 'GET' && !recordingRoute[2]) {
+                await sendRecordingFile(res, name);
+            } else if (req.method === 'POST' && recordingRoute[2]) {
+                await startReplay(res, name, await readJsonBody(req), searchParams);
+            } else {
+                throw httpError(404, `Unknown API route: ${req.method} ${pathname}`);
+            }
+            return;
+        }
+
+        switch (`${req.method} ${pathname}`) {
+            case 'POST /api/color': {
+                const body = await readJsonBody(req);
+                const room = getRequestRoom(body, searchParams);
+                const envelope = protocol.createEnvelope('color', { color: body.color });
+                envelope.target = body.target;
+                dispatchApiCommand(res, envelope, room, wait || body.wait === true);
+                return;
+            }
+
+            case 'POST /api/command': {
+                const body = await readJsonBody(req);
+                const room = getRequestRoom(body, searchParams);
+                const envelope = {
+                    v: body.v === undefined ? protocol.PROTOCOL_VERSION : body.v,
+                    type: body.type,
+                    payload: body.payload && typeof body.payload === 'object' ? body.payload : {},
+                    id: typeof body.id === 'string' && body.id ? body.id : protocol.generateMessageId(),
+                    ts: Date.now(),
+                    target: body.target
+                };
+                dispatchApiCommand(res, envelope, room, wait || body.wait === true);
+                return;
+            }
+
+            case 'GET /api/clients': {
+                const room = searchParams.has('room') ? getRequestRoom({}, searchParams) : null;
+                const list = Array.from(clients.values())
+                    .filter((client) => !room || client.room === room)
+                    .map(describeClient);
+                sendJson(res, 200, { count: list.length, clients: list });
+                return;
+            }
+
+            case 'GET /api/state':
+                sendJson(res, 200, getStateResponse(searchParams));
+                return;
+
+            case 'GET /api/palette':
+                sendJson(res, 200, await readSharedPalette());
+                return;
+
+            case 'GET /api/recordings': {
+                const recordings = await recorder.list();
+                sendJson(res, 200, { count: recordings.length, recordings });
+                return;
+            }
+
+            case 'POST /api/recordings': {
+                const body = await readJsonBody(req);
+                const room = getRequestRoom(body, searchParams);
+                if (!protocol.RECORD_ACTIONS.includes(body.action)) {
+                    throw httpError(400, `action must be one of: ${protocol.RECORD_ACTIONS.join(', ')}`);
+                }
+
+                if (body.action === 'start') {
+                    const status = await recorder.start(room, 'api');
+                    if (!status) {
+                        throw httpError(409, `Room "${room}" is already being recorded`);
+                    }
+                    log.info('Recording started', { room, name: status.recording && status.recording.name, startedBy: 'api' });
+                    sendJson(res, 201, status);
+                } else {
+                    const finished = recorder.stop(room);
+                    if (!finished) {
+                        throw httpError(409, `Room "${room}" is not being recorded`);
+                    }
+                    log.info('Recording stopped', { room, name: finished.name, commands: finished.commands });
+                    sendJson(res, 200, finished);
+                }
+                return;
+            }
+
+            case 'POST /api/replay/stop': {
+                const body = await readJsonBody(req);
+                const room = getRequestRoom(body, searchParams);
+                if (!recorder.stopReplay(room)) {
+                    throw httpError(409, `No replay running in room "${room}"`);
+                }
+                sendJson(res, 200, { ok: true, room });
+                return;
+            }
+
+            default:
+                throw httpError(404, `Unknown API route: ${req.method} ${pathname}`);
+        }
+    }
+
+    // ===========================
+    // Admin Console
+    // ===========================
+
+    // Static files of the admin page: request path -> [file in admin/, content type]
+    const ADMIN_FILES = {
+        '/admin': ['index.html', 'text/html; charset=utf-8'],
+        '/admin/': ['index.html', 'text/html; charset=utf-8'],
+        '/admin/admin.js': ['admin.js', 'application/javascript'],
+        '/admin/admin.css': ['admin.css', 'text/css']
+    };
+
+    const adminWss = new WebSocket.Server({
+        noServer: true,
+        maxPayload: MAX_PAYLOAD,
+        verifyClient: (info) => {
+            // Same approach as relay clients: reject after the upgrade so the page can show why
+            const secret = new URL(info.req.url, 'http://localhost').searchParams.get('secret');
+            info.req.authResult = secret && safeEqual(secret, ADMIN_SECRET)
+                ? { ok: true }
+                : { ok: false, reason: 'Invalid admin secret' };
+            return true;
+        }
+    });
+
+    let adminNotifyTimer = null;
+
+    /**
+     * Serve a static file of the admin page
+     * @param {http.ServerResponse} res - HTTP response
+     * @param {string} pathname - Request path
+     */
+    function serveAdminFile(res, pathname) {
+        const file = ADMIN_FILES[pathname];
+        if (!ADMIN_SECRET || !file) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end(ADMIN_SECRET ? 'Not found\n' : 'Admin console is disabled (set ADMIN_SECRET)\n');
+            return;
+        }
+
+        sendStaticFile(res, path.join(ADMIN_DIR, file[0]), file[1]);
+    }
+
+    /**
+     * Build the live view sent to admin consoles
+     * @returns {Object} Snapshot of clients, rooms and server stats
+     */
+    function getAdminSnapshot() {
+        return {
+            clients: Array.from(clients.values()).map(describeClient),
+            rooms: getRoomSummary(),
+            throttling: throttleStats,
+            authEnabled: authenticator.isEnabled(),
+            serverTime: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Push a fresh snapshot to every admin console
+     * Changes are batched so a busy room doesn't send a snapshot per message.
+     */
+    function notifyAdmins() {
+        if (adminWss.clients.size === 0 || adminNotifyTimer) return;
+
+        adminNotifyTimer = setTimeout(() => {
+            adminNotifyTimer = null;
+            const message = JSON.stringify(protocol.createEnvelope('snapshot', getAdminSnapshot()));
+            adminWss.clients.forEach((ws) => sendToClient(ws, message));
+        }, ADMIN_NOTIFY_DELAY);
+    }
+
+    /**
+     * Handle an action requested from the admin console
+     *   kick:   {"clientId": "client_3", "reason": "..."}
+     *   rename: {"clientId": "client_3", "name": "Headset 1"}
+     *   send:   {"clientId": "client_3", "command": {"type": "color", "payload": {"color": "#FF0000"}}}
+     *   pair:   {} (issues a pairing code when authentication is enabled)
+     * @param {Object} request - Parsed admin message {type, payload, id}
+     * @returns {{ok: boolean, message: string, data: (Object|undefined)}} Result sent back to the console
+     */
+    function handleAdminAction(request) {
+        const payload = request.payload || {};
+
+        if (request.type === 'pair') {
+            if (!authenticator.isEnabled()) {
+                return { ok: false, message: 'Authentication is not enabled on this server' };
+            }
+            const pairing = authenticator.issuePairingCode();
+            return { ok: true, message: `Pairing code ${pairing.code}`, data: pairing };
+        }
+
+        const client = clients.get(payload.clientId);
+        if (!client) {
+            return { ok: false, message: `Unknown client: ${payload.clientId}` };
+        }
+
+        switch (request.type) {
+            case 'kick':
+                log.info('Admin kicked client', getClientFields(client.id));
+                client.ws.close(KICK_CLOSE_CODE, String(payload.reason || 'Disconnected by admin').slice(0, 100));
+                return { ok: true, message: `Kicked ${client.id}` };
+
+            case 'rename': {
+                const name = typeof payload.name === 'string' ? payload.name.trim().slice(0, MAX_CLIENT_NAME_LENGTH) : '';
+                client.name = name || null;
+                notifyAdmins();
+                notifyPresence(client.room, 'update', describePresence(client));
+                return { ok: true, message: name ? `Renamed ${client.id} to "${name}"` : `Cleared name of ${client.id}` };
+            }
+
+            case 'send': {
+                const command = payload.command || {};
+                const envelope = {
+                    v: protocol.PROTOCOL_VERSION,
+                    type: command.type,
+                    payload: command.payload && typeof command.payload === 'object' ? command.payload : {},
+                    id: protocol.generateMessageId(),
+                    ts: Date.now()
+                };
+                const invalid = protocol.validateEnvelope(envelope, false);
+                if (invalid || !protocol.isCommandType(envelope.type)) {
+                    return { ok: false, message: invalid ? invalid.message : `Not a command: ${envelope.type}` };
+                }
+
+                const message = protocol.serializeFor(protocol.sanitizeEnvelope(envelope), client.protocol);
+                if (message === null) {
+                    return { ok: false, message: `${client.id} is a legacy client and can't receive ${envelope.type} commands` };
+                }
+                sendToClient(client.ws, message);
+                log.info('Admin sent command', Object.assign(getClientFields(client.id), { type: envelope.type, payload: envelope.payload }));
+                return { ok: true, message: `Sent ${envelope.type} to ${client.id}` };
+            }
+
+            default:
+                return { ok: false, message: `Unknown admin action: ${request.type}` };
+        }
+    }
+
+    /**
+     * Handle a new admin console connection
+     */
+    adminWss.on('connection', (ws, req) => {
+        if (!req.authResult.ok) {
+            log.warn('Admin connection rejected', { ip: getClientIp(req), reason: req.authResult.reason });
+            ws.close(AUTH_CLOSE_CODE, req.authResult.reason);
+            return;
+        }
+
+        log.info('Admin console connected', { ip: getClientIp(req) });
+        sendToClient(ws, JSON.stringify(protocol.createEnvelope('snapshot', getAdminSnapshot())));
+
+        ws.on('message', (data) => {
+            let request;
+            try {
+                request = JSON.parse(data.toString());
+            } catch (e) {
+                request = null;
+            }
+
+            const result = request && typeof request.type === 'string'
+                ? handleAdminAction(request)
+                : { ok: false, message: 'Admin messages must be JSON: {"type": "...", "payload": {...}}' };
+
+            sendToClient(ws, JSON.stringify(protocol.createEnvelope('result', Object.assign({ ref: request && request.id }, result))));
+        });
+
+        ws.on('close', () => {
+            log.info('Admin console disconnected', { ip: getClientIp(req) });
+        });
+
+        ws.on('error', (error) => {
+            log.error('Admin WebSocket error', { ip: getClientIp(req), error: error.message });
+        });
+    });
+
+    // ===========================
+    // Metrics
+    // ===========================
+
+    const registry = metrics.createRegistry();
+
+    /**
+     * Get the client_type label of a client type
+     * @param {string} type - Client type picked by the client (e.g. 'unity')
+     * @returns {string} One of METRIC_CLIENT_TYPES, or 'other'
+     */
+    function getClientTypeLabel(type) {
+        return METRIC_CLIENT_TYPES.includes(type) ? type : OTHER_CLIENT_TYPE;
+    }
+
+    // Every label is listed, so a type whose clients all dropped reports 0 instead of vanishing
+    registry.gauge('relay_connections', 'Open client connections by client type.', () => {
+        const counts = new Map(METRIC_CLIENT_TYPES.concat(OTHER_CLIENT_TYPE).map((type) => [type, 0]));
+        clients.forEach((client) => {
+            const label = getClientTypeLabel(client.type);
+            counts.set(label, counts.get(label) + 1);
+        });
+        return Array.from(counts, ([type, value]) => ({ labels: { client_type: type }, value }));
+    });
+    registry.gauge('relay_rooms', 'Rooms with at least one client.', () => rooms.size);
+    registry.gauge('relay_admin_connections', 'Open admin console connections.', () => adminWss.clients.size);
+    registry.gauge('relay_pending_deliveries', 'Commands waiting for receiver acks.', () => pendingDeliveries.size);
+
+    const messagesReceived = registry.counter('relay_messages_received_total', 'Messages received from clients by client type.');
+    const messagesBroadcast = registry.counter('relay_messages_broadcast_total', 'Commands relayed to a room by command type.');
+    const messagesDelivered = registry.counter('relay_messages_delivered_total', 'Commands sent to individual clients by command type.');
+    const messagesRejected = registry.counter('relay_messages_rejected_total', 'Messages rejected by validation or rate limiting by reason.');
+    const connectionsRejected = registry.counter('relay_connections_rejected_total', 'Connections rejected at handshake by reason.');
+    const heartbeatTerminations = registry.counter('relay_heartbeat_terminations_total', 'Connections terminated for missing heartbeat pongs.');
+
+    const broadcastDuration = registry.histogram(
+        'relay_broadcast_duration_seconds',
+        'Time to fan a message out to every client of a room.',
+        [0.0001, 0.00025, 0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1]
+    );
+
+    metrics.registerProcessMetrics(registry);
+
+    // ===========================
+    // Connection Health Check
+    // ===========================
+
+    /**
+     * Heartbeat mechanism to detect dead connections
+     * Pings all clients periodically and closes unresponsive ones
+     */
+    function heartbeat() {
+        // Also keeps this instance's cluster entry fresh and forgets instances that went silent
+        updateInstanceEntry().then(getInstances).catch((error) => log.error('Could not read the cluster', { error }));
+
+        wss.clients.forEach((ws) => {
+            if (ws.isAlive === false) {
+                log.warn('Terminating inactive connection', getClientFields(ws.clientId));
+                heartbeatTerminations.inc();
+                return ws.terminate();
+            }
+
+            ws.isAlive = false;
+            ws.ping();
+        });
+    }
+
+    // ===========================
+    // Server Lifecycle
+    // ===========================
+
+    /**
+     * Log server statistics (every statusInterval ms)
+     */
+    function logStatus() {
+        log.info('Server status', {
+            connections: wss.clients.size,
+            rooms: rooms.size,
+            uptimeSeconds: Math.round(process.uptime()),
+            heapUsedMB: Math.round(process.memoryUsage().heapUsed / 1024 / 1024)
+        });
+    }
+
+    /**
+     * Connect to the bus, start listening and start the heartbeat, then the OSC bridge if one is configured
+     * A stopped relay can't be started again; create a new one instead. If the OSC port can't
+     * be bound, the returned promise rejects and stop() should be called.
+     * @returns {Promise<Object>} Resolves with the listening address ({port, address, family})
+     */
+    function start() {
+        if (state === 'listening') {
+            return Promise.resolve(server.address());
+        }
+        if (state === 'stopped') {
+            return Promise.reject(new Error('This relay server was stopped; create a new one'));
+        }
+
+        return connectCluster()
+            .then(listen)
+            .then((address) => (oscBridge ? oscBridge.start().then(() => address) : address))
+            .then((address) => {
+                joinCluster();
+                return address;
+            });
+    }
+
+    /**
+     * Listen for HTTP and WebSocket connections
+     * @returns {Promise<Object>} Resolves with the listening address
+     */
+    function listen() {
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(config.port, config.host, () => {
+                server.removeListener('error', reject);
+                state = 'listening';
+                heartbeatTimer = setInterval(heartbeat, HEARTBEAT_INTERVAL);
+                if (config.statusInterval > 0) {
+                    statusTimer = setInterval(logStatus, config.statusInterval);
+                }
+
+                const { port } = server.address();
+                log.info('WebSocket server started', {
+                    port,
+                    websocketUrl: `ws://localhost:${port}`,
+                    healthCheck: `http://localhost:${port}/health`,
+                    metrics: `http://localhost:${port}/metrics`,
+                    authentication: authenticator.isEnabled() ? 'enabled' : 'disabled',
+                    adminConsole: ADMIN_SECRET ? `http://localhost:${port}/admin` : 'disabled',
+                    recordings: RECORDINGS_DIR,
+                    cluster: clustered ? INSTANCE_ID : 'disabled',
+                    logLevel: log.level
+                });
+                resolve(server.address());
+            });
+        });
+    }
+
+    /**
+     * Close every connection and stop listening
+     * Sequences and replays stop, recordings are closed and pending receipts are dropped.
+     * @returns {Promise<void>} Resolves once the server is closed
+     */
+    function stop() {
+        if (state !== 'listening') {
+            state = 'stopped';
+            return leaveCluster();
+        }
+        state = 'stopped';
+
+        log.info('Shutting down server', { connections: clients.size });
+
+        // Clear timers, pending receipts, running sequences and replays, and close recordings
+        clearInterval(heartbeatTimer);
+        clearInterval(statusTimer);
+        clearPendingDeliveries();
+        sequencer.stopAll();
+        recorder.stopAll();
+        if (oscBridge) {
+            oscBridge.stop();
+        }
+        const leaving = leaveCluster();
+
+        // Notify all clients (legacy clients only get the close frame)
+        const shutdownMsg = JSON.stringify(protocol.createEnvelope('system', {
+            message: 'Server is shutting down',
+            event: 'shutdown'
+        }));
+
+        clients.forEach((client) => {
+            if (client.ws.readyState === WebSocket.OPEN) {
+                if (client.protocol >= protocol.PROTOCOL_VERSION) {
+                    client.ws.send(shutdownMsg);
+                }
+                client.ws.close(1001, 'Server shutdown');
+            }
+        });
+
+        // Close admin consoles
+        clearTimeout(adminNotifyTimer);
+        adminNotifyTimer = null;
+        adminWss.clients.forEach((ws) => ws.close(1001, 'Server shutdown'));
+
+        return new Promise((resolve) => {
+            // Clients that don't answer the close handshake are cut off
+            const forceTimer = setTimeout(() => {
+                log.warn('Terminating connections that did not close in time');
+                wss.clients.forEach((ws) => ws.terminate());
+                adminWss.clients.forEach((ws) => ws.terminate());
+            }, STOP_TIMEOUT);
+
+            wss.close(() => {
+                log.info('WebSocket server closed');
+                adminWss.close();
+                server.close(() => {
+                    clearTimeout(forceTimer);
+                    log.info('HTTP server closed');
+                    leaving.then(resolve);
+                });
+                // Idle keep-alive connections (e.g. REST API callers) would keep server.close() waiting
+                if (server.closeIdleConnections) {
+                    server.closeIdleConnections();
+                }
+            });
+        });
+    }
+
+    /**
+     * Add a message middleware (see createRelayServer)
+     * @param {Function} fn - middleware({envelope, client, room, source})
+     * @returns {Object} The relay server, for chaining
+     */
+    function use(fn) {
+        if (typeof fn !== 'function') {
+            throw new TypeError('Middleware must be a function');
+        }
+        middleware.push(fn);
+        return relay;
+    }
+
+    /**
+     * Relay a command to a room from the embedding program
+     * Goes through the same path as REST API commands, except middleware.
+     * @param {string} room - Room name
+     * @param {string} type - Command type (color, brightness, transition, reset)
+     * @param {Object} [payload] - Command payload, e.g. {color: '#FF0000'}
+     * @param {Object} [target] - Receivers or objects to address, e.g. {objects: ['Wall_Left']}
+     * @returns {number} Number of clients the command was sent to
+     * @throws {Error} If the command is invalid (error.code is the validation code)
+     */
+    function send(room, type, payload = {}, target = undefined) {
+        const envelope = protocol.createEnvelope(type, payload);
+        envelope.target = target;
+        const invalid = protocol.validateEnvelope(envelope, false) ||
+            (protocol.isCommandType(type) ? null : { code: 'unknown_type', message: `Not a command: ${type}` });
+        if (invalid) {
+            const error = new Error(invalid.message);
+            error.code = invalid.code;
+            throw error;
+        }
+        return relayCommand(protocol.sanitizeEnvelope(envelope), normalizeRoomName(room)).length;
+    }
+
+    const relay = {
+        start,
+        stop,
+        use,
+        send,
+        address: () => server.address(),
+        oscAddress: () => (oscBridge ? oscBridge.address() : null),
+        getClients: () => Array.from(clients.values()).map(describeClient),
+        getRoomState
+    };
+    return relay;
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    createRelayServer
+};
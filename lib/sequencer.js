@@ -0,0 +1,294 @@
+/**
+ * Sequencer
+ * Plays cue lists (colors, fades, strobes, loops) per room on the server,
+ * so playback keeps running and stays in sync when the operator's page sleeps or disconnects
+ */
+
+// ===========================
+// Configuration
+// ===========================
+
+const STROBE_OFF_COLOR = '#000000'; // Color shown between strobe flashes
+const DEFAULT_START_COLOR = '#000000'; // Fade origin when the room has no color yet
+
+// ===========================
+// Color Helpers
+// ===========================
+
+/**
+ * Blend two hex colors
+ * @param {string} from - Start color (#RRGGBB)
+ * @param {string} to - End color (#RRGGBB)
+ * @param {number} progress - 0 (from) to 1 (to)
+ * @returns {string} Blended color (#RRGGBB)
+ */
+function mixColors(from, to, progress) {
+    const channel = (hex, offset) => parseInt(hex.slice(offset, offset + 2), 16);
+    const ratio = Math.min(1, Math.max(0, progress));
+
+    return '#' + [1, 3, 5].map((offset) => {
+        const value = Math.round(channel(from, offset) + (channel(to, offset) - channel(from, offset)) * ratio);
+        return value.toString(16).padStart(2, '0');
+    }).join('').toUpperCase();
+}
+
+// ===========================
+// Sequencer
+// ===========================
+
+/**
+ * Create a sequencer
+ * Cue lists must be validated and sanitized (see protocol.validateSequence) before play().
+ * Each room plays at most one sequence; playing another replaces it.
+ * @param {Object} options - Sequencer callbacks
+ * @param {Function} options.send - send(room, type, payload) relays a command to the room
+ * @param {Function} options.onStatus - onStatus(room, status) reports playback changes
+ * @param {Function} [options.getColor] - getColor(room) returns the room's current color, if any
+ * @returns {Object} Sequencer
+ */
+function createSequencer(options) {
+    const players = new Map(); // room -> player
+    const getColor = options.getColor || (() => null);
+
+    /**
+     * Describe a player for status reports
+     * @param {Object} player - Room player
+     * @returns {Object} Playback status
+     */
+    function describe(player) {
+        return {
+            room: player.room,
+            name: player.sequence.name,
+            state: player.state,
+            step: player.stepIndex,
+            steps: player.sequence.steps.length,
+            loop: player.sequence.loop,
+            iteration: player.iteration,
+            startedBy: player.startedBy,
+            startedAt: new Date(player.startedAt).toISOString()
+        };
+    }
+
+    /**
+     * Report the status of a player
+     * @param {Object} player - Room player
+     */
+    function report(player) {
+        options.onStatus(player.room, describe(player));
+    }
+
+    /**
+     * Send a command and remember the color the room now shows
+     * @param {Object} player - Room player
+     * @param {string} type - Command type
+     * @param {Object} payload - Command payload
+     */
+    function send(player, type, payload) {
+        player.currentColor = payload.color;
+        options.send(player.room, type, payload);
+    }
+
+    /**
+     * Run a callback after a delay, remembering enough to pause and resume it
+     * @param {Object} player - Room player
+     * @param {number} delay - Milliseconds
+     * @param {Function} next - Callback
+     */
+    function schedule(player, delay, next) {
+        player.next = next;
+        player.dueAt = Date.now() + delay;
+        player.timer = setTimeout(next, delay);
+    }
+
+    /**
+     * Start the player's current step
+     * @param {Object} player - Room player
+     */
+    function runStep(player) {
+        const step = player.sequence.steps[player.stepIndex];
+        player.fade = null;
+
+        switch (step.type) {
+            case 'fade':
+                player.fade = { from: player.currentColor, to: step.color, duration: step.duration };
+                send(player, 'transition', { color: step.color, duration: step.duration });
+                schedule(player, step.duration, () => advance(player));
+                break;
+
+            case 'strobe': {
+                const flashes = Math.ceil(step.duration / step.interval);
+                const flash = (index) => {
+                    send(player, 'color', { color: index % 2 === 0 ? step.color : STROBE_OFF_COLOR });
+                    if (index + 1 < flashes) {
+                        schedule(player, step.interval, () => flash(index + 1));
+                    } else {
+                        schedule(player, step.duration - index * step.interval, () => advance(player));
+                    }
+                };
+                flash(0);
+                break;
+            }
+
+            default:
+                send(player, 'color', { color: step.color });
+                schedule(player, step.duration, () => advance(player));
+        }
+    }
+
+    /**
+     * Move to the next step, looping or finishing at the end
+     * @param {Object} player - Room player
+     */
+    function advance(player) {
+        player.stepIndex++;
+
+        if (player.stepIndex >= player.sequence.steps.length) {
+            if (!player.sequence.loop) {
+                finish(player, 'finished');
+                return;
+            }
+            player.stepIndex = 0;
+            player.iteration++;
+        }
+
+        report(player);
+        runStep(player);
+    }
+
+    /**
+     * Stop a player and report why
+     * @param {Object} player - Room player
+     * @param {string} reason - e.g. 'finished', 'stopped', 'replaced'
+     */
+    function finish(player, reason) {
+        clearTimeout(player.timer);
+        players.delete(player.room);
+        player.state = 'stopped';
+        options.onStatus(player.room, Object.assign(describe(player), { reason }));
+    }
+
+    /**
+     * Play a cue list in a room from its first step
+     * @param {string} room - Room name
+     * @param {Object} sequence - Sanitized cue list {name, loop, steps}
+     * @param {string} startedBy - Who started playback (client id or 'api')
+     * @returns {Object} Playback status
+     */
+    function play(room, sequence, startedBy) {
+        if (players.has(room)) {
+            finish(players.get(room), 'replaced');
+        }
+
+        const player = {
+            room,
+            sequence,
+            startedBy,
+            startedAt: Date.now(),
+            state: 'playing',
+            stepIndex: 0,
+            iteration: 0,
+            currentColor: getColor(room) || DEFAULT_START_COLOR,
+            fade: null,
+            timer: null,
+            next: null,
+            dueAt: 0,
+            remaining: 0
+        };
+        players.set(room, player);
+
+        report(player);
+        runStep(player);
+        return describe(player);
+    }
+
+    /**
+     * Pause playback in a room
+     * A fade in progress is frozen on its current color.
+     * @param {string} room - Room name
+     * @returns {Object|null} Playback status, or null if nothing is playing
+     */
+    function pause(room) {
+        const player = players.get(room);
+        if (!player || player.state !== 'playing') return null;
+
+        clearTimeout(player.timer);
+        player.remaining = Math.max(0, player.dueAt - Date.now());
+        player.state = 'paused';
+
+        if (player.fade && player.fade.duration > 0) {
+            const progress = 1 - player.remaining / player.fade.duration;
+            options.send(room, 'color', { color: mixColors(player.fade.from, player.fade.to, progress) });
+        }
+
+        report(player);
+        return describe(player);
+    }
+
+    /**
+     * Resume paused playback in a room
+     * @param {string} room - Room name
+     * @returns {Object|null} Playback status, or null if nothing is paused
+     */
+    function resume(room) {
+        const player = players.get(room);
+        if (!player || player.state !== 'paused') return null;
+
+        player.state = 'playing';
+
+        // Finish the interrupted fade over the time it had left
+        if (player.fade && player.remaining > 0) {
+            options.send(room, 'transition', { color: player.fade.to, duration: player.remaining });
+        }
+
+        schedule(player, player.remaining, player.next);
+        report(player);
+        return describe(player);
+    }
+
+    /**
+     * Stop playback in a room
+     * Receivers keep showing the last color sent.
+     * @param {string} room - Room name
+     * @param {string} [reason] - Reported reason (default 'stopped')
+     * @returns {boolean} True if a sequence was playing or paused
+     */
+    function stop(room, reason = 'stopped') {
+        const player = players.get(room);
+        if (!player) return false;
+
+        finish(player, reason);
+        return true;
+    }
+
+    /**
+     * Get the playback status of a room
+     * @param {string} room - Room name
+     * @returns {Object|null} Playback status, or null if nothing is playing or paused
+     */
+    function getStatus(room) {
+        const player = players.get(room);
+        return player ? describe(player) : null;
+    }
+
+    /**
+     * Stop every room without reporting (used on shutdown)
+     */
+    function stopAll() {
+        players.forEach((player) => clearTimeout(player.timer));
+        players.clear();
+    }
+
+    return {
+        play,
+        pause,
+        resume,
+        stop,
+        getStatus,
+        stopAll
+    };
+}
+
+module.exports = {
+    createSequencer,
+    mixColors
+};
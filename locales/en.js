@@ -0,0 +1,268 @@
+/**
+ * English Catalog
+ * Texts of the controller in English. It is also the fallback for keys missing from
+ * another catalog (see i18n.js).
+ */
+
+const LOCALE_EN = {
+    name: 'English',
+
+    // Names of the built-in palette colors, by color id
+    colors: {
+        green: 'Green',
+        yellow: 'Yellow',
+        'cyan-blue': 'Cyan-Blue',
+        white: 'White',
+        gray: 'Gray',
+        black: 'Black',
+        magenta: 'Magenta',
+        violet: 'Violet',
+        red: 'Red',
+        'green-cyan': 'Green-Cyan',
+        pink: 'Pink',
+        'yellow-green': 'Yellow-Green',
+        blue: 'Blue',
+        cyan: 'Cyan',
+        orange: 'Orange'
+    },
+
+    // {name} placeholders are filled in by t(); {one, other} entries depend on {count}
+    messages: {
+        // Page
+        'app.title': 'Color Controller',
+        'app.initializing': 'Initializing connection...',
+        'app.pickRoom': 'Enter a room code and press Join to connect',
+        'common.delete': 'Delete',
+        'common.done': 'Done',
+        'common.untitled': 'Untitled',
+        'language.label': 'Language:',
+        'language.browser': 'Browser ({language})',
+
+        // Connection (script.js)
+        'status.label': 'Status:',
+        'status.connected': 'Connected',
+        'status.disconnected': 'Disconnected',
+        'status.connecting': 'Connecting...',
+        'status.retry': 'Retry in {seconds}s',
+        'status.reconnect': 'Reconnect now',
+        'connection.connecting': 'Connecting to room "{room}" on {host}...',
+        'connection.failed': 'Connection failed: {error}',
+        'connection.connected': 'Connected to room "{room}". Ready to send colors!',
+        'connection.denied': 'Access denied: {reason}. Enter a valid code and press Join.',
+        'connection.invalidCode': 'invalid access code',
+        'connection.kicked': 'Disconnected by admin. Press Join to reconnect.',
+        'connection.lost': 'Connection lost. Reconnecting; colors picked meanwhile are sent once it is back.',
+        'connection.lostReason': 'Connection lost ({reason}). Reconnecting; colors picked meanwhile are sent once it is back.',
+        'connection.closed': 'Disconnected from server',
+        'connection.error': 'Connection error occurred',
+        'server.response': 'Server response: {data}',
+        'server.rejected': 'Rejected by server: {message}',
+
+        // Notices and errors sent by the relay, by event type and error code (script.js)
+        'system.leave': 'Client {clientId} left',
+        'system.shutdown': 'The server is shutting down',
+        'error.invalid_color': 'the color is not a hex code like #FF0000',
+        'error.invalid_payload': 'the message has missing or invalid fields',
+        'error.unknown_type': 'the server does not know this kind of message',
+        'error.invalid_id': 'the message id is invalid',
+        'error.unsupported_version': 'the server does not support this protocol version',
+        'error.invalid_target': 'the target is invalid',
+        'error.invalid_sequence': 'the sequence is invalid',
+        'error.no_sequence': 'no sequence is playing in this room',
+        'error.not_recording': 'this room is not being recorded',
+        'error.already_recording': 'this room is already being recorded',
+        'error.recording_failed': 'the server could not create the recording file',
+        'error.rate_limited': 'too many messages, slow down',
+        'error.forbidden': 'only controllers can do this',
+        'error.invalid_room': 'room codes use 1-32 letters, digits, "-" or "_"',
+        'error.server_error': 'the server could not process the message',
+
+        // Room (script.js)
+        'room.label': 'Room:',
+        'room.accessCode': 'Access code',
+        'room.accessCodeFor': 'Access code for {host}',
+        'room.join': 'Join',
+        'room.invalid': 'Room codes use 1-32 letters, digits, "-" or "_"',
+        'room.already': 'Already in room "{room}"',
+
+        // Colors and delivery receipts (script.js)
+        'color.sending': 'Sent: {label}, waiting for headsets...',
+        'color.sentTo': '{color} sent to {target}',
+        'color.roomChanged': 'Room color changed to {color}',
+        'receipt.timeout': 'Sent: {label}, but the server did not report delivery',
+        'receipt.noMatch': 'Sent: {label}, but no connected headset matches the target',
+        'receipt.noHeadset': 'Sent: {label}, but no headset is connected to this room',
+        'receipt.applied': {
+            one: '{label} applied on {applied}/{count} headset',
+            other: '{label} applied on {applied}/{count} headsets'
+        },
+        'receipt.failed': {
+            one: '{label} applied on {applied}/{count} headset, {failed} failed',
+            other: '{label} applied on {applied}/{count} headsets, {failed} failed'
+        },
+        'receipt.unconfirmed': 'No headset confirmed {label} (0/{count})',
+        'send.notConnected': 'Cannot send: Not connected to server',
+        'send.error': 'Error sending data: {error}',
+        'outbox.title': 'Commands waiting for the connection',
+        'outbox.count': '{count} queued',
+        'outbox.queued': 'Offline: {label} will be sent when the connection is back',
+
+        // Servers (connection.js)
+        'server.label': 'Server:',
+        'server.settings': 'Settings',
+        'server.automatic': 'Automatic',
+        'server.fromLink': 'From link ({host})',
+        'server.profileName': 'Profile name',
+        'server.profileNamePlaceholder': 'Profile name (e.g. Lab LAN)',
+        'server.address': 'Server address',
+        'server.connect': 'Connect',
+        'server.using': 'Connected rooms use {url}',
+        'server.linkToken': 'Connected rooms use {url}, which came from a link: saved access codes are not sent to it. Enter its own code next to the room if it asks for one.',
+        'server.mixedContent': 'This page is served over https, so the browser blocks {url}. Use a wss:// address, or open the controller over http on the lab network.',
+        'server.badLink': 'The link asked for "{value}", which is not a server address or profile name. Using {url} instead.',
+        'server.invalidAddress': 'Enter a server address like ws://192.168.1.20:8080 or wss://example.com',
+        'server.builtInName': '"{name}" is a built-in server; pick another profile name',
+        'server.tooMany': 'At most {max} server profiles can be saved',
+        'server.saved': 'Saved server profile "{name}"',
+        'server.confirmDelete': 'Delete server profile "{name}"?',
+
+        // Palettes (palette.js)
+        'palette.label': 'Palette',
+        'palette.edit': 'Edit',
+        'palette.shared': 'Shared',
+        'palette.sharedTitle': 'Load the palette shared by the server',
+        'palette.import': 'Import',
+        'palette.export': 'Export',
+        'palette.name': 'Palette name',
+        'palette.duplicate': 'Duplicate',
+        'palette.newColor': 'New color',
+        'palette.addColor': '+ Add color',
+        'palette.shortcut': 'Shortcut: {key}',
+        'palette.color': 'Color',
+        'palette.colorName': 'Color name',
+        'palette.shortcutKey': 'Shortcut key',
+        'palette.moveUp': 'Move up',
+        'palette.moveDown': 'Move down',
+        'palette.removeColor': 'Remove color',
+        'palette.notAPalette': 'A palette must be an object with a "colors" array',
+        'palette.colorCount': 'A palette must have 1 to {max} colors',
+        'palette.badColor': 'Color {index} must be a hex code like #FF0000',
+        'palette.badShortcut': 'Shortcut keys are single letters or digits',
+        'palette.full': 'A palette can have at most {max} colors',
+        'palette.created': 'Created palette "{name}"',
+        'palette.confirmDelete': 'Delete palette "{name}"?',
+        'palette.imported': 'Imported palette "{name}"',
+        'palette.importFailed': 'Could not import palette: {error}',
+        'palette.sharedLoaded': 'Loaded shared palette "{name}"',
+        'palette.sharedFailed': 'Could not load shared palette: {error}',
+
+        // Command targets (targets.js)
+        'targets.label': 'Send to:',
+        'targets.object': 'Scene object',
+        'targets.objectPlaceholder': 'Scene object (e.g. Wall_Left)',
+        'targets.everyone': 'Everyone',
+        'targets.everyoneInRoom': 'Everyone in the room',
+        'targets.receivers': 'Receivers',
+        'targets.groups': 'Groups',
+        'targets.group': 'group {name}',
+        'targets.objectsOn': '{objects} on {receivers}',
+        'targets.notConnected': '{name} (not connected)',
+        'targets.colorsGoTo': 'Colors go to {target}',
+
+        // Roster (presence.js)
+        'roster.title': 'Receivers',
+        'roster.offline': 'Offline',
+        'roster.connectFirst': 'Connect to a room to see its receivers',
+        'roster.count': {
+            one: '{count} receiver',
+            other: '{count} receivers'
+        },
+        'roster.countWithControllers': {
+            one: '{count} receiver, {controllers} controllers',
+            other: '{count} receivers, {controllers} controllers'
+        },
+        'roster.empty': 'No receiver in this room: colors only reach other controllers',
+        'presence.type.unity': 'Unity',
+        'presence.type.web': 'Web',
+        'presence.type.virtual': 'Virtual',
+        'presence.type.unknown': 'Unknown',
+        'presence.legacy': 'Hex only, no confirmations',
+        'presence.waiting': 'Online, nothing applied yet',
+        'presence.applied': 'Applied last command ({time})',
+        'presence.failed': 'Failed last command ({time})',
+        'presence.showing': 'Showing {color} (reported {time})',
+        'presence.showingDimmed': 'Showing {color} at {percent}% (reported {time})',
+        'presence.noReport': 'This receiver has not reported its color',
+        'presence.connectedAt': '{id}, connected at {time}',
+        'presence.scene': 'Scene',
+        'presence.groups': 'Groups',
+        'presence.joined': '{name} joined the room',
+        'presence.left': '{name} left the room',
+        'presence.reported': 'Reports a problem: {error}',
+        'presence.reportError': '{name} reports a problem: {error}',
+
+        // Recording (recording.js)
+        'recording.record': '● Record',
+        'recording.stop': '■ Stop recording',
+        'recording.idle': 'Not recording',
+        'recording.recordingTo': 'Recording to {name}',
+        'recording.replaying': 'Replaying {name}',
+        'recording.replayingAt': 'Replaying {name} at {speed}×',
+        'recording.saved': 'Recording saved as {name}',
+        'recording.writeFailed': 'Recording {name} stopped: the server could not write it',
+        'recording.replayOverride': 'Replay stopped by a color sent by hand',
+
+        // Sequences (sequences.js)
+        'sequences.title': 'Sequences',
+        'sequences.saved': 'Saved sequences',
+        'sequences.new': 'New',
+        'sequences.name': 'Sequence name',
+        'sequences.loop': 'Loop',
+        'sequences.addStep': '+ Add step',
+        'sequences.save': 'Save',
+        'sequences.play': '▶ Play',
+        'sequences.pause': '⏸ Pause',
+        'sequences.resume': '▶ Resume',
+        'sequences.stop': '■ Stop',
+        'sequences.step.color': 'Color',
+        'sequences.step.fade': 'Fade',
+        'sequences.step.strobe': 'Strobe',
+        'sequences.stepType': 'Step type',
+        'sequences.stepColor': 'Step color',
+        'sequences.duration': 'Duration in milliseconds',
+        'sequences.interval': 'Strobe interval in milliseconds',
+        'sequences.intervalTitle': 'Time between flashes',
+        'sequences.removeStep': 'Remove step',
+        'sequences.storeFailed': 'Could not save sequences in this browser',
+        'sequences.full': 'A sequence can have at most {max} steps',
+        'sequences.emptySave': 'Add at least one step before saving',
+        'sequences.emptyPlay': 'Add at least one step to play',
+        'sequences.savedMessage': 'Saved sequence "{name}"',
+        'sequences.confirmDelete': 'Delete sequence "{name}"?',
+        'sequences.starting': 'Starting sequence "{name}"...',
+        'sequences.playing': 'Playing "{name}": step {step}/{steps}',
+        'sequences.playingLoop': 'Playing "{name}": step {step}/{steps}, loop {iteration}',
+        'sequences.paused': 'Paused "{name}": step {step}/{steps}',
+        'sequences.pausedLoop': 'Paused "{name}": step {step}/{steps}, loop {iteration}',
+        'sequences.finished': 'Finished "{name}"',
+        'sequences.overridden': 'Stopped by a color sent by hand: "{name}"',
+        'sequences.stopped': 'Stopped',
+
+        // Installable app (pwa.js)
+        'pwa.offline': 'Offline',
+        'pwa.offlineTitle': 'This device has no network; the page runs from its offline copy',
+        'pwa.installed': 'App',
+        'pwa.installedTitle': 'Running as an installed app',
+        'pwa.install': 'Install',
+        'pwa.installTitle': 'Install the controller so it opens without a connection to the website',
+        'pwa.networkLost': 'No network: the controller keeps working, colors are sent when the connection is back',
+        'pwa.networkBack': 'Network is back, reconnecting...',
+        'pwa.installLater': 'You can install the controller later from the browser menu',
+        'pwa.installDone': 'Controller installed: it opens even without a connection to the website',
+
+        // Footer
+        'footer.server': 'WebSocket Server:',
+        'footer.noHeadset': 'No headset at hand?',
+        'footer.virtualReceiver': 'Open a virtual receiver'
+    }
+};
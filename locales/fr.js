@@ -0,0 +1,267 @@
+/**
+ * French Catalog
+ * Texts of the controller in French. Keys missing here are shown in English (see i18n.js).
+ */
+
+const LOCALE_FR = {
+    name: 'Français',
+
+    // Names of the built-in palette colors, by color id
+    colors: {
+        green: 'Vert',
+        yellow: 'Jaune',
+        'cyan-blue': 'Cyan-Bleu',
+        white: 'Blanc',
+        gray: 'Gris',
+        black: 'Noir',
+        magenta: 'Magenta',
+        violet: 'Violet',
+        red: 'Rouge',
+        'green-cyan': 'Vert-Cyan',
+        pink: 'Rose',
+        'yellow-green': 'Jaune-Vert',
+        blue: 'Bleu',
+        cyan: 'Cyan',
+        orange: 'Orange'
+    },
+
+    // {name} placeholders are filled in by t(); {one, other} entries depend on {count}
+    messages: {
+        // Page
+        'app.title': 'Contrôleur de couleurs',
+        'app.initializing': 'Initialisation de la connexion...',
+        'app.pickRoom': 'Saisissez un code de salle et appuyez sur Rejoindre pour vous connecter',
+        'common.delete': 'Supprimer',
+        'common.done': 'Terminé',
+        'common.untitled': 'Sans titre',
+        'language.label': 'Langue :',
+        'language.browser': 'Navigateur ({language})',
+
+        // Connection (script.js)
+        'status.label': 'État :',
+        'status.connected': 'Connecté',
+        'status.disconnected': 'Déconnecté',
+        'status.connecting': 'Connexion...',
+        'status.retry': 'Nouvel essai dans {seconds} s',
+        'status.reconnect': 'Reconnecter',
+        'connection.connecting': 'Connexion à la salle « {room} » sur {host}...',
+        'connection.failed': 'Échec de la connexion : {error}',
+        'connection.connected': 'Connecté à la salle « {room} ». Prêt à envoyer des couleurs !',
+        'connection.denied': 'Accès refusé : {reason}. Saisissez un code valide et appuyez sur Rejoindre.',
+        'connection.invalidCode': 'code d\'accès invalide',
+        'connection.kicked': 'Déconnecté par l\'administrateur. Appuyez sur Rejoindre pour vous reconnecter.',
+        'connection.lost': 'Connexion perdue. Reconnexion en cours ; les couleurs choisies entre-temps seront envoyées à son retour.',
+        'connection.lostReason': 'Connexion perdue ({reason}). Reconnexion en cours ; les couleurs choisies entre-temps seront envoyées à son retour.',
+        'connection.closed': 'Déconnecté du serveur',
+        'connection.error': 'Erreur de connexion',
+        'server.response': 'Réponse du serveur : {data}',
+        'server.rejected': 'Refusé par le serveur : {message}',
+
+        // Notices and errors sent by the relay, by event type and error code (script.js)
+        'system.leave': 'Le client {clientId} est parti',
+        'system.shutdown': 'Le serveur s\'arrête',
+        'error.invalid_color': 'la couleur n\'est pas un code hexadécimal comme #FF0000',
+        'error.invalid_payload': 'le message a des champs manquants ou invalides',
+        'error.unknown_type': 'le serveur ne connaît pas ce type de message',
+        'error.invalid_id': 'l\'identifiant du message est invalide',
+        'error.unsupported_version': 'le serveur ne prend pas en charge cette version du protocole',
+        'error.invalid_target': 'la cible est invalide',
+        'error.invalid_sequence': 'la séquence est invalide',
+        'error.no_sequence': 'aucune séquence n\'est en cours dans cette salle',
+        'error.not_recording': 'cette salle n\'est pas enregistrée',
+        'error.already_recording': 'cette salle est déjà enregistrée',
+        'error.recording_failed': 'le serveur n\'a pas pu créer le fichier d\'enregistrement',
+        'error.rate_limited': 'trop de messages, ralentissez',
+        'error.forbidden': 'seuls les contrôleurs peuvent faire cela',
+        'error.invalid_room': 'les codes de salle comptent de 1 à 32 lettres, chiffres, « - » ou « _ »',
+        'error.server_error': 'le serveur n\'a pas pu traiter le message',
+
+        // Room (script.js)
+        'room.label': 'Salle :',
+        'room.accessCode': 'Code d\'accès',
+        'room.accessCodeFor': 'Code d\'accès pour {host}',
+        'room.join': 'Rejoindre',
+        'room.invalid': 'Les codes de salle comptent de 1 à 32 lettres, chiffres, « - » ou « _ »',
+        'room.already': 'Déjà dans la salle « {room} »',
+
+        // Colors and delivery receipts (script.js)
+        'color.sending': 'Envoyé : {label}, en attente des casques...',
+        'color.sentTo': '{color} envoyé à {target}',
+        'color.roomChanged': 'Couleur de la salle changée en {color}',
+        'receipt.timeout': 'Envoyé : {label}, mais le serveur n\'a pas confirmé la livraison',
+        'receipt.noMatch': 'Envoyé : {label}, mais aucun casque connecté ne correspond à la cible',
+        'receipt.noHeadset': 'Envoyé : {label}, mais aucun casque n\'est connecté à cette salle',
+        'receipt.applied': {
+            one: '{label} appliqué sur {applied}/{count} casque',
+            other: '{label} appliqué sur {applied}/{count} casques'
+        },
+        'receipt.failed': {
+            one: '{label} appliqué sur {applied}/{count} casque, {failed} en échec',
+            other: '{label} appliqué sur {applied}/{count} casques, {failed} en échec'
+        },
+        'receipt.unconfirmed': 'Aucun casque n\'a confirmé {label} (0/{count})',
+        'send.notConnected': 'Envoi impossible : non connecté au serveur',
+        'send.error': 'Erreur d\'envoi : {error}',
+        'outbox.title': 'Commandes en attente de la connexion',
+        'outbox.count': '{count} en attente',
+        'outbox.queued': 'Hors ligne : {label} sera envoyé au retour de la connexion',
+
+        // Servers (connection.js)
+        'server.label': 'Serveur :',
+        'server.settings': 'Réglages',
+        'server.automatic': 'Automatique',
+        'server.fromLink': 'Depuis le lien ({host})',
+        'server.profileName': 'Nom du profil',
+        'server.profileNamePlaceholder': 'Nom du profil (ex. LAN du labo)',
+        'server.address': 'Adresse du serveur',
+        'server.connect': 'Connecter',
+        'server.using': 'Les salles se connectent à {url}',
+        'server.linkToken': 'Les salles se connectent à {url}, qui vient d\'un lien : les codes d\'accès enregistrés ne lui sont pas envoyés. Saisissez son propre code à côté de la salle s\'il en demande un.',
+        'server.mixedContent': 'Cette page est servie en https, le navigateur bloque donc {url}. Utilisez une adresse wss:// ou ouvrez le contrôleur en http sur le réseau du labo.',
+        'server.badLink': 'Le lien demandait « {value} », qui n\'est ni une adresse de serveur ni un nom de profil. Utilisation de {url} à la place.',
+        'server.invalidAddress': 'Saisissez une adresse de serveur comme ws://192.168.1.20:8080 ou wss://example.com',
+        'server.builtInName': '« {name} » est un serveur intégré ; choisissez un autre nom de profil',
+        'server.tooMany': 'Au plus {max} profils de serveur peuvent être enregistrés',
+        'server.saved': 'Profil de serveur « {name} » enregistré',
+        'server.confirmDelete': 'Supprimer le profil de serveur « {name} » ?',
+
+        // Palettes (palette.js)
+        'palette.label': 'Palette',
+        'palette.edit': 'Modifier',
+        'palette.shared': 'Partagée',
+        'palette.sharedTitle': 'Charger la palette partagée par le serveur',
+        'palette.import': 'Importer',
+        'palette.export': 'Exporter',
+        'palette.name': 'Nom de la palette',
+        'palette.duplicate': 'Dupliquer',
+        'palette.newColor': 'Nouvelle couleur',
+        'palette.addColor': '+ Ajouter une couleur',
+        'palette.shortcut': 'Raccourci : {key}',
+        'palette.color': 'Couleur',
+        'palette.colorName': 'Nom de la couleur',
+        'palette.shortcutKey': 'Touche de raccourci',
+        'palette.moveUp': 'Monter',
+        'palette.moveDown': 'Descendre',
+        'palette.removeColor': 'Retirer la couleur',
+        'palette.notAPalette': 'Une palette doit être un objet avec un tableau « colors »',
+        'palette.colorCount': 'Une palette doit avoir de 1 à {max} couleurs',
+        'palette.badColor': 'La couleur {index} doit être un code hexadécimal comme #FF0000',
+        'palette.badShortcut': 'Les raccourcis sont une seule lettre ou un seul chiffre',
+        'palette.full': 'Une palette peut avoir au plus {max} couleurs',
+        'palette.created': 'Palette « {name} » créée',
+        'palette.confirmDelete': 'Supprimer la palette « {name} » ?',
+        'palette.imported': 'Palette « {name} » importée',
+        'palette.importFailed': 'Impossible d\'importer la palette : {error}',
+        'palette.sharedLoaded': 'Palette partagée « {name} » chargée',
+        'palette.sharedFailed': 'Impossible de charger la palette partagée : {error}',
+
+        // Command targets (targets.js)
+        'targets.label': 'Envoyer à :',
+        'targets.object': 'Objet de la scène',
+        'targets.objectPlaceholder': 'Objet de la scène (ex. Wall_Left)',
+        'targets.everyone': 'Tout le monde',
+        'targets.everyoneInRoom': 'Toute la salle',
+        'targets.receivers': 'Récepteurs',
+        'targets.groups': 'Groupes',
+        'targets.group': 'groupe {name}',
+        'targets.objectsOn': '{objects} sur {receivers}',
+        'targets.notConnected': '{name} (non connecté)',
+        'targets.colorsGoTo': 'Les couleurs vont à {target}',
+
+        // Roster (presence.js)
+        'roster.title': 'Récepteurs',
+        'roster.offline': 'Hors ligne',
+        'roster.connectFirst': 'Connectez-vous à une salle pour voir ses récepteurs',
+        'roster.count': {
+            one: '{count} récepteur',
+            other: '{count} récepteurs'
+        },
+        'roster.countWithControllers': {
+            one: '{count} récepteur, {controllers} contrôleurs',
+            other: '{count} récepteurs, {controllers} contrôleurs'
+        },
+        'roster.empty': 'Aucun récepteur dans cette salle : les couleurs n\'atteignent que les autres contrôleurs',
+        'presence.type.unity': 'Unity',
+        'presence.type.web': 'Web',
+        'presence.type.virtual': 'Virtuel',
+        'presence.type.unknown': 'Inconnu',
+        'presence.legacy': 'Hexadécimal seul, sans confirmation',
+        'presence.waiting': 'En ligne, rien d\'appliqué pour l\'instant',
+        'presence.applied': 'Dernière commande appliquée ({time})',
+        'presence.failed': 'Échec de la dernière commande ({time})',
+        'presence.showing': 'Affiche {color} (signalé à {time})',
+        'presence.showingDimmed': 'Affiche {color} à {percent} % (signalé à {time})',
+        'presence.noReport': 'Ce récepteur n\'a pas signalé sa couleur',
+        'presence.connectedAt': '{id}, connecté à {time}',
+        'presence.scene': 'Scène',
+        'presence.groups': 'Groupes',
+        'presence.joined': '{name} a rejoint la salle',
+        'presence.left': '{name} a quitté la salle',
+        'presence.reported': 'Signale un problème : {error}',
+        'presence.reportError': '{name} signale un problème : {error}',
+
+        // Recording (recording.js)
+        'recording.record': '● Enregistrer',
+        'recording.stop': '■ Arrêter l\'enregistrement',
+        'recording.idle': 'Pas d\'enregistrement',
+        'recording.recordingTo': 'Enregistrement dans {name}',
+        'recording.replaying': 'Relecture de {name}',
+        'recording.replayingAt': 'Relecture de {name} à {speed}×',
+        'recording.saved': 'Enregistrement sauvegardé sous {name}',
+        'recording.writeFailed': 'Enregistrement {name} arrêté : le serveur n\'a pas pu l\'écrire',
+        'recording.replayOverride': 'Relecture arrêtée par une couleur envoyée à la main',
+
+        // Sequences (sequences.js)
+        'sequences.title': 'Séquences',
+        'sequences.saved': 'Séquences enregistrées',
+        'sequences.new': 'Nouvelle',
+        'sequences.name': 'Nom de la séquence',
+        'sequences.loop': 'En boucle',
+        'sequences.addStep': '+ Ajouter une étape',
+        'sequences.save': 'Enregistrer',
+        'sequences.play': '▶ Lire',
+        'sequences.pause': '⏸ Pause',
+        'sequences.resume': '▶ Reprendre',
+        'sequences.stop': '■ Arrêter',
+        'sequences.step.color': 'Couleur',
+        'sequences.step.fade': 'Fondu',
+        'sequences.step.strobe': 'Stroboscope',
+        'sequences.stepType': 'Type d\'étape',
+        'sequences.stepColor': 'Couleur de l\'étape',
+        'sequences.duration': 'Durée en millisecondes',
+        'sequences.interval': 'Intervalle du stroboscope en millisecondes',
+        'sequences.intervalTitle': 'Temps entre deux flashs',
+        'sequences.removeStep': 'Retirer l\'étape',
+        'sequences.storeFailed': 'Impossible d\'enregistrer les séquences dans ce navigateur',
+        'sequences.full': 'Une séquence peut avoir au plus {max} étapes',
+        'sequences.emptySave': 'Ajoutez au moins une étape avant d\'enregistrer',
+        'sequences.emptyPlay': 'Ajoutez au moins une étape pour lire',
+        'sequences.savedMessage': 'Séquence « {name} » enregistrée',
+        'sequences.confirmDelete': 'Supprimer la séquence « {name} » ?',
+        'sequences.starting': 'Lancement de la séquence « {name} »...',
+        'sequences.playing': 'Lecture de « {name} » : étape {step}/{steps}',
+        'sequences.playingLoop': 'Lecture de « {name} » : étape {step}/{steps}, boucle {iteration}',
+        'sequences.paused': '« {name} » en pause : étape {step}/{steps}',
+        'sequences.pausedLoop': '« {name} » en pause : étape {step}/{steps}, boucle {iteration}',
+        'sequences.finished': '« {name} » terminée',
+        'sequences.overridden': 'Arrêtée par une couleur envoyée à la main : « {name} »',
+        'sequences.stopped': 'Arrêtée',
+
+        // Installable app (pwa.js)
+        'pwa.offline': 'Hors ligne',
+        'pwa.offlineTitle': 'Cet appareil n\'a pas de réseau ; la page tourne sur sa copie hors ligne',
+        'pwa.installed': 'App',
+        'pwa.installedTitle': 'Lancé comme application installée',
+        'pwa.install': 'Installer',
+        'pwa.installTitle': 'Installer le contrôleur pour qu\'il s\'ouvre sans connexion au site',
+        'pwa.networkLost': 'Pas de réseau : le contrôleur continue de fonctionner, les couleurs seront envoyées au retour de la connexion',
+        'pwa.networkBack': 'Réseau rétabli, reconnexion...',
+        'pwa.installLater': 'Vous pourrez installer le contrôleur plus tard depuis le menu du navigateur',
+        'pwa.installDone': 'Contrôleur installé : il s\'ouvre même sans connexion au site',
+
+        // Footer
+        'footer.server': 'Serveur WebSocket :',
+        'footer.noHeadset': 'Pas de casque sous la main ?',
+        'footer.virtualReceiver': 'Ouvrir un récepteur virtuel'
+    }
+};
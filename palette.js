@@ -0,0 +1,513 @@
+/**
+ * Color Palettes
+ * Renders the color buttons from editable palettes saved in this browser,
+ * with JSON import/export and an optional shared palette hosted by the server
+ */
+
+// ===========================
+// Configuration
+// ===========================
+
+const PALETTES_STORAGE_KEY = 'colorController.palettes';
+const MAX_PALETTE_COLORS = 48;
+const MAX_COLOR_NAME_LENGTH = 24;
+const SHORTCUT_KEY_PATTERN = /^[a-z0-9]$/;
+const HEX_COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+
+// Built-in palette, used until the user saves their own
+// Its names are shown in the operator's language (see localizeColorName() in i18n.js)
+const DEFAULT_PALETTE = {
+    name: 'Default',
+    colors: [
+        { name: 'Vert', color: '#00FF00', key: '1' },
+        { name: 'Jaune', color: '#FFFF00', key: '2' },
+        { name: 'Cyan-Bleu', color: '#0080FF', key: '3' },
+        { name: 'Blanc', color: '#FFFFFF', key: '4' },
+        { name: 'Gris', color: '#808080', key: '5' },
+        { name: 'Noir', color: '#000000', key: '6' },
+        { name: 'Magenta', color: '#FF00FF', key: '7' },
+        { name: 'Violet', color: '#8000FF', key: '8' },
+        { name: 'Rouge', color: '#FF0000', key: '9' },
+        { name: 'Vert-Cyan', color: '#00FF80', key: '0' },
+        { name: 'Rose', color: '#FF0080', key: 'q' },
+        { name: 'Jaune-Vert', color: '#80FF00', key: 'w' },
+        { name: 'Bleu', color: '#0000FF', key: 'e' },
+        { name: 'Cyan', color: '#00FFFF', key: 'r' },
+        { name: 'Orange', color: '#FF8000', key: 't' }
+    ]
+};
+
+// ===========================
+// State Management
+// ===========================
+
+let palettes = [];
+let activePaletteIndex = 0;
+
+// ===========================
+// DOM Elements
+// ===========================
+
+const paletteGrid = document.getElementById('buttonGrid');
+const paletteSelect = document.getElementById('paletteSelect');
+const paletteEditor = document.getElementById('paletteEditor');
+const paletteNameInput = document.getElementById('paletteName');
+const paletteColorList = document.getElementById('paletteColorList');
+const editPaletteButton = document.getElementById('editPaletteBtn');
+const paletteFileInput = document.getElementById('paletteFileInput');
+
+// ===========================
+// Palette Data
+// ===========================
+
+/**
+ * Validate and normalize a palette (from storage, an imported file or the server)
+ * @param {Object} data - Raw palette {name, colors: [{name, color, key}]}
+ * @returns {{name: string, colors: Object[]}} Normalized palette
+ * @throws {Error} If the palette is not usable
+ */
+function normalizePalette(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.colors)) {
+        throw new Error(t('palette.notAPalette'));
+    }
+    if (data.colors.length === 0 || data.colors.length > MAX_PALETTE_COLORS) {
+        throw new Error(t('palette.colorCount', { max: MAX_PALETTE_COLORS }));
+    }
+
+    const usedKeys = new Set();
+    const colors = data.colors.map((entry, index) => {
+        if (!entry || !HEX_COLOR_PATTERN.test(entry.color)) {
+            throw new Error(t('palette.badColor', { index: index + 1 }));
+        }
+
+        // Duplicate or invalid shortcut keys are dropped rather than rejected
+        const key = typeof entry.key === 'string' ? entry.key.toLowerCase() : '';
+        const validKey = SHORTCUT_KEY_PATTERN.test(key) && !usedKeys.has(key) ? key : '';
+        if (validKey) usedKeys.add(validKey);
+
+        return {
+            name: String(entry.name || entry.color).trim().slice(0, MAX_COLOR_NAME_LENGTH),
+            color: entry.color.toUpperCase(),
+            key: validKey
+        };
+    });
+
+    return {
+        name: String(data.name || '').trim().slice(0, MAX_COLOR_NAME_LENGTH) || t('common.untitled'),
+        colors
+    };
+}
+
+/**
+ * Load the saved palettes
+ */
+function loadPalettes() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PALETTES_STORAGE_KEY));
+        palettes = stored.palettes.map(normalizePalette);
+        activePaletteIndex = Math.min(Math.max(0, stored.active | 0), palettes.length - 1);
+    } catch (error) {
+        palettes = [];
+    }
+
+    if (palettes.length === 0) {
+        palettes = [normalizePalette(DEFAULT_PALETTE)];
+        activePaletteIndex = 0;
+    }
+}
+
+/**
+ * Save the palettes and the active one
+ */
+function storePalettes() {
+    try {
+        localStorage.setItem(PALETTES_STORAGE_KEY, JSON.stringify({ active: activePaletteIndex, palettes }));
+    } catch (error) {
+        console.warn('Could not save palettes:', error);
+    }
+}
+
+/**
+ * Get the palette whose buttons are shown
+ * @returns {{name: string, colors: Object[]}} Active palette
+ */
+function getActivePalette() {
+    return palettes[activePaletteIndex];
+}
+
+/**
+ * Pick a palette name that is not taken yet ("Lab", "Lab 2", ...)
+ * @param {string} name - Wanted name
+ * @returns {string} Unique name
+ */
+function getUniquePaletteName(name) {
+    let candidate = name;
+    for (let suffix = 2; palettes.some((palette) => palette.name === candidate); suffix++) {
+        candidate = `${name} ${suffix}`;
+    }
+    return candidate;
+}
+
+/**
+ * Add a palette and make it active
+ * @param {Object} palette - Normalized palette
+ */
+function addPalette(palette) {
+    palettes.push(Object.assign({}, palette, { name: getUniquePaletteName(palette.name) }));
+    activePaletteIndex = palettes.length - 1;
+    applyPaletteChange();
+}
+
+// ===========================
+// Rendering
+// ===========================
+
+/**
+ * Pick a readable label color for a background
+ * @param {string} hex - Background color (#RRGGBB)
+ * @returns {string} '#000' on light colors, '#fff' on dark ones
+ */
+function getLabelColor(hex) {
+    const [r, g, b] = [1, 3, 5].map((offset) => parseInt(hex.slice(offset, offset + 2), 16));
+    return (0.299 * r + 0.587 * g + 0.114 * b) > 150 ? '#000' : '#fff';
+}
+
+/**
+ * Render the color buttons of the active palette
+ * script.js handles clicks and shortcuts through the data-color and data-key attributes.
+ */
+function renderPaletteButtons() {
+    paletteGrid.replaceChildren(...getActivePalette().colors.map((entry) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'color-btn';
+        button.style.backgroundColor = entry.color;
+        button.style.color = getLabelColor(entry.color);
+        // script.js names the color with data-name in its messages ("Sent: Red (#FF0000)")
+        const name = localizeColorName(entry.name);
+        button.dataset.color = entry.color;
+        button.dataset.name = name;
+        if (entry.key) {
+            button.dataset.key = entry.key;
+            button.title = t('palette.shortcut', { key: entry.key.toUpperCase() });
+        }
+        button.textContent = name;
+        return button;
+    }));
+
+    // Let script.js restore the enabled state and the active color highlight
+    document.dispatchEvent(new CustomEvent('palettechange'));
+}
+
+/**
+ * Fill the palette picker
+ */
+function renderPaletteSelect() {
+    paletteSelect.replaceChildren(...palettes.map((palette, index) =>
+        new Option(palette.name, String(index), false, index === activePaletteIndex)));
+}
+
+/**
+ * Create a small editor button
+ * @param {string} label - Button text
+ * @param {string} titleKey - Catalog key of the accessible label
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} Button
+ */
+function createEditorButton(label, titleKey, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'step-remove';
+    button.textContent = label;
+    localizeAttribute(button, 'aria-label', titleKey);
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Build the editor row of a palette color
+ * @param {Object} entry - {name, color, key}
+ * @param {number} index - Position in the palette
+ * @returns {HTMLLIElement} Row
+ */
+function createColorRow(entry, index) {
+    const row = document.createElement('li');
+    row.className = 'step-row palette-row';
+
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.value = entry.color.toLowerCase();
+    localizeAttribute(color, 'aria-label', 'palette.color');
+    color.addEventListener('change', () => updateColor(index, { color: color.value.toUpperCase() }));
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.className = 'palette-color-name';
+    name.maxLength = MAX_COLOR_NAME_LENGTH;
+    name.value = entry.name;
+    localizeAttribute(name, 'aria-label', 'palette.colorName');
+    name.addEventListener('change', () => updateColor(index, { name: name.value.trim() || entry.color }));
+
+    const key = document.createElement('input');
+    key.type = 'text';
+    key.className = 'palette-color-key';
+    key.maxLength = 1;
+    key.value = entry.key.toUpperCase();
+    key.placeholder = '–';
+    localizeAttribute(key, 'aria-label', 'palette.shortcutKey');
+    key.addEventListener('change', () => setShortcutKey(index, key.value));
+
+    const colors = getActivePalette().colors;
+    const up = createEditorButton('↑', 'palette.moveUp', () => moveColor(index, -1));
+    const down = createEditorButton('↓', 'palette.moveDown', () => moveColor(index, 1));
+    const remove = createEditorButton('×', 'palette.removeColor', () => removeColor(index));
+    up.disabled = index === 0;
+    down.disabled = index === colors.length - 1;
+    remove.disabled = colors.length === 1;
+
+    row.append(color, name, key, up, down, remove);
+    return row;
+}
+
+/**
+ * Render the palette editor
+ */
+function renderPaletteEditor() {
+    const palette = getActivePalette();
+    paletteNameInput.value = palette.name;
+    paletteColorList.replaceChildren(...palette.colors.map(createColorRow));
+}
+
+/**
+ * Save and redraw everything after the palettes changed
+ */
+function applyPaletteChange() {
+    storePalettes();
+    renderPaletteSelect();
+    renderPaletteButtons();
+    if (!paletteEditor.hidden) {
+        renderPaletteEditor();
+    }
+}
+
+// ===========================
+// Editing
+// ===========================
+
+/**
+ * Change fields of a color in the active palette
+ * @param {number} index - Color position
+ * @param {Object} changes - Fields to change (name, color)
+ */
+function updateColor(index, changes) {
+    Object.assign(getActivePalette().colors[index], changes);
+    applyPaletteChange();
+}
+
+/**
+ * Assign a shortcut key, taking it away from any other color
+ * @param {number} index - Color position
+ * @param {string} value - Key (empty to clear)
+ */
+function setShortcutKey(index, value) {
+    const key = value.trim().toLowerCase();
+    if (key && !SHORTCUT_KEY_PATTERN.test(key)) {
+        displayMessage(t('palette.badShortcut'), 'error');
+        renderPaletteEditor();
+        return;
+    }
+
+    getActivePalette().colors.forEach((entry, position) => {
+        if (position === index) {
+            entry.key = key;
+        } else if (key && entry.key === key) {
+            entry.key = '';
+        }
+    });
+    applyPaletteChange();
+}
+
+/**
+ * Move a color one position up or down
+ * @param {number} index - Color position
+ * @param {number} offset - -1 (up) or 1 (down)
+ */
+function moveColor(index, offset) {
+    const colors = getActivePalette().colors;
+    const target = index + offset;
+    if (target < 0 || target >= colors.length) return;
+
+    [colors[index], colors[target]] = [colors[target], colors[index]];
+    applyPaletteChange();
+}
+
+/**
+ * Remove a color (a palette keeps at least one)
+ * @param {number} index - Color position
+ */
+function removeColor(index) {
+    const colors = getActivePalette().colors;
+    if (colors.length > 1) {
+        colors.splice(index, 1);
+        applyPaletteChange();
+    }
+}
+
+/**
+ * Add a custom color to the active palette
+ */
+function handleAddColor() {
+    const colors = getActivePalette().colors;
+    if (colors.length >= MAX_PALETTE_COLORS) {
+        displayMessage(t('palette.full', { max: MAX_PALETTE_COLORS }), 'error');
+        return;
+    }
+
+    const color = document.getElementById('newColorInput').value.toUpperCase();
+    colors.push({ name: color, color, key: '' });
+    applyPaletteChange();
+}
+
+// ===========================
+// Palette Event Handlers
+// ===========================
+
+/**
+ * Show or hide the palette editor
+ */
+function handleEditToggle() {
+    paletteEditor.hidden = !paletteEditor.hidden;
+    localize(editPaletteButton, paletteEditor.hidden ? 'palette.edit' : 'common.done');
+    editPaletteButton.setAttribute('aria-expanded', String(!paletteEditor.hidden));
+    if (!paletteEditor.hidden) {
+        renderPaletteEditor();
+    }
+}
+
+/**
+ * Switch to the palette picked in the list
+ */
+function handlePaletteSelect() {
+    activePaletteIndex = parseInt(paletteSelect.value, 10) || 0;
+    applyPaletteChange();
+}
+
+/**
+ * Rename the active palette
+ */
+function handlePaletteRename() {
+    const palette = getActivePalette();
+    const name = paletteNameInput.value.trim().slice(0, MAX_COLOR_NAME_LENGTH);
+    if (name && name !== palette.name) {
+        palette.name = getUniquePaletteName(name);
+    }
+    applyPaletteChange();
+}
+
+/**
+ * Create a new palette as a copy of the active one
+ */
+function handleDuplicatePalette() {
+    addPalette(JSON.parse(JSON.stringify(getActivePalette())));
+    displayMessage(t('palette.created', { name: getActivePalette().name }), 'success');
+}
+
+/**
+ * Delete the active palette (the built-in one comes back if none is left)
+ */
+function handleDeletePalette() {
+    const palette = getActivePalette();
+    if (!window.confirm(t('palette.confirmDelete', { name: palette.name }))) return;
+
+    palettes.splice(activePaletteIndex, 1);
+    if (palettes.length === 0) {
+        palettes.push(normalizePalette(DEFAULT_PALETTE));
+    }
+    activePaletteIndex = 0;
+    applyPaletteChange();
+}
+
+/**
+ * Download the active palette as a JSON file
+ */
+function handleExportPalette() {
+    const palette = getActivePalette();
+    const blob = new Blob([JSON.stringify(palette, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${palette.name.replace(/[^\w-]+/g, '-').toLowerCase() || 'palette'}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Import a palette from a JSON file picked by the user
+ */
+async function handleImportFile() {
+    const file = paletteFileInput.files[0];
+    paletteFileInput.value = '';
+    if (!file) return;
+
+    try {
+        addPalette(normalizePalette(JSON.parse(await file.text())));
+        displayMessage(t('palette.imported', { name: getActivePalette().name }), 'success');
+    } catch (error) {
+        displayMessage(t('palette.importFailed', { error: error.message }), 'error');
+    }
+}
+
+/**
+ * Load the shared palette hosted by the server (GET /api/palette)
+ * Uses getServerHttpUrl() and the access code from script.js.
+ */
+async function handleLoadSharedPalette() {
+    try {
+        const headers = accessToken ? { Authorization: `Bearer ${accessToken}` } : {};
+        const response = await fetch(`${getServerHttpUrl()}/api/palette`, { headers });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+
+        const shared = normalizePalette(data);
+        const existing = palettes.findIndex((palette) => palette.name === shared.name);
+        if (existing === -1) {
+            addPalette(shared);
+        } else {
+            // Reloading the shared palette updates the local copy
+            palettes[existing] = shared;
+            activePaletteIndex = existing;
+            applyPaletteChange();
+        }
+        displayMessage(t('palette.sharedLoaded', { name: shared.name }), 'success');
+    } catch (error) {
+        displayMessage(t('palette.sharedFailed', { error: error.message }), 'error');
+    }
+}
+
+// ===========================
+// Initialization
+// ===========================
+
+/**
+ * Initialize palettes and render the color buttons
+ */
+function initPalette() {
+    loadPalettes();
+    renderPaletteSelect();
+    renderPaletteButtons();
+
+    paletteSelect.addEventListener('change', handlePaletteSelect);
+    editPaletteButton.addEventListener('click', handleEditToggle);
+    paletteNameInput.addEventListener('change', handlePaletteRename);
+    paletteFileInput.addEventListener('change', handleImportFile);
+    document.getElementById('addColorBtn').addEventListener('click', handleAddColor);
+    document.getElementById('duplicatePaletteBtn').addEventListener('click', handleDuplicatePalette);
+    document.getElementById('deletePaletteBtn').addEventListener('click', handleDeletePalette);
+    document.getElementById('exportPaletteBtn').addEventListener('click', handleExportPalette);
+    document.getElementById('importPaletteBtn').addEventListener('click', () => paletteFileInput.click());
+    document.getElementById('sharedPaletteBtn').addEventListener('click', handleLoadSharedPalette);
+    document.addEventListener('localechange', renderPaletteButtons);
+}
+
+initPalette();
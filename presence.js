@@ -0,0 +1,228 @@
+/**
+ * Presence Roster
+ * Lists the receivers (Unity headsets, web displays) connected to the current room,
+ * kept up to date by the server's 'roster' and 'presence' messages, with a swatch of what
+ * each receiver reports it is displaying. Uses displayMessage() from script.js and announces
+ * changes with a 'rosterchange' event (see targets.js).
+ */
+
+// ===========================
+// Configuration
+// ===========================
+
+const CONTROLLER_TYPE = 'controller';
+// Client types with a 'presence.type.<type>' catalog key (virtual is the receiver/ page)
+const CLIENT_TYPES = ['unity', 'web', 'virtual', 'unknown'];
+
+// ===========================
+// State Management
+// ===========================
+
+// Clients in the room: client id -> {id, name, type, groups, protocol, connectedAt, lastAck, report}
+const roster = new Map();
+let rosterOnline = false; // False until the server sends the roster of the room
+
+// ===========================
+// DOM Elements
+// ===========================
+
+const rosterList = document.getElementById('rosterList');
+const rosterCount = document.getElementById('rosterCount');
+const rosterEmpty = document.getElementById('rosterEmpty');
+
+// ===========================
+// Rendering
+// ===========================
+
+/**
+ * Get the name shown for a client
+ * @param {Object} client - Roster entry
+ * @returns {string} Friendly name, or the client id
+ */
+function getPresenceName(client) {
+    return client.name || client.id;
+}
+
+/**
+ * Describe what the operator can expect from a receiver
+ * @param {Object} client - Roster entry
+ * @returns {{text: string, state: string}} Status text and CSS state (ok, failed, legacy, waiting)
+ */
+function getReceiverStatus(client) {
+    if (client.report && client.report.error) {
+        return { text: t('presence.reported', { error: client.report.error }), state: 'failed' };
+    }
+    if (!client.protocol) {
+        return { text: t('presence.legacy'), state: 'legacy' };
+    }
+    if (!client.lastAck) {
+        return { text: t('presence.waiting'), state: 'waiting' };
+    }
+
+    const time = new Date(client.lastAck.at).toLocaleTimeString();
+    return client.lastAck.status === 'applied'
+        ? { text: t('presence.applied', { time }), state: 'ok' }
+        : { text: t('presence.failed', { time }), state: 'failed' };
+}
+
+/**
+ * Build the swatch showing what a receiver reports it is displaying
+ * @param {Object|null} report - Latest report {color, brightness, scene, error, at}
+ * @returns {HTMLSpanElement} Swatch (hatched when the receiver never reported a color)
+ */
+function createReportSwatch(report) {
+    const swatch = document.createElement('span');
+    swatch.className = 'roster-swatch';
+
+    if (report && report.color) {
+        swatch.style.backgroundColor = report.color;
+        const brightness = typeof report.brightness === 'number' ? report.brightness : 1;
+        swatch.style.filter = `brightness(${brightness})`;
+        swatch.title = t(brightness < 1 ? 'presence.showingDimmed' : 'presence.showing', {
+            color: report.color,
+            percent: Math.round(brightness * 100),
+            time: new Date(report.at).toLocaleTimeString()
+        });
+    } else {
+        swatch.classList.add('unknown');
+        swatch.title = t('presence.noReport');
+    }
+    return swatch;
+}
+
+/**
+ * Build the roster row of a receiver
+ * @param {Object} client - Roster entry
+ * @returns {HTMLLIElement} Row
+ */
+function createRosterRow(client) {
+    const status = getReceiverStatus(client);
+    const row = document.createElement('li');
+    row.className = `roster-row ${status.state}`;
+    row.title = t('presence.connectedAt', { id: client.id, time: new Date(client.connectedAt).toLocaleTimeString() });
+
+    const name = document.createElement('span');
+    name.className = 'roster-name';
+    name.textContent = getPresenceName(client);
+
+    const type = document.createElement('span');
+    type.className = 'roster-type';
+    type.textContent = CLIENT_TYPES.includes(client.type) ? t(`presence.type.${client.type}`) : client.type;
+
+    const detail = document.createElement('span');
+    detail.className = 'roster-status';
+    detail.textContent = status.text;
+
+    row.append(createReportSwatch(client.report), name, type);
+    if (client.report && client.report.scene) {
+        const scene = document.createElement('span');
+        scene.className = 'roster-type';
+        scene.textContent = client.report.scene;
+        scene.title = t('presence.scene');
+        row.append(scene);
+    }
+    if (client.groups && client.groups.length > 0) {
+        const groups = document.createElement('span');
+        groups.className = 'roster-type';
+        groups.textContent = client.groups.join(', ');
+        groups.title = t('presence.groups');
+        row.append(groups);
+    }
+    row.append(detail);
+    return row;
+}
+
+/**
+ * Show the receivers of the room and how many controllers share it
+ */
+function renderRoster() {
+    const members = Array.from(roster.values());
+    const receivers = members.filter((client) => client.type !== CONTROLLER_TYPE);
+    const controllers = members.length - receivers.length;
+
+    rosterList.replaceChildren(...receivers
+        .sort((a, b) => getPresenceName(a).localeCompare(getPresenceName(b), undefined, { numeric: true }))
+        .map(createRosterRow));
+
+    if (!rosterOnline) {
+        rosterCount.textContent = t('roster.offline');
+        rosterEmpty.textContent = t('roster.connectFirst');
+    } else {
+        rosterCount.textContent = t(controllers > 1 ? 'roster.countWithControllers' : 'roster.count', {
+            count: receivers.length,
+            controllers
+        });
+        rosterEmpty.textContent = t('roster.empty');
+    }
+    rosterEmpty.hidden = rosterOnline && receivers.length > 0;
+    rosterCount.classList.toggle('empty', rosterOnline && receivers.length === 0);
+    document.dispatchEvent(new CustomEvent('rosterchange'));
+}
+
+// ===========================
+// Presence Messages
+// ===========================
+
+/**
+ * Replace the roster with the list sent by the server
+ * Called by script.js for 'roster' messages, and with null when the connection closes.
+ * @param {Object|null} payload - {room, clients}
+ */
+function handleRoster(payload) {
+    roster.clear();
+    rosterOnline = Boolean(payload);
+    if (payload) {
+        payload.clients.forEach((client) => roster.set(client.id, client));
+    }
+    renderRoster();
+}
+
+/**
+ * Apply a join, leave or update event
+ * Called by script.js for 'presence' messages.
+ * @param {Object} payload - {room, event, client}
+ */
+function handlePresence(payload) {
+    const client = payload.client;
+    const isReceiver = client.type !== CONTROLLER_TYPE;
+
+    if (payload.event === 'leave') {
+        roster.delete(client.id);
+        if (isReceiver) {
+            displayMessage(t('presence.left', { name: getPresenceName(client) }), 'warning');
+        }
+    } else {
+        const isNew = !roster.has(client.id);
+        roster.set(client.id, client);
+        if (isNew && isReceiver && payload.event === 'join') {
+            displayMessage(t('presence.joined', { name: getPresenceName(client) }), 'info');
+        }
+    }
+    renderRoster();
+}
+
+/**
+ * Show the state a receiver reports it is displaying
+ * Called by script.js for 'report' messages.
+ * @param {Object} payload - {room, clientId, name, report}
+ */
+function handleReceiverReport(payload) {
+    const client = roster.get(payload.clientId);
+    if (!client) return;
+
+    // Tell the operator when a receiver starts failing, not on every report
+    const previousError = client.report && client.report.error;
+    if (payload.report.error && payload.report.error !== previousError) {
+        displayMessage(t('presence.reportError', { name: getPresenceName(client), error: payload.report.error }), 'error');
+    }
+
+    client.report = payload.report;
+    renderRoster();
+}
+
+// ===========================
+// Initialization
+// ===========================
+
+renderRoster();
+document.addEventListener('localechange', renderRoster);
@@ -0,0 +1,161 @@
+/**
+ * Installable App
+ * Registers the service worker (sw.js) that keeps the controller available offline, offers
+ * to install the page as an app, and shows installed/offline badges next to the connection
+ * status. Uses displayMessage() and reconnectNow() from script.js.
+ */
+
+// ===========================
+// Configuration
+// ===========================
+
+const SERVICE_WORKER_URL = 'sw.js';
+
+// ===========================
+// State Management
+// ===========================
+
+// Deferred install prompt of the browser, kept until the operator presses Install
+let installPrompt = null;
+
+// ===========================
+// DOM Elements
+// ===========================
+
+const installedBadge = document.getElementById('installedBadge');
+const offlineBadge = document.getElementById('offlineBadge');
+const installButton = document.getElementById('installBtn');
+
+// ===========================
+// Badges
+// ===========================
+
+/**
+ * Check whether the page runs as an installed app
+ * @returns {boolean} True in a standalone window (iOS home screen apps included)
+ */
+function isInstalledApp() {
+    return window.matchMedia('(display-mode: standalone)').matches || navigator.standalone === true;
+}
+
+/**
+ * Show whether the page runs as an installed app
+ */
+function updateInstalledBadge() {
+    installedBadge.hidden = !isInstalledApp();
+}
+
+/**
+ * Show whether the device has lost its network
+ */
+function updateOfflineBadge() {
+    offlineBadge.hidden = navigator.onLine;
+}
+
+// ===========================
+// Event Handlers
+// ===========================
+
+/**
+ * Tell the operator the controller keeps working from its cache
+ */
+function handleOffline() {
+    updateOfflineBadge();
+    displayMessage(t('pwa.networkLost'), 'warning');
+}
+
+/**
+ * Reconnect as soon as the network is back instead of waiting for the next attempt
+ */
+function handleOnline() {
+    updateOfflineBadge();
+    if (canSendCommands() && (!websocket || websocket.readyState !== WebSocket.OPEN)) {
+        displayMessage(t('pwa.networkBack'), 'info');
+        reconnectNow();
+    }
+}
+
+/**
+ * Keep the browser's install prompt for the Install button
+ * @param {Event} event - beforeinstallprompt event
+ */
+function handleBeforeInstallPrompt(event) {
+    event.preventDefault();
+    installPrompt = event;
+    installButton.hidden = false;
+}
+
+/**
+ * Show the browser's install prompt
+ */
+async function handleInstallClick() {
+    if (!installPrompt) return;
+
+    installButton.hidden = true;
+    installPrompt.prompt();
+    const choice = await installPrompt.userChoice;
+    installPrompt = null;
+    if (choice.outcome !== 'accepted') {
+        displayMessage(t('pwa.installLater'), 'info');
+    }
+}
+
+/**
+ * Confirm the installation
+ */
+function handleAppInstalled() {
+    installPrompt = null;
+    installButton.hidden = true;
+    updateInstalledBadge();
+    displayMessage(t('pwa.installDone'), 'success');
+}
+
+// ===========================
+// Service Worker
+// ===========================
+
+/**
+ * Register the service worker that caches the app shell
+ * Browsers only allow service workers over HTTPS and on localhost, so opening index.html as
+ * a file keeps working without offline support.
+ */
+async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext || location.protocol === 'file:') {
+        return;
+    }
+
+    try {
+        const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+        registration.addEventListener('updatefound', () => {
+            // The first install has nothing to update
+            if (navigator.serviceWorker.controller) {
+                console.log('A new version of the controller was downloaded; it is used from the next load');
+            }
+        });
+    } catch (error) {
+        console.warn('Could not register the service worker, the controller won\'t open offline:', error);
+    }
+}
+
+// ===========================
+// Initialization
+// ===========================
+
+/**
+ * Show the badges, watch the network and register the service worker
+ */
+function initPwa() {
+    updateInstalledBadge();
+    updateOfflineBadge();
+
+    window.addEventListener('offline', handleOffline);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('beforeinstallprompt', handleBeforeInstallPrompt);
+    window.addEventListener('appinstalled', handleAppInstalled);
+    window.matchMedia('(display-mode: standalone)').addEventListener('change', updateInstalledBadge);
+    installButton.addEventListener('click', handleInstallClick);
+
+    registerServiceWorker();
+}
+
+initPwa();
@@ -0,0 +1,486 @@
+/**
+ * Virtual Receiver
+ * Stands in for a Unity headset: joins a room as a receiver, paints the commands it gets on a
+ * preview scene, logs each one with its latency, and answers with acks and reports like a
+ * Unity build would. Settings come from the form or the query string, so a test run can open
+ * e.g. /receiver/?room=ci&name=Bot&ack=failed&objects=Wall_Left,Floor
+ */
+
+// ===========================
+// Configuration
+// ===========================
+
+const QUERY = new URLSearchParams(window.location.search);
+const RECONNECT_INTERVAL = 3000; // 3 seconds
+const AUTH_CLOSE_CODE = 4001; // Server closes rejected handshakes with this code
+const INVALID_ROOM_CLOSE_CODE = 4002; // Server closes handshakes asking for an invalid room with this code
+const KICK_CLOSE_CODE = 4003; // Server closes connections kicked from the admin console with this code
+const PROTOCOL_VERSION = 1;
+const CLIENT_TYPE = 'virtual'; // Shown as "Virtual" in the controllers' roster
+const COMMAND_TYPES = ['color', 'brightness', 'transition', 'reset'];
+const ACK_MODES = ['applied', 'failed', 'off'];
+const MAX_LOG_ENTRIES = 100;
+const DEFAULT_OBJECTS = ['Wall_Left', 'Wall_Back', 'Wall_Right', 'Floor'];
+const DEFAULT_SCENE = 'Virtual Preview';
+const SIMULATED_ERROR = 'Simulated failure (virtual receiver)';
+
+// ===========================
+// State Management
+// ===========================
+
+let socket = null;
+let reconnectTimer = null;
+let isManualDisconnect = false;
+let lastReport = null; // Last report sent, so unchanged state isn't sent again
+
+// Objects of the preview scene: name -> {element, color, brightness}
+const sceneObjects = new Map();
+
+// Commands received, newest first: [{receivedAt, envelope, latency, ack}]
+const commandLog = [];
+
+// ===========================
+// DOM Elements
+// ===========================
+
+const connectionStatus = document.getElementById('connectionStatus');
+const connectForm = document.getElementById('connectForm');
+const serverInput = document.getElementById('serverInput');
+const roomInput = document.getElementById('roomInput');
+const nameInput = document.getElementById('nameInput');
+const groupsInput = document.getElementById('groupsInput');
+const tokenInput = document.getElementById('tokenInput');
+const disconnectButton = document.getElementById('disconnectBtn');
+const ackSelect = document.getElementById('ackSelect');
+const reportCheckbox = document.getElementById('reportCheckbox');
+const sceneInput = document.getElementById('sceneInput');
+const previewScene = document.getElementById('previewScene');
+const commandRows = document.getElementById('commandRows');
+const emptyMessage = document.getElementById('emptyMessage');
+const messageDisplay = document.getElementById('messageDisplay');
+
+// ===========================
+// Connection
+// ===========================
+
+/**
+ * Get the server to connect to when the query string doesn't name one
+ * The relay serves this page itself, so its own host is the default; the controller's
+ * footer link names its server in the query string.
+ * @returns {string} WebSocket URL
+ */
+function getDefaultServerUrl() {
+    if (window.location.protocol === 'file:') {
+        return 'ws://localhost:8080';
+    }
+    return `${window.location.protocol === 'https:' ? 'wss:' : 'ws:'}//${window.location.host}`;
+}
+
+/**
+ * Build the connection URL from the form
+ * @returns {string} WebSocket URL with room, protocol, client type, name, groups and access code
+ */
+function buildConnectionUrl() {
+    const url = new URL(serverInput.value.trim());
+    url.searchParams.set('room', roomInput.value.trim().toLowerCase() || 'default');
+    url.searchParams.set('protocol', PROTOCOL_VERSION);
+    url.searchParams.set('clientType', CLIENT_TYPE);
+    url.searchParams.set('name', nameInput.value.trim() || 'Virtual receiver');
+    if (groupsInput.value.trim()) {
+        url.searchParams.set('groups', groupsInput.value.trim());
+    }
+    if (tokenInput.value) {
+        url.searchParams.set('token', tokenInput.value);
+    }
+    return url.href;
+}
+
+/**
+ * Connect with the settings of the form, replacing the current connection
+ */
+function connectReceiver() {
+    clearTimeout(reconnectTimer);
+    if (socket) {
+        socket.onclose = null;
+        socket.close();
+    }
+
+    let url;
+    try {
+        url = buildConnectionUrl();
+    } catch (error) {
+        displayMessage(`Invalid server address: ${serverInput.value}`, 'error');
+        return;
+    }
+
+    isManualDisconnect = false;
+    lastReport = null;
+    disconnectButton.disabled = false;
+    connectionStatus.textContent = 'Connecting...';
+    socket = new WebSocket(url);
+
+    socket.onopen = () => {
+        updateConnectionStatus(true);
+        displayMessage(`Receiving room "${roomInput.value.trim() || 'default'}" on ${new URL(url).host}`, 'success');
+        sendReport();
+    };
+
+    socket.onmessage = (event) => handleMessage(event.data);
+
+    socket.onclose = (event) => {
+        updateConnectionStatus(false);
+        socket = null;
+
+        // Rejected or kicked receivers wait for the Connect button
+        if (event.code === AUTH_CLOSE_CODE) {
+            disconnectButton.disabled = true;
+            displayMessage(`Access denied: ${event.reason || 'invalid access code'}`, 'error');
+        } else if (event.code === INVALID_ROOM_CLOSE_CODE) {
+            disconnectButton.disabled = true;
+            displayMessage(`Invalid room: ${event.reason}`, 'error');
+        } else if (event.code === KICK_CLOSE_CODE) {
+            disconnectButton.disabled = true;
+            displayMessage('Disconnected by admin. Press Connect to reconnect.', 'error');
+        } else if (!isManualDisconnect) {
+            displayMessage(`Connection lost${event.reason ? ` (${event.reason})` : ''}, retrying...`, 'error');
+            reconnectTimer = setTimeout(connectReceiver, RECONNECT_INTERVAL);
+        }
+    };
+}
+
+/**
+ * Close the connection and stop retrying
+ */
+function disconnectReceiver() {
+    isManualDisconnect = true;
+    clearTimeout(reconnectTimer);
+    disconnectButton.disabled = true;
+    if (socket) {
+        socket.close();
+    }
+    displayMessage('Disconnected', 'info');
+}
+
+/**
+ * Send an envelope to the relay
+ * @param {string} type - Message type
+ * @param {Object} payload - Message payload
+ */
+function sendEnvelope(type, payload) {
+    if (!socket || socket.readyState !== WebSocket.OPEN) return;
+    const id = window.crypto && window.crypto.randomUUID
+        ? window.crypto.randomUUID()
+        : `${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}`;
+    socket.send(JSON.stringify({ v: PROTOCOL_VERSION, type, payload, id, ts: Date.now() }));
+}
+
+// ===========================
+// Incoming Messages
+// ===========================
+
+/**
+ * Handle a message from the relay
+ * @param {string} data - Message text
+ */
+function handleMessage(data) {
+    let envelope;
+    try {
+        envelope = JSON.parse(data);
+    } catch (error) {
+        console.warn('Ignored a message that is not JSON:', data);
+        return;
+    }
+
+    if (COMMAND_TYPES.includes(envelope.type)) {
+        handleCommand(envelope);
+    } else if (envelope.type === 'system') {
+        displayMessage(envelope.payload.message, 'info');
+    } else if (envelope.type === 'error') {
+        displayMessage(`Server error: ${envelope.payload.message}`, 'error');
+    }
+}
+
+/**
+ * Apply a command, answer it and log it
+ * Replayed state (sent on connect) is applied but not acked: nobody waits for a receipt.
+ * @param {Object} envelope - Command envelope
+ */
+function handleCommand(envelope) {
+    const entry = {
+        receivedAt: Date.now(),
+        envelope,
+        latency: typeof envelope.ts === 'number' ? Date.now() - envelope.ts : null,
+        ack: 'off'
+    };
+
+    // A failing receiver leaves the scene as it was
+    const result = ackSelect.value === 'failed'
+        ? { status: 'failed', error: SIMULATED_ERROR }
+        : applyCommand(envelope);
+
+    if (envelope.payload.replay) {
+        entry.ack = 'replay';
+    } else if (ackSelect.value !== 'off') {
+        const ack = { ref: envelope.id, status: result.status };
+        if (result.error) {
+            ack.error = result.error;
+        }
+        sendEnvelope('ack', ack);
+        entry.ack = result.error ? `${result.status}: ${result.error}` : result.status;
+    }
+
+    if (result.status === 'applied') {
+        sendReport();
+    }
+
+    commandLog.unshift(entry);
+    commandLog.length = Math.min(commandLog.length, MAX_LOG_ENTRIES);
+    renderCommandLog();
+}
+
+// ===========================
+// Preview Scene
+// ===========================
+
+/**
+ * Create the objects of the preview scene
+ * @param {string[]} names - Object names, e.g. ['Wall_Left', 'Floor']
+ */
+function buildScene(names) {
+    sceneObjects.clear();
+    previewScene.replaceChildren(...names.map((name) => {
+        const element = document.createElement('div');
+        element.className = 'scene-object';
+        element.dataset.object = name;
+
+        const label = document.createElement('span');
+        label.className = 'scene-label';
+        label.textContent = name;
+        element.append(label);
+
+        const object = { element, color: null, brightness: 1 };
+        sceneObjects.set(name, object);
+        paintObject(object, 0);
+        return element;
+    }));
+}
+
+/**
+ * Show an object's color and brightness
+ * @param {Object} object - Scene object {element, color, brightness}
+ * @param {number} duration - Fade duration in milliseconds
+ */
+function paintObject(object, duration) {
+    object.element.style.transitionDuration = `${duration}ms`;
+    object.element.style.backgroundColor = object.color || '';
+    object.element.style.filter = `brightness(${object.brightness})`;
+    object.element.classList.toggle('unlit', !object.color);
+    object.element.title = object.color
+        ? `${object.color} at ${Math.round(object.brightness * 100)}%`
+        : 'No color received';
+}
+
+/**
+ * Apply a command to the scene, or to the objects it targets
+ * Commands for other receivers never arrive, so only object targets matter here.
+ * @param {Object} envelope - Command envelope
+ * @returns {{status: string, error: string|undefined}} Ack status, failed if no targeted object exists
+ */
+function applyCommand(envelope) {
+    const names = envelope.target && envelope.target.objects;
+    const objects = names
+        ? names.map((name) => sceneObjects.get(name)).filter(Boolean)
+        : Array.from(sceneObjects.values());
+    if (objects.length === 0) {
+        return { status: 'failed', error: `No object named ${names.join(', ')} in the preview scene` };
+    }
+
+    const payload = envelope.payload;
+    objects.forEach((object) => {
+        let duration = 0;
+        if (envelope.type === 'color' || envelope.type === 'transition') {
+            object.color = payload.color.toUpperCase();
+            duration = envelope.type === 'transition' ? payload.duration : 0;
+        } else if (envelope.type === 'brightness') {
+            object.brightness = payload.value;
+        } else if (envelope.type === 'reset') {
+            object.color = null;
+            object.brightness = 1;
+        }
+        paintObject(object, duration);
+    });
+    return { status: 'applied' };
+}
+
+// ===========================
+// Reports
+// ===========================
+
+/**
+ * Tell the room's controllers what the scene shows, if it changed since the last report
+ * Reports describe the first object; objects painted separately by directed commands may differ.
+ */
+function sendReport() {
+    if (!reportCheckbox.checked || !socket || socket.readyState !== WebSocket.OPEN) return;
+
+    const first = sceneObjects.values().next().value;
+    const report = {
+        color: first ? first.color : null,
+        brightness: first ? first.brightness : 1,
+        scene: sceneInput.value.trim() || DEFAULT_SCENE
+    };
+    if (lastReport && JSON.stringify(report) === JSON.stringify(lastReport)) return;
+
+    lastReport = report;
+    sendEnvelope('report', report);
+}
+
+// ===========================
+// UI Update Functions
+// ===========================
+
+/**
+ * Update connection status display
+ * @param {boolean} isConnected - Connection status
+ */
+function updateConnectionStatus(isConnected) {
+    connectionStatus.textContent = isConnected ? 'Connected' : 'Disconnected';
+    connectionStatus.classList.toggle('connected', isConnected);
+    connectionStatus.classList.toggle('disconnected', !isConnected);
+}
+
+/**
+ * Display message to user
+ * @param {string} message - Message text
+ * @param {string} type - Message type (success, error, info)
+ */
+function displayMessage(message, type = 'info') {
+    messageDisplay.textContent = message;
+    messageDisplay.classList.remove('success', 'error');
+    if (type === 'success' || type === 'error') {
+        messageDisplay.classList.add(type);
+    }
+}
+
+/**
+ * Describe what a command does
+ * @param {Object} envelope - Command envelope
+ * @returns {string} Description, e.g. "transition #0000FF over 1500 ms"
+ */
+function describeCommand(envelope) {
+    const payload = envelope.payload;
+    switch (envelope.type) {
+        case 'color':
+            return `color ${payload.color.toUpperCase()}`;
+        case 'transition':
+            return `transition ${payload.color.toUpperCase()} over ${payload.duration} ms`;
+        case 'brightness':
+            return `brightness ${Math.round(payload.value * 100)}%`;
+        default:
+            return envelope.type;
+    }
+}
+
+/**
+ * Describe who a command was addressed to
+ * @param {Object} [target] - Command target {clients, groups, objects}
+ * @returns {string} Description, e.g. "Wall_Left (group left)"
+ */
+function describeTarget(target) {
+    if (!target) return 'Room';
+    const receivers = [
+        ...(target.clients || []),
+        ...(target.groups || []).map((group) => `group ${group}`)
+    ].join(', ');
+    const objects = (target.objects || []).join(', ');
+    if (objects && receivers) return `${objects} (${receivers})`;
+    return objects || receivers;
+}
+
+/**
+ * Show the received commands
+ */
+function renderCommandLog() {
+    commandRows.replaceChildren(...commandLog.map((entry) => {
+        const row = document.createElement('tr');
+        const color = entry.envelope.payload.color;
+
+        const time = document.createElement('td');
+        time.textContent = new Date(entry.receivedAt).toLocaleTimeString();
+
+        const command = document.createElement('td');
+        if (color) {
+            const swatch = document.createElement('span');
+            swatch.className = 'log-swatch';
+            swatch.style.backgroundColor = color;
+            command.append(swatch);
+        }
+        command.append(describeCommand(entry.envelope));
+        if (entry.envelope.payload.replay) {
+            command.append(' (replayed state)');
+        }
+
+        const target = document.createElement('td');
+        target.textContent = describeTarget(entry.envelope.target);
+
+        const latency = document.createElement('td');
+        latency.textContent = entry.latency === null ? '—' : `${entry.latency} ms`;
+
+        const ack = document.createElement('td');
+        ack.textContent = entry.ack;
+        ack.className = entry.ack.startsWith('failed') ? 'ack-failed' : 'muted';
+
+        row.append(time, command, target, latency, ack);
+        return row;
+    }));
+    emptyMessage.hidden = commandLog.length > 0;
+}
+
+// ===========================
+// Initialization
+// ===========================
+
+/**
+ * Fill the form from the query string, build the scene and connect
+ */
+function init() {
+    serverInput.value = QUERY.get('server') || getDefaultServerUrl();
+    roomInput.value = QUERY.get('room') || '';
+    nameInput.value = QUERY.get('name') || '';
+    groupsInput.value = QUERY.get('groups') || '';
+    tokenInput.value = QUERY.get('token') || '';
+    ackSelect.value = ACK_MODES.includes(QUERY.get('ack')) ? QUERY.get('ack') : 'applied';
+    reportCheckbox.checked = QUERY.get('report') !== '0';
+    sceneInput.value = QUERY.get('scene') || '';
+
+    const objects = (QUERY.get('objects') || '').split(',').map((name) => name.trim()).filter(Boolean);
+    buildScene(objects.length > 0 ? objects : DEFAULT_OBJECTS);
+
+    connectForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        connectReceiver();
+    });
+    disconnectButton.addEventListener('click', disconnectReceiver);
+    reportCheckbox.addEventListener('change', sendReport);
+    sceneInput.addEventListener('change', sendReport);
+
+    connectReceiver();
+}
+
+init();
+
+// Expose the receiver for browser automation (e.g. CI checking the full loop)
+window.VirtualReceiver = {
+    getLog: () => commandLog.map((entry) => ({
+        type: entry.envelope.type,
+        payload: entry.envelope.payload,
+        target: entry.envelope.target || null,
+        latency: entry.latency,
+        ack: entry.ack
+    })),
+    getScene: () => Object.fromEntries(Array.from(sceneObjects, ([name, object]) =>
+        [name, { color: object.color, brightness: object.brightness }])),
+    isConnected: () => Boolean(socket && socket.readyState === WebSocket.OPEN),
+    connect: connectReceiver,
+    disconnect: disconnectReceiver
+};
@@ -0,0 +1,75 @@
+/**
+ * Session Recording
+ * Starts and stops the server-side recording of the current room and shows
+ * recording and replay status. Uses sendData() and displayMessage() from script.js.
+ */
+
+// ===========================
+// State Management
+// ===========================
+
+let recordingState = null; // Latest recording status from the server, null when idle
+
+// ===========================
+// DOM Elements
+// ===========================
+
+const recordButton = document.getElementById('recordBtn');
+const recordingStatus = document.getElementById('recordingStatus');
+
+// ===========================
+// Recording
+// ===========================
+
+/**
+ * Ask the server to start or stop recording the room
+ */
+function handleRecordToggle() {
+    const action = recordingState && recordingState.recording ? 'stop' : 'start';
+    sendData('record', { action });
+}
+
+/**
+ * Show the recording status reported by the server
+ * Called by script.js for 'recording' messages, and with null when (re)connecting.
+ * @param {Object|null} status - {room, recording, replay, ended, reason}
+ */
+function handleRecordingStatus(status) {
+    const previous = recordingState;
+    recordingState = status;
+
+    const recording = status && status.recording;
+    const replay = status && status.replay;
+
+    if (recording) {
+        localize(recordingStatus, 'recording.recordingTo', { name: recording.name || '...' });
+    } else if (replay) {
+        localize(recordingStatus, replay.speed === 1 ? 'recording.replaying' : 'recording.replayingAt', {
+            name: replay.name,
+            speed: replay.speed
+        });
+    } else {
+        localize(recordingStatus, 'recording.idle');
+    }
+    recordingStatus.classList.toggle('recording', Boolean(recording));
+    recordingStatus.classList.toggle('playing', !recording && Boolean(replay));
+
+    localize(recordButton, recording ? 'recording.stop' : 'recording.record');
+    recordButton.setAttribute('aria-pressed', String(Boolean(recording)));
+
+    // Tell the operator where the session was saved
+    if (status && status.ended === 'recording' && previous && previous.recording) {
+        const message = t(status.reason === 'error' ? 'recording.writeFailed' : 'recording.saved', {
+            name: previous.recording.name
+        });
+        displayMessage(message, status.reason === 'error' ? 'error' : 'success');
+    } else if (status && status.ended === 'replay' && status.reason === 'override') {
+        displayMessage(t('recording.replayOverride'), 'info');
+    }
+}
+
+// ===========================
+// Initialization
+// ===========================
+
+recordButton.addEventListener('click', handleRecordToggle);
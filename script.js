@@ -7,9 +7,21 @@
 // Configuration
 // ===========================
 
-const WS_SERVER_URL = CONFIG.WS_SERVER_URL;
-const RECONNECT_INTERVAL = 3000; // 3 seconds
-const MAX_RECONNECT_ATTEMPTS = 5;
+const RECONNECT_BASE_DELAY = 1000; // First retry after about 1 second...
+const RECONNECT_MAX_DELAY = 30000; // ...doubling up to 30 seconds, then retrying at that pace until it works
+const ROOM_STORAGE_KEY = 'colorController.room';
+const ROOM_NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const TOKEN_STORAGE_KEY = 'colorController.tokens'; // Access codes by server URL
+const LEGACY_TOKEN_STORAGE_KEY = 'colorController.token'; // Single access code of older versions
+const AUTH_CLOSE_CODE = 4001; // Server closes rejected handshakes with this code
+const INVALID_ROOM_CLOSE_CODE = 4002; // Server closes handshakes asking for an invalid room with this code
+const KICK_CLOSE_CODE = 4003; // Server closes connections kicked from the admin console with this code
+const PROTOCOL_VERSION = 1; // Envelope format: {v, type, payload, id, ts}
+const CLIENT_TYPE = 'controller';
+const RECEIPT_TIMEOUT = 5000; // Give up waiting for the server's delivery receipt after 5 seconds
+const OUTBOX_POLICY = CONFIG.OUTBOX_POLICY === 'all' ? 'all' : 'latest'; // Commands clicked while offline: send the latest only, or all in order
+const OUTBOX_MAX_SIZE = 50; // With the 'all' policy, the oldest commands are dropped beyond this
+const OUTBOX_TYPES = ['color', 'brightness', 'transition', 'reset']; // Sequence and record controls are not queued
 
 // ===========================
 // State Management
@@ -18,7 +30,18 @@ const MAX_RECONNECT_ATTEMPTS = 5;
 let websocket = null;
 let reconnectAttempts = 0;
 let reconnectTimer = null;
+let reconnectCountdownTimer = null; // Refreshes the "Retry in 5s" status every second
+let reconnectDueAt = 0;
 let isManualDisconnect = false;
+let currentRoom = null;
+let accessToken = '';
+let activeColor = null; // Color currently applied in the room, highlighted in the palette
+
+// Commands waiting for a delivery receipt: command id -> {label, timer}
+const pendingReceipts = new Map();
+
+// Commands clicked while offline, sent when the connection comes back: [{type, payload, label, target}]
+const outbox = [];
 
 // ===========================
 // DOM Elements
@@ -26,7 +49,12 @@ let isManualDisconnect = false;
 
 const connectionStatus = document.getElementById('connectionStatus');
 const messageDisplay = document.getElementById('messageDisplay');
-const colorButtons = document.querySelectorAll('.color-btn');
+const buttonGrid = document.getElementById('buttonGrid'); // Buttons are rendered by palette.js
+const roomForm = document.getElementById('roomForm');
+const roomInput = document.getElementById('roomInput');
+const tokenInput = document.getElementById('tokenInput');
+const reconnectButton = document.getElementById('reconnectBtn');
+const outboxStatus = document.getElementById('outboxStatus');
 
 // ===========================
 // WebSocket Connection Management
@@ -42,10 +70,10 @@ function connectWebSocket() {
             return;
         }
 
-        displayMessage('Connecting to server...', 'info');
+        displayMessage(t('connection.connecting', { room: currentRoom, host: new URL(getServerUrl()).host }), 'info');
         
         // Create new WebSocket connection
-        websocket = new WebSocket(WS_SERVER_URL);
+        websocket = new WebSocket(buildServerUrl(currentRoom));
         
         // Set up event handlers
         websocket.onopen = handleConnectionOpen;
@@ -56,7 +84,7 @@ function connectWebSocket() {
     } catch (error) {
         console.error('WebSocket connection error:', error);
         updateConnectionStatus(false);
-        displayMessage(`Connection failed: ${error.message}`, 'error');
+        displayMessage(t('connection.failed', { error: error.message }), 'error');
         scheduleReconnect();
     }
 }
@@ -70,7 +98,11 @@ function handleConnectionOpen() {
     isManualDisconnect = false;
     updateConnectionStatus(true);
     enableButtons(true);
-    displayMessage('Connected to server. Ready to send colors!', 'success');
+    displayMessage(t('connection.connected', { room: currentRoom }), 'success');
+    // The server resends the recording status if the room is being recorded or replayed
+    handleRecordingStatus(null);
+    flushOutbox();
+    loadRoomState(currentRoom);
 }
 
 /**
@@ -79,14 +111,36 @@ function handleConnectionOpen() {
 function handleConnectionClose(event) {
     console.log('WebSocket connection closed', event);
     updateConnectionStatus(false);
-    enableButtons(false);
+    handleRoster(null);
     
-    if (!isManualDisconnect) {
-        displayMessage('Connection lost. Attempting to reconnect...', 'error');
+    // Rejected credentials won't start working by retrying
+    if (event.code === AUTH_CLOSE_CODE) {
+        isManualDisconnect = true;
+        clearOutbox();
+        displayMessage(t('connection.denied', { reason: event.reason || t('connection.invalidCode') }), 'error');
+        tokenInput.focus();
+    } else if (event.code === INVALID_ROOM_CLOSE_CODE) {
+        isManualDisconnect = true;
+        clearOutbox();
+        displayMessage(t('room.invalid'), 'error');
+        roomInput.focus();
+    } else if (event.code === KICK_CLOSE_CODE) {
+        // A kicked client stays disconnected until the user joins again
+        isManualDisconnect = true;
+        clearOutbox();
+        displayMessage(t('connection.kicked'), 'warning');
+    } else if (!isManualDisconnect) {
+        // e.g. "Rate limit exceeded" when the server closes a flooding connection
+        displayMessage(event.reason
+            ? t('connection.lostReason', { reason: event.reason })
+            : t('connection.lost'), 'error');
         scheduleReconnect();
     } else {
-        displayMessage('Disconnected from server', 'info');
+        displayMessage(t('connection.closed'), 'info');
     }
+    
+    // Buttons stay usable while reconnecting: clicks go to the outbox
+    enableButtons(canSendCommands());
 }
 
 /**
@@ -94,7 +148,7 @@ function handleConnectionClose(event) {
  */
 function handleConnectionError(error) {
     console.error('WebSocket error:', error);
-    displayMessage('Connection error occurred', 'error');
+    displayMessage(t('connection.error'), 'error');
 }
 
 /**
@@ -102,52 +156,270 @@ function handleConnectionError(error) {
  */
 function handleMessage(event) {
     console.log('Message received from server:', event.data);
-    displayMessage(`Server response: ${event.data}`, 'info');
+    
+    let envelope;
+    try {
+        envelope = JSON.parse(event.data);
+    } catch (error) {
+        // Not an envelope (e.g. a bare hex string from an older server)
+        displayMessage(t('server.response', { data: event.data }), 'info');
+        return;
+    }
+    
+    const payload = envelope.payload || {};
+    
+    switch (envelope.type) {
+        case 'system':
+            displayMessage(describeSystemMessage(payload), 'info');
+            break;
+        case 'receipt':
+            handleReceipt(payload);
+            break;
+        case 'error':
+            // Validation errors are only sent to the client whose message was rejected
+            console.warn(`Server rejected message ${payload.ref || ''} (${payload.code}): ${payload.message}`);
+            displayMessage(t('server.rejected', { message: describeServerError(payload) }), 'error');
+            break;
+        case 'playback':
+            // Status of the room's sequence (see sequences.js)
+            handlePlaybackStatus(payload);
+            break;
+        case 'recording':
+            // Recording and replay status of the room (see recording.js)
+            handleRecordingStatus(payload);
+            break;
+        case 'roster':
+            // Everyone in the room, sent when joining it (see presence.js)
+            handleRoster(payload);
+            break;
+        case 'presence':
+            // A client joined, left or changed (see presence.js)
+            handlePresence(payload);
+            break;
+        case 'report':
+            // What a receiver says it is displaying (see presence.js)
+            handleReceiverReport(payload);
+            break;
+        case 'color':
+        case 'transition':
+            // Directed commands change part of the room only, so the room's color stays highlighted
+            if (envelope.target) {
+                displayMessage(t('color.sentTo', { color: payload.color, target: describeTarget(envelope.target) }), 'info');
+                break;
+            }
+            highlightActiveColor(payload.color);
+            // Replayed state on connect is not news to the operator
+            if (!payload.replay) {
+                displayMessage(t('color.roomChanged', { color: payload.color }), 'info');
+            }
+            break;
+        default:
+            console.log(`Unhandled ${envelope.type} message`, envelope);
+    }
 }
 
 /**
- * Schedule automatic reconnection attempt
+ * Word a system message in the page's language
+ * @param {Object} payload - {message, event, clientId}
+ * @returns {string} Translated text, or the server's text for events this page doesn't know
  */
-function scheduleReconnect() {
-    // Clear existing timer
-    if (reconnectTimer) {
-        clearTimeout(reconnectTimer);
-    }
+function describeSystemMessage(payload) {
+    const key = `system.${payload.event}`;
+    return payload.event && hasTranslation(key) ? t(key, payload) : payload.message;
+}
+
+/**
+ * Word an error sent by the server in the page's language
+ * @param {Object} payload - {code, message}
+ * @returns {string} Translated text, or the server's text for codes this page doesn't know
+ */
+function describeServerError(payload) {
+    const key = `error.${payload.code}`;
+    return payload.code && hasTranslation(key) ? t(key) : payload.message;
+}
+
+/**
+ * Wait for the delivery receipt of a sent command
+ * @param {Object} envelope - Sent command
+ * @param {string} label - Description shown to the operator, e.g. "Red (#FF0000)"
+ */
+function awaitReceipt(envelope, label) {
+    const timer = setTimeout(() => {
+        pendingReceipts.delete(envelope.id);
+        displayMessage(t('receipt.timeout', { label }), 'warning');
+    }, RECEIPT_TIMEOUT);
     
-    // Check if we've exceeded max attempts
-    if (reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
-        displayMessage(`Failed to reconnect after ${MAX_RECONNECT_ATTEMPTS} attempts. Please refresh the page.`, 'error');
-        return;
-    }
+    pendingReceipts.set(envelope.id, { label, timer, targeted: Boolean(envelope.target) });
+}
+
+/**
+ * Show the delivery receipt of a command sent from this page
+ * @param {Object} receipt - Receipt payload {ref, delivered, applied, failed, unconfirmed, timedOut}
+ */
+function handleReceipt(receipt) {
+    const pending = pendingReceipts.get(receipt.ref);
+    if (!pending) return;
     
-    reconnectAttempts++;
+    clearTimeout(pending.timer);
+    pendingReceipts.delete(receipt.ref);
     
-    // Schedule reconnection
-    reconnectTimer = setTimeout(() => {
-        console.log(`Reconnection attempt ${reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS}`);
-        connectWebSocket();
-    }, RECONNECT_INTERVAL);
+    const { label, targeted } = pending;
+    const counts = { label, applied: receipt.applied, count: receipt.delivered, failed: receipt.failed.length };
+    
+    if (receipt.delivered === 0) {
+        displayMessage(t(targeted ? 'receipt.noMatch' : 'receipt.noHeadset', { label }), 'warning');
+    } else if (receipt.applied === receipt.delivered) {
+        displayMessage(t('receipt.applied', counts), 'success');
+    } else if (receipt.applied === 0 && receipt.failed.length === 0) {
+        displayMessage(t('receipt.unconfirmed', counts), 'warning');
+    } else if (receipt.failed.length > 0) {
+        displayMessage(t('receipt.failed', counts), 'error');
+        receipt.failed.forEach(({ clientId, error }) => console.warn(`${clientId} failed to apply ${label}: ${error}`));
+    } else {
+        displayMessage(t('receipt.applied', counts), 'warning');
+    }
 }
 
 /**
- * Send data through WebSocket connection
- * @param {string} data - Data to send
- * @returns {boolean} - Success status
+ * Generate a unique message ID
+ * @returns {string} Message identifier
  */
-function sendData(data) {
+function generateMessageId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}`;
+}
+
+/**
+ * Create a protocol envelope
+ * @param {string} type - Command type (color, brightness, transition, reset)
+ * @param {Object} payload - Command data
+ * @param {Object|null} [target] - Receivers or scene objects to address (see targets.js), null for the whole room
+ * @returns {{v: number, type: string, payload: Object, id: string, ts: number}} Envelope
+ */
+function createEnvelope(type, payload = {}, target = null) {
+    const envelope = {
+        v: PROTOCOL_VERSION,
+        type,
+        payload,
+        id: generateMessageId(),
+        ts: Date.now()
+    };
+    if (target) {
+        envelope.target = target;
+    }
+    return envelope;
+}
+
+/**
+ * Send a command envelope through WebSocket connection
+ * While reconnecting, commands are queued in the outbox instead (see OUTBOX_POLICY).
+ * @param {string} type - Command type (color, brightness, transition, reset)
+ * @param {Object} payload - Command data, e.g. {color: '#FF0000'}
+ * @param {string} [label] - Description shown if the command is queued, e.g. "Red (#FF0000)"
+ * @param {Object|null} [target] - Receivers or scene objects to address, null for the whole room
+ * @returns {Object|null} - The sent envelope, or null if it was queued or could not be sent
+ */
+function sendData(type, payload = {}, label = '', target = null) {
     if (!websocket || websocket.readyState !== WebSocket.OPEN) {
-        displayMessage('Cannot send: Not connected to server', 'error');
-        return false;
+        if (OUTBOX_TYPES.includes(type) && canSendCommands()) {
+            queueCommand(type, payload, label, target);
+        } else {
+            displayMessage(t('send.notConnected'), 'error');
+        }
+        return null;
     }
     
+    const envelope = createEnvelope(type, payload, target);
+    
     try {
-        websocket.send(data);
-        console.log('Sent to server:', data);
-        return true;
+        websocket.send(JSON.stringify(envelope));
+        console.log('Sent to server:', envelope);
+        return envelope;
     } catch (error) {
         console.error('Error sending data:', error);
-        displayMessage(`Error sending data: ${error.message}`, 'error');
-        return false;
+        displayMessage(t('send.error', { error: error.message }), 'error');
+        return null;
+    }
+}
+
+/**
+ * Build the WebSocket URL for a room on the server picked in the connection settings
+ * @param {string} room - Room name
+ * @returns {string} Server URL including the room query
+ */
+function buildServerUrl(room) {
+    const url = new URL(getServerUrl());
+    url.searchParams.set('room', room);
+    url.searchParams.set('protocol', PROTOCOL_VERSION);
+    url.searchParams.set('clientType', CLIENT_TYPE);
+    if (accessToken) {
+        url.searchParams.set('token', accessToken);
+    }
+    return url.toString();
+}
+
+/**
+ * Get the HTTP base URL of the WebSocket server (ws:// -> http://, wss:// -> https://)
+ * @returns {string} HTTP origin of the server
+ */
+function getServerHttpUrl() {
+    const url = new URL(getServerUrl());
+    url.protocol = url.protocol === 'wss:' ? 'https:' : 'http:';
+    return url.origin;
+}
+
+/**
+ * Fetch the retained state of a room and highlight its active color
+ * @param {string} room - Room name
+ */
+async function loadRoomState(room) {
+    try {
+        const headers = accessToken ? { Authorization: `Bearer ${accessToken}` } : {};
+        const response = await fetch(`${getServerHttpUrl()}/state?room=${encodeURIComponent(room)}`, { headers });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        
+        const data = await response.json();
+        // Ignore late responses after a room switch
+        if (room === currentRoom) {
+            highlightActiveColor(data.state ? data.state.color : null);
+        }
+    } catch (error) {
+        console.warn('Could not load room state:', error);
+    }
+}
+
+/**
+ * Close the current socket without triggering reconnection or status updates
+ * Used when the connection is being replaced by a new one
+ */
+function closeSocketSilently() {
+    cancelReconnect();
+    
+    if (websocket) {
+        websocket.onopen = null;
+        websocket.onclose = null;
+        websocket.onerror = null;
+        websocket.onmessage = null;
+        websocket.close();
+        websocket = null;
+    }
+}
+
+/**
+ * Reconnect to the server picked in the connection settings (connection.js)
+ * The old socket is closed and commands queued for the old server are dropped.
+ */
+function switchServer() {
+    // Each server has its own access code
+    accessToken = getServerToken();
+    tokenInput.value = accessToken;
+    renderTokenInput();
+    if (currentRoom) {
+        switchRoom(currentRoom);
     }
 }
 
@@ -156,11 +428,7 @@ function sendData(data) {
  */
 function disconnectWebSocket() {
     isManualDisconnect = true;
-    
-    if (reconnectTimer) {
-        clearTimeout(reconnectTimer);
-        reconnectTimer = null;
-    }
+    cancelReconnect();
     
     if (websocket) {
         websocket.close();
@@ -168,6 +436,309 @@ function disconnectWebSocket() {
     }
 }
 
+// ===========================
+// Reconnection
+// ===========================
+
+/**
+ * Get the delay before a reconnection attempt
+ * Exponential backoff with jitter, so a room full of controllers doesn't retry in lockstep
+ * when the server comes back (Render's free tier takes a while to wake up).
+ * @param {number} attempt - Attempt number, starting at 1
+ * @returns {number} Delay in milliseconds
+ */
+function getReconnectDelay(attempt) {
+    const ceiling = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** (attempt - 1));
+    // Half of the delay is fixed, the other half random
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Show the time left before the next reconnection attempt
+ */
+function updateReconnectCountdown() {
+    const seconds = Math.max(0, Math.ceil((reconnectDueAt - Date.now()) / 1000));
+    localize(connectionStatus, 'status.retry', { seconds });
+}
+
+/**
+ * Schedule automatic reconnection attempt
+ * There is no limit on attempts; use "Reconnect now" to skip the wait.
+ */
+function scheduleReconnect() {
+    cancelReconnect();
+    
+    reconnectAttempts++;
+    const delay = getReconnectDelay(reconnectAttempts);
+    reconnectDueAt = Date.now() + delay;
+    
+    reconnectTimer = setTimeout(() => {
+        console.log(`Reconnection attempt ${reconnectAttempts}`);
+        reconnectNow();
+    }, delay);
+    
+    updateReconnectCountdown();
+    reconnectCountdownTimer = setInterval(updateReconnectCountdown, 1000);
+    reconnectButton.hidden = false;
+}
+
+/**
+ * Cancel a scheduled reconnection attempt
+ */
+function cancelReconnect() {
+    clearTimeout(reconnectTimer);
+    clearInterval(reconnectCountdownTimer);
+    reconnectTimer = null;
+    reconnectCountdownTimer = null;
+    reconnectButton.hidden = true;
+}
+
+/**
+ * Reconnect right away instead of waiting for the scheduled attempt
+ * The backoff keeps growing if this attempt fails too.
+ */
+function reconnectNow() {
+    cancelReconnect();
+    localize(connectionStatus, 'status.connecting');
+    connectWebSocket();
+}
+
+// ===========================
+// Outbox
+// ===========================
+
+/**
+ * Check whether commands can be sent now or queued for later
+ * @returns {boolean} True once a room is picked, unless the user or the server ended the connection
+ */
+function canSendCommands() {
+    return Boolean(currentRoom) && !isManualDisconnect;
+}
+
+/**
+ * Show how many commands are waiting for the connection
+ */
+function updateOutboxStatus() {
+    outboxStatus.hidden = outbox.length === 0;
+    localize(outboxStatus, 'outbox.count', { count: outbox.length });
+}
+
+/**
+ * Keep a command clicked while offline
+ * @param {string} type - Command type
+ * @param {Object} payload - Command data
+ * @param {string} [label] - Description shown to the operator
+ * @param {Object|null} [target] - Receivers or scene objects to address
+ */
+function queueCommand(type, payload, label, target = null) {
+    if (OUTBOX_POLICY === 'latest') {
+        // Only the last command matters: it is what the room should end up showing
+        outbox.length = 0;
+    } else if (outbox.length >= OUTBOX_MAX_SIZE) {
+        const dropped = outbox.shift();
+        console.warn('Outbox full, dropped oldest command:', dropped);
+    }
+    
+    outbox.push({ type, payload, label, target });
+    updateOutboxStatus();
+    displayMessage(t('outbox.queued', { label: label || type }), 'warning');
+}
+
+/**
+ * Send the commands clicked while offline, oldest first
+ */
+function flushOutbox() {
+    const queued = outbox.splice(0);
+    updateOutboxStatus();
+    
+    queued.forEach(({ type, payload, label, target }) => {
+        const envelope = sendData(type, payload, '', target);
+        if (!envelope) return;
+        
+        if (label) {
+            awaitReceipt(envelope, label);
+        }
+        if (payload.color && !target) {
+            highlightActiveColor(payload.color);
+        }
+    });
+    
+    if (queued.length > 0) {
+        console.log(`Sent ${queued.length} queued command(s)`);
+    }
+}
+
+/**
+ * Drop the commands clicked while offline (e.g. when switching rooms)
+ */
+function clearOutbox() {
+    if (outbox.length > 0) {
+        console.warn(`Discarded ${outbox.length} queued command(s)`);
+    }
+    outbox.length = 0;
+    updateOutboxStatus();
+}
+
+// ===========================
+// Room Selection
+// ===========================
+
+/**
+ * Normalize a room code entered by the user
+ * @param {string} name - Raw room code
+ * @returns {string|null} Normalized room name, or null if invalid
+ */
+function normalizeRoomName(name) {
+    const room = (name || '').trim().toLowerCase();
+    return ROOM_NAME_PATTERN.test(room) ? room : null;
+}
+
+/**
+ * Get the room requested through the page URL (?room=...) or remembered from last visit
+ * @returns {string|null} Room name, or null if the user has not picked one yet
+ */
+function getInitialRoom() {
+    const queryRoom = normalizeRoomName(new URLSearchParams(window.location.search).get('room'));
+    if (queryRoom) return queryRoom;
+    
+    try {
+        return normalizeRoomName(localStorage.getItem(ROOM_STORAGE_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Read the access codes remembered in this browser
+ * The single code of older versions goes to the server picked last, which it was used with.
+ * @returns {Object} Server URL -> access code
+ */
+function readStoredTokens() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(TOKEN_STORAGE_KEY));
+        const tokens = stored && typeof stored === 'object' ? stored : {};
+
+        const legacyToken = localStorage.getItem(LEGACY_TOKEN_STORAGE_KEY);
+        if (legacyToken) {
+            const url = getActiveServerProfile().url;
+            tokens[url] = tokens[url] || legacyToken;
+            localStorage.setItem(TOKEN_STORAGE_KEY, JSON.stringify(tokens));
+            localStorage.removeItem(LEGACY_TOKEN_STORAGE_KEY);
+        }
+        return tokens;
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Get the access code remembered for the server in use
+ * A server that only came from a link never gets the codes of the saved servers: anyone
+ * can craft such a link, and the code would be sent to their host.
+ * @returns {string} Access code, or an empty string if none is known
+ */
+function getServerToken() {
+    if (isServerFromLink()) return '';
+    const token = readStoredTokens()[getServerUrl()];
+    return typeof token === 'string' ? token : '';
+}
+
+/**
+ * Get the access code from the page URL (?token=...) or remembered for the server
+ * @returns {string} Access code, or an empty string if none is known
+ */
+function getInitialToken() {
+    const queryToken = new URLSearchParams(window.location.search).get('token');
+    if (queryToken) return queryToken.trim();
+    return getServerToken();
+}
+
+/**
+ * Remember the access code used for the next connections to the server in use
+ * The code of a server that only came from a link is kept for this visit only.
+ * @param {string} token - Access code (empty to clear)
+ */
+function setAccessToken(token) {
+    accessToken = token;
+    tokenInput.value = token;
+    if (isServerFromLink()) return;
+    
+    try {
+        const tokens = readStoredTokens();
+        if (token) {
+            tokens[getServerUrl()] = token;
+        } else {
+            delete tokens[getServerUrl()];
+        }
+        localStorage.setItem(TOKEN_STORAGE_KEY, JSON.stringify(tokens));
+    } catch (error) {
+        console.warn('Could not remember access code:', error);
+    }
+}
+
+/**
+ * Name the host in the access code field when the server only came from a link
+ */
+function renderTokenInput() {
+    if (isServerFromLink()) {
+        localizeAttribute(tokenInput, 'placeholder', 'room.accessCodeFor', { host: new URL(getServerUrl()).host });
+    } else {
+        localizeAttribute(tokenInput, 'placeholder', 'room.accessCode');
+    }
+}
+
+/**
+ * Join a room, replacing the current connection
+ * @param {string} room - Normalized room name
+ */
+function switchRoom(room) {
+    currentRoom = room;
+    roomInput.value = room;
+    
+    try {
+        localStorage.setItem(ROOM_STORAGE_KEY, room);
+    } catch (error) {
+        console.warn('Could not remember room:', error);
+    }
+    
+    closeSocketSilently();
+    clearOutbox();
+    reconnectAttempts = 0;
+    isManualDisconnect = false;
+    updateConnectionStatus(false);
+    // Clicks made before the first connection opens (e.g. while the server wakes up) are queued
+    enableButtons(true);
+    highlightActiveColor(null);
+    handlePlaybackStatus(null);
+    handleRoster(null);
+    connectWebSocket();
+}
+
+/**
+ * Handle room form submission
+ * @param {Event} event - Submit event
+ */
+function handleRoomSubmit(event) {
+    event.preventDefault();
+    
+    const room = normalizeRoomName(roomInput.value || 'default');
+    if (!room) {
+        displayMessage(t('room.invalid'), 'error');
+        return;
+    }
+    
+    const token = tokenInput.value.trim();
+    const tokenChanged = token !== accessToken;
+    setAccessToken(token);
+    
+    if (room === currentRoom && !tokenChanged && websocket && websocket.readyState === WebSocket.OPEN) {
+        displayMessage(t('room.already', { room }), 'info');
+        return;
+    }
+    
+    switchRoom(room);
+}
+
 // ===========================
 // UI Update Functions
 // ===========================
@@ -178,11 +749,11 @@ function disconnectWebSocket() {
  */
 function updateConnectionStatus(isConnected) {
     if (isConnected) {
-        connectionStatus.textContent = 'Connected';
+        localize(connectionStatus, 'status.connected');
         connectionStatus.classList.remove('disconnected');
         connectionStatus.classList.add('connected');
     } else {
-        connectionStatus.textContent = 'Disconnected';
+        localize(connectionStatus, 'status.disconnected');
         connectionStatus.classList.remove('connected');
         connectionStatus.classList.add('disconnected');
     }
@@ -191,16 +762,16 @@ function updateConnectionStatus(isConnected) {
 /**
  * Display message to user
  * @param {string} message - Message text
- * @param {string} type - Message type (success, error, info)
+ * @param {string} type - Message type (success, warning, error, info)
  */
 function displayMessage(message, type = 'info') {
     messageDisplay.textContent = message;
     
     // Remove existing classes
-    messageDisplay.classList.remove('success', 'error', 'info');
+    messageDisplay.classList.remove('success', 'error', 'warning', 'info');
     
     // Add appropriate class
-    if (type === 'success' || type === 'error') {
+    if (type === 'success' || type === 'error' || type === 'warning') {
         messageDisplay.classList.add(type);
     }
     
@@ -215,12 +786,25 @@ function displayMessage(message, type = 'info') {
     }
 }
 
+/**
+ * Highlight the button of the color currently applied in the room
+ * @param {string|null} colorHex - Active color, or null to clear the highlight
+ */
+function highlightActiveColor(colorHex) {
+    activeColor = colorHex ? colorHex.toUpperCase() : null;
+    buttonGrid.querySelectorAll('.color-btn').forEach(button => {
+        const isActive = button.getAttribute('data-color').toUpperCase() === activeColor;
+        button.classList.toggle('active', isActive);
+        button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+    });
+}
+
 /**
  * Enable or disable color buttons
  * @param {boolean} enabled - Enable state
  */
 function enableButtons(enabled) {
-    colorButtons.forEach(button => {
+    buttonGrid.querySelectorAll('.color-btn').forEach(button => {
         button.disabled = !enabled;
     });
 }
@@ -231,10 +815,12 @@ function enableButtons(enabled) {
 
 /**
  * Handle color button click
- * @param {Event} event - Click event
+ * @param {Event} event - Click event on the button grid
  */
 function handleColorButtonClick(event) {
-    const button = event.currentTarget;
+    const button = event.target.closest('.color-btn');
+    if (!button || button.disabled) return;
+    
     const colorHex = button.getAttribute('data-color');
     const colorName = button.getAttribute('data-name') || colorHex;
     
@@ -243,11 +829,18 @@ function handleColorButtonClick(event) {
         return;
     }
     
-    // Send hex code through WebSocket
-    const success = sendData(colorHex);
+    // Send color command through WebSocket (queued if offline), to the receivers picked in targets.js
+    const target = getCommandTarget();
+    const label = `${colorName} (${colorHex})` + (target ? ` → ${describeTarget(target)}` : '');
+    const envelope = sendData('color', { color: colorHex }, label, target);
     
-    if (success) {
-        displayMessage(`Sent: ${colorName} (${colorHex})`, 'success');
+    if (envelope) {
+        // The final status comes with the server's delivery receipt
+        displayMessage(t('color.sending', { label }), 'info');
+        awaitReceipt(envelope, label);
+        if (!target) {
+            highlightActiveColor(colorHex);
+        }
         
         // Visual feedback - brief highlight
         button.style.opacity = '0.7';
@@ -258,11 +851,15 @@ function handleColorButtonClick(event) {
 }
 
 /**
- * Add click event listeners to all color buttons
+ * Listen for clicks on the color buttons, including ones rendered later by palette.js
  */
 function initializeButtons() {
-    colorButtons.forEach(button => {
-        button.addEventListener('click', handleColorButtonClick);
+    buttonGrid.addEventListener('click', handleColorButtonClick);
+    
+    // Re-rendered buttons start out enabled and unhighlighted
+    document.addEventListener('palettechange', () => {
+        enableButtons(canSendCommands());
+        highlightActiveColor(activeColor);
     });
 }
 
@@ -280,30 +877,11 @@ function handleKeyPress(event) {
         return;
     }
     
+    // Shortcut keys come from the palette (data-key on each button)
     const key = event.key.toLowerCase();
-    let colorButton = null;
-    
-    // Map number keys to colors (1-9, 0 for 10th color)
-    const keyMap = {
-        '1': '#00FF00',  // Vert
-        '2': '#FFFF00',  // Jaune
-        '3': '#0080FF',  // Cyan-Bleu
-        '4': '#FFFFFF',  // Blanc
-        '5': '#808080',  // Gris
-        '6': '#000000',  // Noir
-        '7': '#FF00FF',  // Magenta
-        '8': '#8000FF',  // Violet
-        '9': '#FF0000',  // Rouge
-        '0': '#00FF80',  // Vert-Cyan
-        'q': '#FF0080',  // Rose
-        'w': '#80FF00',  // Jaune-Vert
-        'e': '#0000FF',  // Bleu
-        'r': '#00FFFF',  // Cyan
-    };
-    
-    if (keyMap[key]) {
-        colorButton = document.querySelector(`[data-color="${keyMap[key]}"]`);
-    }
+    const colorButton = /^[a-z0-9]$/.test(key)
+        ? buttonGrid.querySelector(`.color-btn[data-key="${key}"]`)
+        : null;
     
     // Trigger button click if found and enabled
     if (colorButton && !colorButton.disabled) {
@@ -322,8 +900,8 @@ function handleKeyPress(event) {
 function handleVisibilityChange() {
     if (!document.hidden && (!websocket || websocket.readyState !== WebSocket.OPEN)) {
         console.log('Page visible again, checking connection...');
-        if (!isManualDisconnect) {
-            connectWebSocket();
+        if (canSendCommands()) {
+            reconnectNow();
         }
     }
 }
@@ -341,10 +919,20 @@ function init() {
     // Initialize UI
     initializeButtons();
     enableButtons(false);
-    displayMessage('Initializing connection...', 'info');
+    roomForm.addEventListener('submit', handleRoomSubmit);
+    reconnectButton.addEventListener('click', reconnectNow);
+    setAccessToken(getInitialToken());
+    renderTokenInput();
     
-    // Connect to WebSocket server
-    connectWebSocket();
+    // Connect right away if the room is already known, otherwise wait for the user to pick one
+    const initialRoom = getInitialRoom();
+    if (initialRoom) {
+        displayMessage(t('app.initializing'), 'info');
+        switchRoom(initialRoom);
+    } else {
+        displayMessage(t('app.pickRoom'), 'info');
+        roomInput.focus();
+    }
     
     // Add keyboard support
     document.addEventListener('keypress', handleKeyPress);
@@ -381,6 +969,11 @@ if (typeof window !== 'undefined') {
         connect: connectWebSocket,
         disconnect: disconnectWebSocket,
         send: sendData,
+        reconnect: reconnectNow,
+        getOutbox: () => outbox.slice(),
+        joinRoom: (room) => switchRoom(normalizeRoomName(room) || 'default'),
+        getRoom: () => currentRoom,
+        getServer: () => getServerUrl(),
         getStatus: () => websocket ? websocket.readyState : 'Not initialized'
     };
 }
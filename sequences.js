@@ -0,0 +1,363 @@
+/**
+ * Sequence Editor
+ * Builds cue lists (colors, fades, strobes), saves them in this browser and
+ * controls their playback on the server. Uses sendData() and displayMessage() from script.js.
+ */
+
+// ===========================
+// Configuration
+// ===========================
+
+const SEQUENCES_STORAGE_KEY = 'colorController.sequences';
+const MAX_SEQUENCE_STEPS = 50; // Same limit as the server
+const STEP_TYPES = ['color', 'fade', 'strobe']; // Labelled by the 'sequences.step.<type>' catalog keys
+
+// Starter cue list shown until the user saves their own
+const DEFAULT_SEQUENCE = {
+    name: 'Demo',
+    loop: true,
+    steps: [
+        { type: 'color', color: '#FF0000', duration: 2000 },
+        { type: 'fade', color: '#0000FF', duration: 3000 },
+        { type: 'strobe', color: '#FFFFFF', duration: 1000, interval: 100 }
+    ]
+};
+
+// ===========================
+// State Management
+// ===========================
+
+let savedSequences = [];
+let playback = null; // Latest playback status from the server, null when stopped
+
+// ===========================
+// DOM Elements
+// ===========================
+
+const sequenceSelect = document.getElementById('sequenceSelect');
+const sequenceName = document.getElementById('sequenceName');
+const sequenceLoop = document.getElementById('sequenceLoop');
+const stepList = document.getElementById('stepList');
+const playbackStatus = document.getElementById('playbackStatus');
+const playButton = document.getElementById('playBtn');
+const pauseButton = document.getElementById('pauseBtn');
+const stopButton = document.getElementById('stopBtn');
+
+// ===========================
+// Storage
+// ===========================
+
+/**
+ * Load the saved sequences
+ * @returns {Object[]} Saved cue lists
+ */
+function loadSequences() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SEQUENCES_STORAGE_KEY));
+        return Array.isArray(stored) && stored.length ? stored : [DEFAULT_SEQUENCE];
+    } catch (error) {
+        return [DEFAULT_SEQUENCE];
+    }
+}
+
+/**
+ * Save the sequences
+ */
+function storeSequences() {
+    try {
+        localStorage.setItem(SEQUENCES_STORAGE_KEY, JSON.stringify(savedSequences));
+    } catch (error) {
+        console.warn('Could not save sequences:', error);
+        displayMessage(t('sequences.storeFailed'), 'error');
+    }
+}
+
+// ===========================
+// Editor
+// ===========================
+
+/**
+ * Create a labelled number input
+ * @param {string} className - Field class (step-duration, step-interval)
+ * @param {number} value - Milliseconds
+ * @param {string} labelKey - Catalog key of the accessible label
+ * @returns {HTMLInputElement} Input
+ */
+function createNumberInput(className, value, labelKey) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = className;
+    input.min = '0';
+    input.step = '50';
+    input.value = value;
+    localizeAttribute(input, 'aria-label', labelKey);
+    return input;
+}
+
+/**
+ * Build the editor row of a step
+ * @param {Object} step - {type, color, duration, interval}
+ * @returns {HTMLLIElement} Row
+ */
+function createStepRow(step) {
+    const row = document.createElement('li');
+    row.className = 'step-row';
+
+    const type = document.createElement('select');
+    type.className = 'step-type';
+    localizeAttribute(type, 'aria-label', 'sequences.stepType');
+    STEP_TYPES.forEach((value) => {
+        const option = new Option('', value, false, value === step.type);
+        localize(option, `sequences.step.${value}`);
+        type.add(option);
+    });
+
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.className = 'step-color';
+    color.value = step.color.toLowerCase();
+    localizeAttribute(color, 'aria-label', 'sequences.stepColor');
+
+    const duration = createNumberInput('step-duration', step.duration, 'sequences.duration');
+    const interval = createNumberInput('step-interval', step.interval || 100, 'sequences.interval');
+    localizeAttribute(interval, 'title', 'sequences.intervalTitle');
+
+    const unit = document.createElement('span');
+    unit.className = 'step-unit';
+    unit.textContent = 'ms';
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'step-remove';
+    remove.textContent = '×';
+    localizeAttribute(remove, 'aria-label', 'sequences.removeStep');
+    remove.addEventListener('click', () => row.remove());
+
+    // The interval only applies to strobes
+    const updateInterval = () => {
+        interval.hidden = type.value !== 'strobe';
+    };
+    type.addEventListener('change', updateInterval);
+    updateInterval();
+
+    row.append(type, color, duration, interval, unit, remove);
+    return row;
+}
+
+/**
+ * Show a sequence in the editor
+ * @param {Object} sequence - Cue list
+ */
+function showSequence(sequence) {
+    sequenceName.value = sequence.name || '';
+    sequenceLoop.checked = Boolean(sequence.loop);
+    stepList.replaceChildren(...sequence.steps.map(createStepRow));
+}
+
+/**
+ * Read the cue list currently in the editor
+ * @returns {{name: string, loop: boolean, steps: Object[]}} Cue list
+ */
+function readSequence() {
+    const steps = Array.from(stepList.children).map((row) => {
+        const step = {
+            type: row.querySelector('.step-type').value,
+            color: row.querySelector('.step-color').value.toUpperCase(),
+            duration: parseInt(row.querySelector('.step-duration').value, 10) || 0
+        };
+        if (step.type === 'strobe') {
+            step.interval = parseInt(row.querySelector('.step-interval').value, 10) || 0;
+        }
+        return step;
+    });
+
+    return {
+        name: sequenceName.value.trim() || t('common.untitled'),
+        loop: sequenceLoop.checked,
+        steps
+    };
+}
+
+/**
+ * Fill the saved sequence picker
+ * @param {number} selectedIndex - Sequence to select
+ */
+function renderSequenceList(selectedIndex) {
+    sequenceSelect.replaceChildren(...savedSequences.map((sequence, index) =>
+        new Option(sequence.name, String(index), false, index === selectedIndex)));
+}
+
+// ===========================
+// Editor Event Handlers
+// ===========================
+
+/**
+ * Show the sequence picked in the list
+ */
+function handleSequenceSelect() {
+    const sequence = savedSequences[parseInt(sequenceSelect.value, 10)];
+    if (sequence) {
+        showSequence(sequence);
+    }
+}
+
+/**
+ * Start a new, empty sequence
+ */
+function handleNewSequence() {
+    sequenceSelect.value = '';
+    showSequence({ name: '', loop: false, steps: [{ type: 'color', color: '#FF0000', duration: 1000 }] });
+    sequenceName.focus();
+}
+
+/**
+ * Append a step, repeating the last step's color
+ */
+function handleAddStep() {
+    if (stepList.children.length >= MAX_SEQUENCE_STEPS) {
+        displayMessage(t('sequences.full', { max: MAX_SEQUENCE_STEPS }), 'error');
+        return;
+    }
+    const last = stepList.lastElementChild;
+    const color = last ? last.querySelector('.step-color').value : '#ff0000';
+    stepList.appendChild(createStepRow({ type: 'fade', color, duration: 1000 }));
+}
+
+/**
+ * Save the edited sequence, replacing a saved one with the same name
+ */
+function handleSaveSequence() {
+    const sequence = readSequence();
+    if (sequence.steps.length === 0) {
+        displayMessage(t('sequences.emptySave'), 'error');
+        return;
+    }
+
+    let index = savedSequences.findIndex((saved) => saved.name === sequence.name);
+    if (index === -1) {
+        savedSequences.push(sequence);
+        index = savedSequences.length - 1;
+    } else {
+        savedSequences[index] = sequence;
+    }
+
+    storeSequences();
+    renderSequenceList(index);
+    displayMessage(t('sequences.savedMessage', { name: sequence.name }), 'success');
+}
+
+/**
+ * Delete the selected sequence
+ */
+function handleDeleteSequence() {
+    const index = parseInt(sequenceSelect.value, 10);
+    const sequence = savedSequences[index];
+    if (!sequence || !window.confirm(t('sequences.confirmDelete', { name: sequence.name }))) return;
+
+    savedSequences.splice(index, 1);
+    if (savedSequences.length === 0) {
+        savedSequences.push(DEFAULT_SEQUENCE);
+    }
+    storeSequences();
+    renderSequenceList(0);
+    showSequence(savedSequences[0]);
+}
+
+// ===========================
+// Playback
+// ===========================
+
+/**
+ * Ask the server to play the sequence in the editor
+ */
+function handlePlay() {
+    const sequence = readSequence();
+    if (sequence.steps.length === 0) {
+        displayMessage(t('sequences.emptyPlay'), 'error');
+        return;
+    }
+
+    if (sendData('sequence', { action: 'play', sequence })) {
+        displayMessage(t('sequences.starting', { name: sequence.name }), 'info');
+    }
+}
+
+/**
+ * Pause or resume the room's sequence
+ */
+function handlePauseResume() {
+    sendData('sequence', { action: playback && playback.state === 'paused' ? 'resume' : 'pause' });
+}
+
+/**
+ * Stop the room's sequence
+ */
+function handleStop() {
+    sendData('sequence', { action: 'stop' });
+}
+
+/**
+ * Show the playback status reported by the server
+ * Called by script.js for 'playback' messages, and with null when leaving a room.
+ * @param {Object|null} status - {name, state, step, steps, loop, iteration, reason}
+ */
+function handlePlaybackStatus(status) {
+    playback = status && status.state !== 'stopped' ? status : null;
+
+    playbackStatus.classList.remove('playing', 'paused');
+    stepList.querySelectorAll('.current').forEach((row) => row.classList.remove('current'));
+
+    if (playback) {
+        const key = (playback.state === 'paused' ? 'sequences.paused' : 'sequences.playing') + (playback.loop ? 'Loop' : '');
+        localize(playbackStatus, key, {
+            name: playback.name,
+            step: playback.step + 1,
+            steps: playback.steps,
+            iteration: playback.iteration + 1
+        });
+        playbackStatus.classList.add(playback.state);
+
+        // Highlight the step being played if that sequence is in the editor
+        if (playback.name === readSequence().name && stepList.children[playback.step]) {
+            stepList.children[playback.step].classList.add('current');
+        }
+    } else {
+        const reasons = {
+            finished: 'sequences.finished',
+            override: 'sequences.overridden'
+        };
+        if (status && reasons[status.reason]) {
+            localize(playbackStatus, reasons[status.reason], { name: status.name });
+        } else {
+            localize(playbackStatus, 'sequences.stopped');
+        }
+    }
+
+    pauseButton.disabled = !playback;
+    stopButton.disabled = !playback;
+    localize(pauseButton, playback && playback.state === 'paused' ? 'sequences.resume' : 'sequences.pause');
+}
+
+// ===========================
+// Initialization
+// ===========================
+
+/**
+ * Initialize the sequence editor
+ */
+function initSequences() {
+    savedSequences = loadSequences();
+    renderSequenceList(0);
+    showSequence(savedSequences[0]);
+
+    sequenceSelect.addEventListener('change', handleSequenceSelect);
+    document.getElementById('newSequenceBtn').addEventListener('click', handleNewSequence);
+    document.getElementById('deleteSequenceBtn').addEventListener('click', handleDeleteSequence);
+    document.getElementById('addStepBtn').addEventListener('click', handleAddStep);
+    document.getElementById('saveSequenceBtn').addEventListener('click', handleSaveSequence);
+    playButton.addEventListener('click', handlePlay);
+    pauseButton.addEventListener('click', handlePauseResume);
+    stopButton.addEventListener('click', handleStop);
+}
+
+initSequences();
@@ -0,0 +1,139 @@
+/**
+ * Service Worker
+ * Caches the app shell so the controller still opens when the page is reloaded without
+ * a connection to the web host. Files are fetched from the network first, so a deployment
+ * shows up on the next load, and served from the cache when the network fails or is too slow.
+ * The WebSocket connection and the relay's REST API are never cached.
+ */
+
+// ===========================
+// Configuration
+// ===========================
+
+// Bump the version when the list changes, so installed controllers drop the old cache
+const CACHE_NAME = 'color-controller-v2';
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'config.js',
+    'locales/en.js',
+    'locales/fr.js',
+    'i18n.js',
+    'palette.js',
+    'script.js',
+    'connection.js',
+    'sequences.js',
+    'recording.js',
+    'presence.js',
+    'targets.js',
+    'pwa.js',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+const NETWORK_TIMEOUT = 3000; // Use the cached copy if the host hasn't answered within 3 seconds
+
+// Absolute URLs of the shell files, to recognize their requests
+const SHELL_URLS = new Set(APP_SHELL.map((file) => new URL(file, self.registration.scope).href));
+const ROOT_URL = new URL('./', self.registration.scope).href;
+const INDEX_URL = new URL('index.html', self.registration.scope).href;
+
+// ===========================
+// Lifecycle
+// ===========================
+
+/**
+ * Cache the app shell
+ * A new version takes over right away: the shell only holds static files, and open pages
+ * keep the scripts they already loaded.
+ * @param {ExtendableEvent} event - Install event
+ */
+function handleInstall(event) {
+    event.waitUntil(caches.open(CACHE_NAME)
+        .then((cache) => cache.addAll(APP_SHELL))
+        .then(() => self.skipWaiting()));
+}
+
+/**
+ * Delete the caches of previous versions and control the open pages
+ * @param {ExtendableEvent} event - Activate event
+ */
+function handleActivate(event) {
+    event.waitUntil(caches.keys()
+        .then((names) => Promise.all(names
+            .filter((name) => name !== CACHE_NAME)
+            .map((name) => caches.delete(name))))
+        .then(() => self.clients.claim()));
+}
+
+// ===========================
+// Requests
+// ===========================
+
+/**
+ * Fetch a shell file from the network, falling back to the cache
+ * A response that arrives after the timeout still refreshes the cache for the next load.
+ * @param {Request} request - Request of the page
+ * @param {string} cacheKey - Cache entry of the file (the site root shares index.html's)
+ * @returns {Promise<Response>} Response
+ */
+function fetchShellFile(request, cacheKey) {
+    const fromNetwork = fetch(request).then((response) => {
+        if (!response.ok) {
+            // A host that is up but failing (e.g. 502) is no better than no host
+            return caches.match(cacheKey).then((cached) => cached || response);
+        }
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then((cache) => cache.put(cacheKey, copy));
+        return response;
+    });
+
+    const fromCache = new Promise((resolve) => setTimeout(resolve, NETWORK_TIMEOUT))
+        .then(() => caches.match(cacheKey));
+
+    // First of: the network's answer, or the cached copy once the timeout passes
+    return new Promise((resolve, reject) => {
+        let settled = false;
+        const settle = (response) => {
+            if (!settled && response) {
+                settled = true;
+                resolve(response);
+            }
+        };
+
+        fromNetwork.then(settle).catch(() => caches.match(cacheKey).then((cached) => {
+            if (cached) {
+                settle(cached);
+            } else if (!settled) {
+                reject(new Error(`${cacheKey} is neither reachable nor cached`));
+            }
+        }));
+        fromCache.then(settle);
+    });
+}
+
+/**
+ * Answer requests for shell files; everything else goes to the network untouched
+ * @param {FetchEvent} event - Fetch event
+ */
+function handleFetch(event) {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    const file = url.origin + url.pathname; // ?room= and ?server= links open the same page
+    if (!SHELL_URLS.has(file)) return;
+
+    // The site root and index.html are the same page
+    event.respondWith(fetchShellFile(request, file === ROOT_URL ? INDEX_URL : file));
+}
+
+// ===========================
+// Initialization
+// ===========================
+
+self.addEventListener('install', handleInstall);
+self.addEventListener('activate', handleActivate);
+self.addEventListener('fetch', handleFetch);
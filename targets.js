@@ -0,0 +1,249 @@
+/**
+ * Command Targets
+ * Lets the operator send colors to one receiver, a group of receivers or named objects of
+ * the scene (e.g. "Wall_Left") instead of the whole room. Receivers and groups come from the
+ * roster of presence.js; script.js reads getCommandTarget() when a color button is pressed.
+ */
+
+// ===========================
+// Configuration
+// ===========================
+
+const RECENT_OBJECTS_STORAGE_KEY = 'colorController.targetObjects';
+const MAX_RECENT_OBJECTS = 10;
+const MAX_OBJECT_NAME_LENGTH = 64;
+const EVERYONE_TARGET = ''; // Select value addressing the whole room
+
+// ===========================
+// State Management
+// ===========================
+
+// Picked receivers: '' (everyone), 'client:<id>' or 'group:<name>'
+let selectedTarget = EVERYONE_TARGET;
+
+// Object names used before, offered as suggestions
+let recentObjects = [];
+
+// ===========================
+// DOM Elements
+// ===========================
+
+const targetBar = document.getElementById('targetBar');
+const targetSelect = document.getElementById('targetSelect');
+const targetObjectInput = document.getElementById('targetObjectInput');
+const targetObjectList = document.getElementById('targetObjectList');
+const clearTargetButton = document.getElementById('clearTargetBtn');
+
+// ===========================
+// Target Helpers
+// ===========================
+
+/**
+ * Build the target of the next command from the picker
+ * @returns {Object|null} Target {clients, groups, objects}, or null for the whole room
+ */
+function getCommandTarget() {
+    const target = {};
+    const [kind, value] = splitTargetValue(selectedTarget);
+
+    if (kind === 'client') {
+        target.clients = [value];
+    } else if (kind === 'group') {
+        target.groups = [value];
+    }
+
+    const objectName = targetObjectInput.value.trim();
+    if (objectName) {
+        target.objects = [objectName];
+    }
+    return Object.keys(target).length > 0 ? target : null;
+}
+
+/**
+ * Describe a target for messages shown to the operator
+ * @param {Object} target - Target {clients, groups, objects}
+ * @returns {string} Description, e.g. "Wall_Left on Headset 2"
+ */
+function describeTarget(target) {
+    const receivers = [];
+    (target.clients || []).forEach((id) => {
+        const client = roster.get(id);
+        receivers.push(client ? getPresenceName(client) : id);
+    });
+    (target.groups || []).forEach((group) => receivers.push(t('targets.group', { name: group })));
+
+    const objects = (target.objects || []).join(', ');
+    if (!objects) return receivers.join(', ');
+    return receivers.length > 0 ? t('targets.objectsOn', { objects, receivers: receivers.join(', ') }) : objects;
+}
+
+/**
+ * Split a select value into its kind and value
+ * @param {string} value - Select value, e.g. 'client:client_3'
+ * @returns {string[]} [kind, value], or ['', ''] for everyone
+ */
+function splitTargetValue(value) {
+    const separator = value.indexOf(':');
+    return separator === -1 ? ['', ''] : [value.slice(0, separator), value.slice(separator + 1)];
+}
+
+// ===========================
+// Recent Objects
+// ===========================
+
+/**
+ * Load the object names used in earlier sessions
+ */
+function loadRecentObjects() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(RECENT_OBJECTS_STORAGE_KEY)) || [];
+        recentObjects = stored
+            .filter((name) => typeof name === 'string' && name.trim())
+            .map((name) => name.trim().slice(0, MAX_OBJECT_NAME_LENGTH))
+            .slice(0, MAX_RECENT_OBJECTS);
+    } catch (error) {
+        recentObjects = [];
+    }
+}
+
+/**
+ * Put an object name first in the suggestions
+ * @param {string} name - Object name
+ */
+function rememberObject(name) {
+    recentObjects = [name, ...recentObjects.filter((recent) => recent !== name)].slice(0, MAX_RECENT_OBJECTS);
+    try {
+        localStorage.setItem(RECENT_OBJECTS_STORAGE_KEY, JSON.stringify(recentObjects));
+    } catch (error) {
+        console.warn('Could not save object names:', error);
+    }
+    renderObjectSuggestions();
+}
+
+// ===========================
+// Rendering
+// ===========================
+
+/**
+ * Create an option of the target select
+ * @param {string} value - Select value
+ * @param {string} text - Option text
+ * @returns {HTMLOptionElement} Option
+ */
+function createTargetOption(value, text) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    return option;
+}
+
+/**
+ * List the receivers and groups of the room in the target select
+ * A picked receiver that left stays selected, so colors don't suddenly reach everyone.
+ */
+function renderTargetOptions() {
+    const receivers = Array.from(roster.values())
+        .filter((client) => client.type !== CONTROLLER_TYPE)
+        .sort((a, b) => getPresenceName(a).localeCompare(getPresenceName(b), undefined, { numeric: true }));
+    const groups = Array.from(new Set(receivers.flatMap((client) => client.groups || []))).sort();
+
+    const receiverGroup = document.createElement('optgroup');
+    receiverGroup.label = t('targets.receivers');
+    receiverGroup.append(...receivers.map((client) => createTargetOption(`client:${client.id}`, getPresenceName(client))));
+
+    const groupGroup = document.createElement('optgroup');
+    groupGroup.label = t('targets.groups');
+    groupGroup.append(...groups.map((group) => createTargetOption(`group:${group}`, group)));
+
+    const options = [createTargetOption(EVERYONE_TARGET, t('targets.everyoneInRoom'))];
+    if (receivers.length > 0) options.push(receiverGroup);
+    if (groups.length > 0) options.push(groupGroup);
+
+    const [kind, value] = splitTargetValue(selectedTarget);
+    const isListed = selectedTarget === EVERYONE_TARGET ||
+        (kind === 'client' ? receivers.some((client) => client.id === value) : groups.includes(value));
+    if (!isListed) {
+        const name = kind === 'client' ? value : t('targets.group', { name: value });
+        options.push(createTargetOption(selectedTarget, t('targets.notConnected', { name })));
+    }
+
+    targetSelect.replaceChildren(...options);
+    targetSelect.value = selectedTarget;
+    updateTargetIndicator();
+}
+
+/**
+ * Offer the recently used object names
+ */
+function renderObjectSuggestions() {
+    targetObjectList.replaceChildren(...recentObjects.map((name) => {
+        const option = document.createElement('option');
+        option.value = name;
+        return option;
+    }));
+}
+
+/**
+ * Highlight the picker while colors only reach part of the room
+ */
+function updateTargetIndicator() {
+    const target = getCommandTarget();
+    targetBar.classList.toggle('active', Boolean(target));
+    clearTargetButton.disabled = !target;
+    buttonGrid.title = target ? t('targets.colorsGoTo', { target: describeTarget(target) }) : '';
+}
+
+// ===========================
+// Event Handlers
+// ===========================
+
+/**
+ * Use the receiver or group picked in the select
+ */
+function handleTargetSelect() {
+    selectedTarget = targetSelect.value;
+    updateTargetIndicator();
+}
+
+/**
+ * Remember the object name once the operator is done typing it
+ */
+function handleTargetObjectChange() {
+    const name = targetObjectInput.value.trim().slice(0, MAX_OBJECT_NAME_LENGTH);
+    targetObjectInput.value = name;
+    if (name) {
+        rememberObject(name);
+    }
+    updateTargetIndicator();
+}
+
+/**
+ * Send colors to the whole room again
+ */
+function handleClearTarget() {
+    selectedTarget = EVERYONE_TARGET;
+    targetObjectInput.value = '';
+    renderTargetOptions();
+}
+
+// ===========================
+// Initialization
+// ===========================
+
+/**
+ * Render the picker and keep it in sync with the roster
+ */
+function initTargets() {
+    loadRecentObjects();
+    renderObjectSuggestions();
+    renderTargetOptions();
+
+    targetSelect.addEventListener('change', handleTargetSelect);
+    targetObjectInput.addEventListener('input', updateTargetIndicator);
+    targetObjectInput.addEventListener('change', handleTargetObjectChange);
+    clearTargetButton.addEventListener('click', handleClearTarget);
+    document.addEventListener('rosterchange', renderTargetOptions);
+    document.addEventListener('localechange', renderTargetOptions);
+}
+
+initTargets();
@@ -0,0 +1,103 @@
+/**
+ * Authentication tests: shared tokens, pairing codes and the lockout after wrong codes
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createAuthenticator } = require('../lib/auth');
+const { startRelay, connect, closeOf, request } = require('./helpers');
+
+test('pairing codes are accepted until the address is locked out', () => {
+    const auth = createAuthenticator({ tokens: 'lab-token', maxFailedAttempts: 3 });
+    const { code } = auth.issuePairingCode();
+
+    assert.match(code, /^\d{8}$/);
+    assert.ok(auth.verify(code, '10.0.0.1').ok);
+    assert.ok(auth.verify(code, '10.0.0.1').ok, 'a code can be used again, e.g. to reconnect');
+
+    assert.strictEqual(auth.verify('00000000', '10.0.0.2').lockedOut, undefined);
+    assert.strictEqual(auth.verify('00000001', '10.0.0.2').lockedOut, undefined);
+    const third = auth.verify('00000002', '10.0.0.2');
+    assert.strictEqual(third.lockedOut, true);
+    assert.ok(third.retryAfter > 0);
+
+    // Locked out: even the right code is refused, other addresses are not affected
+    assert.strictEqual(auth.verify(code, '10.0.0.2').ok, false);
+    assert.strictEqual(auth.verifySharedToken('lab-token', '10.0.0.2').ok, false);
+    assert.ok(auth.verify(code, '10.0.0.3').ok);
+});
+
+test('repeated bad codes lock out handshakes and REST requests', async () => {
+    const server = await startRelay({ auth: { tokens: 'lab-token', maxFailedAttempts: 3 } });
+    try {
+        const pairing = await request(server.port, 'POST', '/pair', null, { Authorization: 'Bearer lab-token' });
+        assert.strictEqual(pairing.status, 201);
+
+        const wrong = await closeOf(server.url, { room: 'lab-a', token: '12345678' });
+        assert.strictEqual(wrong.code, 4001);
+        assert.match(wrong.reason, /Invalid or expired/);
+
+        const api = await request(server.port, 'GET', '/api/state', null, { Authorization: 'Bearer 87654321' });
+        assert.strictEqual(api.status, 401);
+
+        // Third wrong code in a row locks the address out, on both paths
+        const locked = await closeOf(server.url, { room: 'lab-a', token: '11111111' });
+        assert.strictEqual(locked.code, 4001);
+        assert.match(locked.reason, /Too many failed attempts/);
+
+        const rightCode = await closeOf(server.url, { room: 'lab-a', token: pairing.body.code });
+        assert.match(rightCode.reason, /Too many failed attempts/);
+
+        const lockedApi = await request(server.port, 'GET', '/api/state', null, { Authorization: 'Bearer lab-token' });
+        assert.strictEqual(lockedApi.status, 429);
+        assert.ok(Number(lockedApi.headers.get('retry-after')) > 0);
+    } finally {
+        await server.close();
+    }
+});
+
+test('a right code resets the count of wrong ones', async () => {
+    const server = await startRelay({ auth: { tokens: 'lab-token', maxFailedAttempts: 2 } });
+    try {
+        await closeOf(server.url, { room: 'lab-a', token: 'wrong' });
+        const client = await connect(server.url, { room: 'lab-a', token: 'lab-token', protocol: 1 });
+        await client.close();
+
+        const wrong = await closeOf(server.url, { room: 'lab-a', token: 'wrong' });
+        assert.match(wrong.reason, /Invalid or expired/);
+    } finally {
+        await server.close();
+    }
+});
+
+test('a forged X-Forwarded-For entry does not escape the lockout', async () => {
+    const server = await startRelay({ trustProxy: true, auth: { tokens: 'lab-token', maxFailedAttempts: 2 } });
+    try {
+        const attempt = (forged) => request(server.port, 'GET', '/api/clients', undefined, {
+            Authorization: 'Bearer wrong',
+            'X-Forwarded-For': `${forged}, 203.0.113.7`
+        });
+        assert.strictEqual((await attempt('10.0.0.1')).status, 401);
+        assert.strictEqual((await attempt('10.0.0.2')).status, 429);
+        assert.strictEqual((await attempt('10.0.0.3')).status, 429);
+    } finally {
+        await server.close();
+    }
+});
+
+test('retained state needs an access code when authentication is enabled', async () => {
+    const server = await startRelay({ auth: { tokens: 'lab-token' } });
+    try {
+        for (const pathname of ['/state', '/state?room=lab-a', '/api/state']) {
+            const anonymous = await request(server.port, 'GET', pathname);
+            assert.strictEqual(anonymous.status, 401, pathname);
+            assert.strictEqual(anonymous.body.state, undefined);
+
+            const authorized = await request(server.port, 'GET', pathname, null, { Authorization: 'Bearer lab-token' });
+            assert.strictEqual(authorized.status, 200, pathname);
+        }
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,125 @@
+/**
+ * Cluster tests: relays sharing a bus act as one relay for commands, presence and retained state
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createMemoryBus } = require('../lib/bus');
+const { startRelay, connect, request, receivesNothing, ofType } = require('./helpers');
+
+/**
+ * Wait until a condition holds
+ * @param {Function} check - Async function returning a truthy value when done
+ * @returns {Promise<*>} Value returned by check
+ */
+async function eventually(check) {
+    for (let attempt = 0; attempt < 40; attempt++) {
+        const value = await check();
+        if (value) return value;
+        await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    throw new Error('Condition not met in time');
+}
+
+test('commands, presence and retained state cross instances', async () => {
+    const bus = createMemoryBus();
+    const serverA = await startRelay({ bus });
+    const serverB = await startRelay({ bus });
+    try {
+        const controller = await connect(serverA.url, { room: 'lab-a', protocol: 1, clientType: 'controller' });
+        const headset = await connect(serverB.url, { room: 'lab-a', protocol: 1, clientType: 'unity', name: 'Headset B' });
+
+        // Joins on B are announced to controllers on A, and listed in A's rosters
+        const joined = await controller.next((message) => message.type === 'presence' && message.payload.client.name === 'Headset B');
+        assert.strictEqual(joined.payload.event, 'join');
+        const secondController = await connect(serverA.url, { room: 'lab-a', protocol: 1, clientType: 'controller' });
+        const roster = await secondController.next(ofType('roster'));
+        assert.ok(roster.payload.clients.some((client) => client.id === joined.payload.client.id));
+
+        controller.send('color', { color: '#FF0000' });
+        const color = await headset.next(ofType('color'));
+        assert.strictEqual(color.payload.color, '#FF0000');
+
+        // Other rooms stay quiet
+        const otherRoom = await connect(serverB.url, { room: 'lab-b', protocol: 1, clientType: 'unity' });
+        assert.ok(await receivesNothing(otherRoom, ofType('color')));
+
+        // A receiver joining B later gets the color sent on A
+        const late = await connect(serverB.url, { room: 'lab-a', protocol: 1, clientType: 'web' });
+        assert.strictEqual((await late.next(ofType('color'))).payload.replay, true);
+
+        // An instance started later loads the retained state from the bus
+        const serverC = await startRelay({ bus });
+        try {
+            const newcomer = await connect(serverC.url, { room: 'lab-a', protocol: 1, clientType: 'unity' });
+            const replayed = await newcomer.next(ofType('color'));
+            assert.strictEqual(replayed.payload.color, '#FF0000');
+            await newcomer.close();
+        } finally {
+            await serverC.close();
+        }
+
+        await Promise.all([headset.close(), late.close(), otherRoom.close(), controller.close(), secondController.close()]);
+    } finally {
+        await Promise.all([serverA.close(), serverB.close()]);
+    }
+});
+
+test('health adds up the connections of every instance and stopped instances leave', async () => {
+    const bus = createMemoryBus();
+    const serverA = await startRelay({ bus });
+    const serverB = await startRelay({ bus });
+    try {
+        const controller = await connect(serverA.url, { room: 'lab-a', protocol: 1, clientType: 'controller' });
+        const headsets = await Promise.all([1, 2].map((n) => connect(serverB.url, { room: 'lab-a', protocol: 1, clientType: 'unity', name: `Headset ${n}` })));
+
+        const health = await eventually(async () => {
+            const response = await request(serverA.port, 'GET', '/health');
+            return response.body.cluster.connections === 3 && response.body;
+        });
+        assert.strictEqual(health.connections, 1);
+        assert.strictEqual(health.cluster.instances, 2);
+
+        // Stopping B tells A's controllers its clients are gone
+        await serverB.close();
+        await controller.next((message) => message.type === 'presence' && message.payload.event === 'leave');
+        const afterStop = await eventually(async () => {
+            const response = await request(serverA.port, 'GET', '/health');
+            return response.body.cluster.instances === 1 && response.body;
+        });
+        assert.strictEqual(afterStop.cluster.connections, 1);
+
+        await controller.close();
+    } finally {
+        await serverA.close();
+    }
+});
+
+test('delivery receipts count the receivers and acks of every instance', async () => {
+    const bus = createMemoryBus();
+    const serverA = await startRelay({ bus });
+    const serverB = await startRelay({ bus });
+    try {
+        const local = await connect(serverA.url, { room: 'lab-a', protocol: 1, clientType: 'unity', name: 'Headset A' });
+        const remote = await connect(serverB.url, { room: 'lab-a', protocol: 1, clientType: 'unity', name: 'Headset B' });
+        const controller = await connect(serverA.url, { room: 'lab-a', protocol: 1, clientType: 'controller' });
+        const roster = await controller.next(ofType('roster'));
+        assert.ok(roster.payload.clients.some((client) => client.name === 'Headset B'));
+
+        const id = controller.send('color', { color: '#FF0000' });
+        const color = await remote.next(ofType('color'));
+        remote.send('ack', { ref: color.id, status: 'failed', error: 'No object' });
+        local.send('ack', { ref: (await local.next(ofType('color'))).id, status: 'applied' });
+
+        const receipt = await controller.next((message) => message.type === 'receipt' && message.payload.ref === id);
+        assert.strictEqual(receipt.payload.delivered, 2);
+        assert.strictEqual(receipt.payload.applied, 1);
+        assert.deepStrictEqual(receipt.payload.failed.map((failure) => failure.error), ['No object']);
+        assert.strictEqual(receipt.payload.timedOut, false);
+
+        await Promise.all([local.close(), remote.close(), controller.close()]);
+    } finally {
+        await Promise.all([serverA.close(), serverB.close()]);
+    }
+});
@@ -0,0 +1,202 @@
+/**
+ * Test Helpers
+ * Starts relay servers on a free port and drives them with real ws clients
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+
+const { createRelayServer } = require('../lib/relay');
+const { createLogger } = require('../lib/logger');
+
+const WAIT_TIMEOUT = 2000; // Fail a wait instead of hanging the test run
+
+/**
+ * Start a relay server on a free port with quiet logs and a temporary recordings directory
+ * @param {Object} [options] - Extra createRelayServer() options
+ * @returns {Promise<{relay: Object, port: number, url: string, close: Function}>} Running relay
+ */
+async function startRelay(options = {}) {
+    const recordingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-test-'));
+    const relay = createRelayServer(Object.assign({
+        port: 0,
+        host: '127.0.0.1',
+        logger: createLogger({ level: 'error' }),
+        statusInterval: 0,
+        recordingsDir
+    }, options));
+
+    const { port } = await relay.start();
+    return {
+        relay,
+        port,
+        url: `ws://127.0.0.1:${port}`,
+        close: async () => {
+            await relay.stop();
+            fs.rmSync(recordingsDir, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * Open a WebSocket client and collect what it receives
+ * @param {string} url - Relay URL
+ * @param {Object} [query] - Query parameters (room, protocol, clientType, name, groups)
+ * @returns {Promise<Object>} Client {ws, messages, next(predicate), send(type, payload, fields), close()}
+ */
+function connect(url, query = {}) {
+    const ws = new WebSocket(`${url}/?${new URLSearchParams(query)}`);
+    const messages = [];
+    const waiters = [];
+
+    ws.on('message', (data) => {
+        const text = data.toString();
+        let message = text;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            // Legacy clients receive bare hex strings
+        }
+        messages.push(message);
+
+        waiters.slice().forEach((waiter) => {
+            if (waiter.predicate(message)) {
+                waiters.splice(waiters.indexOf(waiter), 1);
+                clearTimeout(waiter.timer);
+                waiter.resolve(message);
+            }
+        });
+    });
+
+    const client = {
+        ws,
+        messages,
+
+        /**
+         * Wait for a message, including one already received
+         * @param {Function} predicate - predicate(message) returns true for the expected message
+         * @returns {Promise<*>} Matching message
+         */
+        next(predicate) {
+            const found = messages.find(predicate);
+            if (found !== undefined) return Promise.resolve(found);
+
+            return new Promise((resolve, reject) => {
+                const waiter = { predicate, resolve };
+                waiter.timer = setTimeout(() => {
+                    waiters.splice(waiters.indexOf(waiter), 1);
+                    reject(new Error(`No matching message; received ${JSON.stringify(messages)}`));
+                }, WAIT_TIMEOUT);
+                waiters.push(waiter);
+            });
+        },
+
+        /**
+         * Send an envelope
+         * @param {string} type - Message type
+         * @param {Object} [payload] - Message payload
+         * @param {Object} [fields] - Other envelope fields, e.g. {target: {...}}
+         * @returns {string} Message id
+         */
+        send(type, payload = {}, fields = {}) {
+            const id = Math.random().toString(16).slice(2, 15);
+            ws.send(JSON.stringify(Object.assign({ v: 1, type, payload, id, ts: Date.now() }, fields)));
+            return id;
+        },
+
+        /**
+         * Close the connection
+         * @returns {Promise<void>} Resolves once closed
+         */
+        close() {
+            if (ws.readyState === WebSocket.CLOSED) return Promise.resolve();
+            return new Promise((resolve) => {
+                ws.once('close', () => resolve());
+                ws.close();
+            });
+        }
+    };
+
+    return new Promise((resolve, reject) => {
+        ws.once('open', () => resolve(client));
+        ws.once('error', reject);
+    });
+}
+
+/**
+ * Open a connection and wait for the server to close it
+ * @param {string} url - Relay URL
+ * @param {Object} query - Query parameters
+ * @returns {Promise<{code: number, reason: string}>} Close code and reason
+ */
+function closeOf(url, query) {
+    const ws = new WebSocket(`${url}/?${new URLSearchParams(query)}`);
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            ws.terminate();
+            reject(new Error('The server did not close the connection'));
+        }, WAIT_TIMEOUT);
+        ws.once('close', (code, reason) => {
+            clearTimeout(timer);
+            resolve({ code, reason: reason.toString() });
+        });
+        ws.once('error', reject);
+    });
+}
+
+/**
+ * Check that nothing matching arrives for a while
+ * @param {Object} client - Client from connect()
+ * @param {Function} predicate - predicate(message)
+ * @param {number} [delay] - How long to wait in milliseconds
+ * @returns {Promise<boolean>} True if no matching message arrived
+ */
+async function receivesNothing(client, predicate, delay = 150) {
+    await new Promise((resolve) => setTimeout(resolve, delay));
+    return !client.messages.some(predicate);
+}
+
+/**
+ * Call the REST API
+ * @param {number} port - Relay port
+ * @param {string} method - HTTP method
+ * @param {string} pathname - Path with query string
+ * @param {Object} [body] - JSON body
+ * @param {Object} [headers] - Extra request headers (e.g. Authorization)
+ * @returns {Promise<{status: number, body: *, headers: Headers}>} Response
+ */
+async function request(port, method, pathname, body, headers = {}) {
+    const response = await fetch(`http://127.0.0.1:${port}${pathname}`, {
+        method,
+        headers: Object.assign(body ? { 'Content-Type': 'application/json' } : {}, headers),
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        // Not JSON (e.g. /metrics)
+    }
+    return { status: response.status, body: parsed, headers: response.headers };
+}
+
+/**
+ * Match envelopes of a type
+ * @param {string} type - Message type
+ * @returns {Function} Predicate
+ */
+function ofType(type) {
+    return (message) => message && message.type === type;
+}
+
+module.exports = {
+    startRelay,
+    connect,
+    closeOf,
+    receivesNothing,
+    request,
+    ofType
+};
@@ -0,0 +1,136 @@
+/**
+ * Hook and middleware tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createLogger } = require('../lib/logger');
+const { startRelay, connect, receivesNothing, request, ofType } = require('./helpers');
+
+test('middleware can drop, transform and reject messages', async () => {
+    const server = await startRelay({
+        middleware: [
+            ({ envelope }) => (envelope.payload.color === '#000000' ? null : undefined),
+            ({ envelope }) => {
+                if (envelope.payload.color === '#FF00FF') throw new Error('No magenta in this room');
+            },
+            ({ envelope }) => (envelope.payload.color === '#FFFFFF'
+                ? { type: 'color', payload: { color: '#EEEEEE' } }
+                : undefined)
+        ]
+    });
+    try {
+        const controller = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'controller' });
+        const headset = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'unity' });
+
+        controller.send('color', { color: '#000000' });
+        assert.ok(await receivesNothing(headset, ofType('color')));
+        assert.ok(await receivesNothing(controller, ofType('error'), 0));
+
+        const rejectedId = controller.send('color', { color: '#FF00FF' });
+        const error = await controller.next(ofType('error'));
+        assert.strictEqual(error.payload.code, 'rejected');
+        assert.strictEqual(error.payload.ref, rejectedId);
+
+        const transformedId = controller.send('color', { color: '#FFFFFF' });
+        const transformed = await headset.next(ofType('color'));
+        assert.strictEqual(transformed.payload.color, '#EEEEEE');
+        assert.strictEqual(transformed.id, transformedId);
+
+        await Promise.all([controller.close(), headset.close()]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('middleware applies to REST API commands', async () => {
+    const server = await startRelay();
+    server.relay.use(({ source, room }) => {
+        if (source === 'api' && room === 'locked') throw new Error('Room is locked');
+    });
+    try {
+        const locked = await request(server.port, 'POST', '/api/color', { room: 'locked', color: '#FF0000' });
+        assert.strictEqual(locked.status, 403);
+        assert.strictEqual(locked.body.code, 'rejected');
+
+        const open = await request(server.port, 'POST', '/api/color', { room: 'lab-a', color: '#FF0000' });
+        assert.strictEqual(open.status, 200);
+    } finally {
+        await server.close();
+    }
+});
+
+test('invalid middleware results are not relayed', async () => {
+    const server = await startRelay({
+        middleware: [() => ({ type: 'color', payload: { color: 'nope' } })]
+    });
+    try {
+        const controller = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'controller' });
+        const headset = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'unity' });
+
+        controller.send('color', { color: '#FF0000' });
+        await controller.next(ofType('error'));
+        assert.ok(await receivesNothing(headset, ofType('color'), 0));
+
+        await Promise.all([controller.close(), headset.close()]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('hooks report connections, messages and broadcasts', async () => {
+    const events = [];
+    const server = await startRelay({
+        onConnect: ({ client }) => events.push(['connect', client.id]),
+        onDisconnect: ({ client }) => events.push(['disconnect', client.id]),
+        onMessage: ({ envelope }) => events.push(['message', envelope.type]),
+        onBroadcast: ({ envelope, room, recipients }) => events.push(['broadcast', envelope.type, room, recipients.length])
+    });
+    try {
+        const controller = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'controller' });
+        const headset = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'unity' });
+
+        controller.send('color', { color: '#FF0000' });
+        await headset.next(ofType('color'));
+        await controller.close();
+        await new Promise((resolve) => setTimeout(resolve, 50));
+
+        const controllerId = events[0][1];
+        const headsetId = events[1][1];
+        assert.notStrictEqual(controllerId, headsetId);
+        assert.deepStrictEqual(events, [
+            ['connect', controllerId],
+            ['connect', headsetId],
+            ['message', 'color'],
+            ['broadcast', 'color', 'lab-a', 1],
+            ['disconnect', controllerId]
+        ]);
+
+        await headset.close();
+    } finally {
+        await server.close();
+    }
+});
+
+test('a failing hook does not break the relay', async () => {
+    const lines = [];
+    const server = await startRelay({
+        logger: createLogger({ level: 'error', format: 'json', stream: { write: (line) => lines.push(JSON.parse(line)) } }),
+        onBroadcast: () => {
+            throw new Error('Hook bug');
+        }
+    });
+    try {
+        const controller = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'controller' });
+        const headset = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'unity' });
+
+        controller.send('color', { color: '#FF0000' });
+        assert.strictEqual((await headset.next(ofType('color'))).payload.color, '#FF0000');
+        assert.ok(lines.some((line) => line.msg === 'Hook failed' && line.hook === 'onBroadcast'));
+
+        await Promise.all([controller.close(), headset.close()]);
+    } finally {
+        await server.close();
+    }
+});
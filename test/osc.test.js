@@ -0,0 +1,110 @@
+/**
+ * OSC bridge tests: packet decoding, OSC in and OSC out
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const dgram = require('dgram');
+
+const { startRelay, connect, receivesNothing, request, ofType } = require('./helpers');
+const { encodeMessage, decodePacket, parseOscCommand } = require('../lib/osc');
+
+/**
+ * Wrap OSC messages in a bundle
+ * @param {Buffer[]} messages - Encoded messages
+ * @returns {Buffer} Bundle
+ */
+function bundle(messages) {
+    const header = Buffer.alloc(16);
+    header.write('#bundle');
+    header.writeUInt32BE(1, 12); // Time tag "immediately"
+    return Buffer.concat([header, ...messages.flatMap((message) => {
+        const size = Buffer.alloc(4);
+        size.writeInt32BE(message.length);
+        return [size, message];
+    })]);
+}
+
+/**
+ * Wait for an OSC message to arrive
+ * @param {Object[]} received - Messages received so far (filled as they arrive)
+ * @param {string} address - Expected address
+ * @returns {Promise<Object>} Message
+ */
+async function waitForOsc(received, address) {
+    for (let attempt = 0; attempt < 40; attempt++) {
+        const found = received.find((message) => message.address === address);
+        if (found) return found;
+        await new Promise((resolve) => setTimeout(resolve, 25));
+    }
+    throw new Error(`No OSC message to ${address}; received ${JSON.stringify(received)}`);
+}
+
+test('OSC packets decode into relay commands', () => {
+    const [color, rgb] = decodePacket(bundle([
+        encodeMessage('/vrcia/color', ['#ff0000']),
+        encodeMessage('/vrcia/lab-a/rgb', [{ type: 'i', value: 0 }, { type: 'i', value: 128 }, { type: 'i', value: 255 }])
+    ]));
+
+    assert.deepStrictEqual(parseOscCommand(color), { room: null, type: 'color', payload: { color: '#ff0000' } });
+    assert.deepStrictEqual(parseOscCommand(rgb), { room: 'lab-a', type: 'color', payload: { color: '#0080ff' } });
+    assert.deepStrictEqual(parseOscCommand(decodePacket(encodeMessage('/vrcia/rgb', [1, 0.5, 0]))[0]).payload, { color: '#ff8000' });
+
+    assert.strictEqual(parseOscCommand(decodePacket(encodeMessage('/other/color', ['#FF0000']))[0]), null);
+    assert.ok(parseOscCommand(decodePacket(encodeMessage('/vrcia/brightness', ['high']))[0]).error);
+    assert.throws(() => decodePacket(Buffer.from('/vrcia')), /multiple of 4/);
+});
+
+test('OSC commands are relayed and relayed colors are sent out as OSC', async () => {
+    const rig = dgram.createSocket('udp4');
+    await new Promise((resolve) => rig.bind(0, '127.0.0.1', resolve));
+    const received = [];
+    rig.on('message', (buffer) => received.push(...decodePacket(buffer)));
+
+    const server = await startRelay({ osc: { port: 0, host: '127.0.0.1', sendTo: `127.0.0.1:${rig.address().port}` } });
+    try {
+        const headset = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'unity' });
+        const controller = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'controller' });
+        const oscPort = server.relay.oscAddress().port;
+
+        rig.send(encodeMessage('/vrcia/lab-a/transition', ['#00ff00', { type: 'i', value: 500 }]), oscPort, '127.0.0.1');
+        const transition = await headset.next(ofType('transition'));
+        assert.deepStrictEqual(transition.payload, { color: '#00FF00', duration: 500 });
+
+        // Commands that came from OSC are not echoed back
+        assert.ok(await receivesNothing({ messages: received }, (message) => message.address.endsWith('/transition')));
+
+        controller.send('color', { color: '#0000FF' });
+        await headset.next((message) => message.type === 'color' && message.payload.color === '#0000FF');
+        assert.deepStrictEqual((await waitForOsc(received, '/vrcia/lab-a/color')).args, ['#0000FF']);
+        assert.deepStrictEqual((await waitForOsc(received, '/vrcia/lab-a/rgb')).args, [0, 0, 1]);
+
+        await Promise.all([headset.close(), controller.close()]);
+    } finally {
+        await server.close();
+        rig.close();
+    }
+});
+
+test('OSC addresses naming an invalid room are dropped', async () => {
+    const server = await startRelay({ osc: { port: 0, host: '127.0.0.1' } });
+    const rig = dgram.createSocket('udp4');
+    try {
+        const headset = await connect(server.url, { protocol: 1, clientType: 'unity' });
+        const oscPort = server.relay.oscAddress().port;
+
+        rig.send(encodeMessage('/vrcia/lab.a/color', ['#FF0000']), oscPort, '127.0.0.1');
+        assert.ok(await receivesNothing(headset, ofType('color')));
+        const metrics = await request(server.port, 'GET', '/metrics');
+        assert.match(metrics.body, /relay_messages_rejected_total\{reason="invalid_room"\} 1/);
+
+        // Addresses without a room still go to the OSC room
+        rig.send(encodeMessage('/vrcia/color', ['#00FF00']), oscPort, '127.0.0.1');
+        assert.strictEqual((await headset.next(ofType('color'))).payload.color, '#00FF00');
+
+        await headset.close();
+    } finally {
+        rig.close();
+        await server.close();
+    }
+});
@@ -0,0 +1,142 @@
+/**
+ * Presence tests: rosters, join/leave/update events, names and receiver reports
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { startRelay, connect, receivesNothing, ofType } = require('./helpers');
+
+test('controllers get the roster on connect and presence events afterwards', async () => {
+    const server = await startRelay();
+    try {
+        const headset = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'unity', name: 'Headset 1' });
+        const controller = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'controller' });
+
+        const roster = await controller.next(ofType('roster'));
+        assert.strictEqual(roster.payload.room, 'lab-a');
+        assert.deepStrictEqual(roster.payload.clients.map((client) => [client.type, client.name]).sort(), [
+            ['controller', null],
+            ['unity', 'Headset 1']
+        ]);
+
+        const second = await connect(server.url, { room: 'lab-a', protocol: 1 });
+        const joined = await controller.next((message) => message.type === 'presence' && message.payload.event === 'join');
+        assert.strictEqual(joined.payload.client.type, 'unknown');
+
+        second.send('hello', { clientType: 'unity', name: 'Headset 2' });
+        const updated = await controller.next((message) => message.type === 'presence' && message.payload.event === 'update');
+        assert.strictEqual(updated.payload.client.name, 'Headset 2');
+        assert.strictEqual(updated.payload.client.id, joined.payload.client.id);
+
+        await headset.close();
+        const left = await controller.next((message) => message.type === 'presence' && message.payload.event === 'leave');
+        assert.strictEqual(left.payload.client.name, 'Headset 1');
+
+        // The system notice names its event so controllers can word it in their language
+        const notice = await controller.next(ofType('system'));
+        assert.deepStrictEqual([notice.payload.event, notice.payload.clientId], ['leave', left.payload.client.id]);
+
+        // Receivers don't get presence traffic
+        assert.ok(await receivesNothing(second, (message) => message.type === 'presence' || message.type === 'roster', 0));
+
+        await Promise.all([controller.close(), second.close()]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('ack status changes are announced to controllers', async () => {
+    const server = await startRelay();
+    try {
+        const controller = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'controller' });
+        const headset = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'unity' });
+
+        controller.send('color', { color: '#FF0000' });
+        const command = await headset.next(ofType('color'));
+        headset.send('ack', { ref: command.id, status: 'applied' });
+
+        const updated = await controller.next((message) => message.type === 'presence' && message.payload.event === 'update');
+        assert.strictEqual(updated.payload.client.lastAck.status, 'applied');
+
+        await Promise.all([controller.close(), headset.close()]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('moving to another room updates both rosters', async () => {
+    const server = await startRelay();
+    try {
+        const controllerA = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'controller' });
+        const controllerB = await connect(server.url, { room: 'lab-b', protocol: 1, clientType: 'controller' });
+        const headset = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'unity' });
+
+        headset.send('join', { room: 'lab-b' });
+        const left = await controllerA.next((message) => message.type === 'presence' && message.payload.event === 'leave');
+        const joined = await controllerB.next((message) => message.type === 'presence' && message.payload.event === 'join');
+        assert.strictEqual(left.payload.client.id, joined.payload.client.id);
+        assert.strictEqual(joined.payload.room, 'lab-b');
+
+        await Promise.all([controllerA.close(), controllerB.close(), headset.close()]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('joining the room a client is already in announces nothing', async () => {
+    const server = await startRelay();
+    try {
+        const watcher = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'controller' });
+        const controller = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'controller' });
+        await controller.next(ofType('roster'));
+
+        controller.send('join', { room: 'lab-a' });
+        await controller.next((message) => controller.messages.filter(ofType('roster')).length === 2);
+
+        const isLeave = (message) => (message.type === 'system' && / left$/.test(message.payload.message)) ||
+            (message.type === 'presence' && message.payload.event === 'leave');
+        assert.ok(await receivesNothing(watcher, isLeave));
+
+        await Promise.all([watcher.close(), controller.close()]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('receiver reports reach controllers only and are kept in the roster', async () => {
+    const server = await startRelay();
+    try {
+        const headset = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'unity', name: 'Headset 1' });
+        const otherHeadset = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'unity' });
+        const controller = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'controller' });
+
+        headset.send('report', { color: '#00ff00', scene: 'Lobby' });
+        const report = await controller.next(ofType('report'));
+        assert.strictEqual(report.payload.name, 'Headset 1');
+        assert.strictEqual(report.payload.report.color, '#00FF00');
+        assert.strictEqual(report.payload.report.scene, 'Lobby');
+
+        // Fields update one by one and null clears them
+        headset.send('report', { error: 'Shader missing' });
+        headset.send('report', { scene: null, error: null });
+        const cleared = await controller.next((message) => message.type === 'report' && !message.payload.report.error &&
+            message.payload.report.scene === undefined);
+        assert.strictEqual(cleared.payload.report.color, '#00FF00');
+
+        const invalidId = headset.send('report', { color: 'green' });
+        assert.strictEqual((await headset.next(ofType('error'))).payload.ref, invalidId);
+
+        // A controller joining later sees the latest report in the roster
+        const lateController = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'controller' });
+        const roster = await lateController.next(ofType('roster'));
+        const entry = roster.payload.clients.find((client) => client.name === 'Headset 1');
+        assert.strictEqual(entry.report.color, '#00FF00');
+
+        assert.ok(await receivesNothing(otherHeadset, (message) => message.type === 'report' || message.type === 'color', 0));
+
+        await Promise.all([headset.close(), otherHeadset.close(), controller.close(), lateController.close()]);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,322 @@
+/**
+ * Relay integration tests: rooms, legacy clients, REST API and lifecycle
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createRelayServer } = require('../lib/relay');
+const { createLogger } = require('../lib/logger');
+const { startRelay, connect, closeOf, receivesNothing, request, ofType } = require('./helpers');
+
+test('relays commands to the other clients of the same room only', async () => {
+    const server = await startRelay();
+    try {
+        const controller = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'controller' });
+        const headset = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'unity' });
+        const otherRoom = await connect(server.url, { room: 'lab-b', protocol: 1, clientType: 'unity' });
+
+        const id = controller.send('color', { color: '#ff0000' });
+        const received = await headset.next(ofType('color'));
+
+        assert.strictEqual(received.id, id);
+        assert.strictEqual(received.payload.color, '#FF0000');
+        assert.ok(await receivesNothing(otherRoom, ofType('color')));
+        assert.ok(await receivesNothing(controller, ofType('color'), 0));
+
+        await Promise.all([controller.close(), headset.close(), otherRoom.close()]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('invalid room names are refused instead of joining the default room', async () => {
+    const server = await startRelay();
+    try {
+        const closed = await closeOf(server.url, { room: 'lab a!', protocol: 1 });
+        assert.strictEqual(closed.code, 4002);
+
+        const defaultRoom = await connect(server.url, { protocol: 1, clientType: 'unity' });
+        const controller = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'controller' });
+        const id = controller.send('join', { room: '../default' });
+        const error = await controller.next(ofType('error'));
+        assert.deepStrictEqual([error.payload.code, error.payload.ref], ['invalid_room', id]);
+
+        // The controller stays in its room
+        controller.send('color', { color: '#FF0000' });
+        assert.ok(await receivesNothing(defaultRoom, ofType('color')));
+
+        await Promise.all([defaultRoom.close(), controller.close()]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('sends bare hex to legacy clients and relays their hex', async () => {
+    const server = await startRelay();
+    try {
+        const legacy = await connect(server.url, { room: 'lab-a' });
+        const modern = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'unity' });
+
+        legacy.ws.send('#00ff00');
+        const envelope = await modern.next(ofType('color'));
+        assert.strictEqual(envelope.payload.color, '#00FF00');
+
+        modern.send('color', { color: '#0000FF' });
+        assert.strictEqual(await legacy.next((message) => message === '#0000FF'), '#0000FF');
+
+        await Promise.all([legacy.close(), modern.close()]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('replays the room state to late joiners', async () => {
+    const server = await startRelay();
+    try {
+        const controller = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'controller' });
+        controller.send('color', { color: '#123456' });
+        await new Promise((resolve) => setTimeout(resolve, 50));
+
+        const lateJoiner = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'unity' });
+        const replayed = await lateJoiner.next(ofType('color'));
+        assert.strictEqual(replayed.payload.color, '#123456');
+        assert.strictEqual(replayed.payload.replay, true);
+        assert.strictEqual(server.relay.getRoomState('lab-a').color, '#123456');
+
+        await Promise.all([controller.close(), lateJoiner.close()]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('rejects invalid commands with an error', async () => {
+    const server = await startRelay();
+    try {
+        const controller = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'controller' });
+
+        const id = controller.send('color', { color: 'not-a-color' });
+        const error = await controller.next(ofType('error'));
+        assert.strictEqual(error.payload.ref, id);
+
+        await controller.close();
+    } finally {
+        await server.close();
+    }
+});
+
+test('only controllers can play sequences', async () => {
+    const server = await startRelay();
+    try {
+        const headset = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'unity' });
+        const other = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'web' });
+
+        const id = headset.send('sequence', { action: 'play', sequence: { steps: [{ type: 'color', color: '#FF0000', duration: 100 }] } });
+        const error = await headset.next(ofType('error'));
+        assert.deepStrictEqual([error.payload.code, error.payload.ref], ['forbidden', id]);
+        assert.ok(await receivesNothing(other, ofType('color')));
+
+        await Promise.all([headset.close(), other.close()]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('only controllers can record a room', async () => {
+    const server = await startRelay();
+    try {
+        const headset = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'unity' });
+
+        const id = headset.send('record', { action: 'start' });
+        const error = await headset.next(ofType('error'));
+        assert.deepStrictEqual([error.payload.code, error.payload.ref], ['forbidden', id]);
+        const recordings = await request(server.port, 'GET', '/api/recordings');
+        assert.deepStrictEqual(recordings.body.recordings, []);
+
+        await headset.close();
+    } finally {
+        await server.close();
+    }
+});
+
+test('metrics label client types from a fixed list', async () => {
+    const server = await startRelay();
+    try {
+        const headset = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'unity' });
+        const custom = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'made-up-1' });
+        custom.send('hello', { clientType: 'made-up-2' });
+        custom.send('color', { color: '#FF0000' });
+        await headset.next(ofType('color'));
+
+        const { body } = await request(server.port, 'GET', '/metrics');
+        assert.match(body, /relay_connections\{client_type="unity"\} 1/);
+        assert.match(body, /relay_connections\{client_type="other"\} 1/);
+        assert.match(body, /relay_connections\{client_type="web"\} 0/);
+        assert.match(body, /relay_messages_received_total\{client_type="other"\} 2/);
+        assert.doesNotMatch(body, /made-up/);
+
+        await Promise.all([headset.close(), custom.close()]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('throttled senders get rate_limited with retryAfter and only their latest command', async () => {
+    const server = await startRelay({ rateLimit: { clientRate: 2, clientBurst: 1 } });
+    try {
+        const headset = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'unity' });
+        const controller = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'controller' });
+
+        controller.send('color', { color: '#FF0000' });
+        const id = controller.send('join', { room: 'lab-a' });
+        const error = await controller.next(ofType('error'));
+        assert.deepStrictEqual([error.payload.code, error.payload.ref], ['rate_limited', id]);
+        assert.ok(error.payload.retryAfter > 0 && error.payload.retryAfter <= 500);
+
+        // Commands sent meanwhile are coalesced into the latest one
+        controller.send('color', { color: '#00FF00' });
+        controller.send('color', { color: '#0000FF' });
+        await headset.next((message) => message.type === 'color' && message.payload.color === '#0000FF');
+        const colors = headset.messages.filter(ofType('color')).map((message) => message.payload.color);
+        assert.deepStrictEqual(colors, ['#FF0000', '#0000FF']);
+
+        const { body } = await request(server.port, 'GET', '/health');
+        assert.deepStrictEqual(body.throttling, { throttled: 3, coalesced: 1, dropped: 1, disconnected: 0 });
+
+        await Promise.all([headset.close(), controller.close()]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('acks have their own budget and must answer a command the receiver got', async () => {
+    const server = await startRelay({ rateLimit: { ackRate: 0.2, ackBurst: 2 } });
+    try {
+        const headset = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'unity' });
+        const controller = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'controller' });
+        const isUpdate = (message) => message.type === 'presence' && message.payload.event === 'update';
+
+        // An ack for a command the headset never got changes nothing
+        headset.send('ack', { ref: 'made-up', status: 'failed' });
+        assert.ok(await receivesNothing(controller, isUpdate));
+
+        const id = controller.send('color', { color: '#FF0000' });
+        await headset.next(ofType('color'));
+        headset.send('ack', { ref: id, status: 'applied' });
+        assert.strictEqual((await controller.next(ofType('receipt'))).payload.applied, 1);
+        await controller.next(isUpdate);
+
+        // Past the ack budget, acks are dropped like other messages
+        const extra = headset.send('ack', { ref: id, status: 'failed' });
+        const error = await headset.next(ofType('error'));
+        assert.deepStrictEqual([error.payload.code, error.payload.ref], ['rate_limited', extra]);
+
+        const { body } = await request(server.port, 'GET', '/metrics');
+        assert.match(body, /relay_messages_rejected_total\{reason="unknown_ref"\} 1/);
+        assert.match(body, /relay_messages_rejected_total\{reason="rate_limited"\} 1/);
+
+        await Promise.all([headset.close(), controller.close()]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('relays REST API commands and reports receivers', async () => {
+    const server = await startRelay();
+    try {
+        const headset = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'unity' });
+
+        const response = await request(server.port, 'POST', '/api/color', { room: 'lab-a', color: '#abcdef' });
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.delivered, 1);
+        assert.strictEqual(response.body.receivers, 1);
+        assert.strictEqual((await headset.next(ofType('color'))).payload.color, '#ABCDEF');
+
+        const invalid = await request(server.port, 'POST', '/api/command', { room: 'lab-a', type: 'hello' });
+        assert.strictEqual(invalid.status, 400);
+
+        const health = await request(server.port, 'GET', '/health');
+        assert.strictEqual(health.status, 200);
+
+        await headset.close();
+    } finally {
+        await server.close();
+    }
+});
+
+test('REST API requests naming an invalid room are refused', async () => {
+    const server = await startRelay();
+    try {
+        const headset = await connect(server.url, { protocol: 1, clientType: 'unity' });
+
+        const routes = [
+            ['POST', '/api/color', { room: 'Lab A', color: '#FF0000' }],
+            ['POST', '/api/command', { room: 'Lab A', type: 'reset' }],
+            ['POST', '/api/recordings', { room: 'Lab A', action: 'start' }],
+            ['POST', '/api/replay/stop', { room: 'Lab A' }],
+            ['GET', '/api/state?room=Lab%20A'],
+            ['GET', '/state?room=Lab%20A']
+        ];
+        for (const [method, pathname, body] of routes) {
+            const response = await request(server.port, method, pathname, body);
+            assert.deepStrictEqual([response.status, response.body.code], [400, 'invalid_room'], pathname);
+        }
+        assert.ok(await receivesNothing(headset, (message) => message.type === 'color' || message.type === 'reset'));
+
+        await headset.close();
+    } finally {
+        await server.close();
+    }
+});
+
+test('serves the virtual receiver page', async () => {
+    const server = await startRelay();
+    try {
+        const page = await request(server.port, 'GET', '/receiver/');
+        assert.strictEqual(page.status, 200);
+        assert.match(page.body, /\/receiver\/receiver\.js/);
+
+        // Every script the page loads is served by the relay itself
+        for (const [, src] of page.body.matchAll(/<script src="([^"]+)"/g)) {
+            const loaded = await request(server.port, 'GET', src);
+            assert.match(loaded.headers.get('content-type'), /javascript/, src);
+        }
+
+        const script = await request(server.port, 'GET', '/receiver/receiver.js');
+        assert.strictEqual(script.status, 200);
+        assert.match(script.body, /window\.VirtualReceiver/);
+    } finally {
+        await server.close();
+    }
+});
+
+test('send() relays commands from the embedding program', async () => {
+    const server = await startRelay();
+    try {
+        const headset = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'unity' });
+
+        assert.strictEqual(server.relay.send('lab-a', 'brightness', { value: 0.4 }), 1);
+        assert.strictEqual((await headset.next(ofType('brightness'))).payload.value, 0.4);
+        assert.throws(() => server.relay.send('lab-a', 'color', { color: 'red' }), (error) => Boolean(error.code));
+        assert.throws(() => server.relay.send('lab-a', 'hello'), { code: 'unknown_type' });
+
+        await headset.close();
+    } finally {
+        await server.close();
+    }
+});
+
+test('start() resolves with the address and stop() closes every connection', async () => {
+    const relay = createRelayServer({ port: 0, host: '127.0.0.1', logger: createLogger({ level: 'error' }), statusInterval: 0 });
+    const { port } = await relay.start();
+    assert.ok(port > 0);
+    assert.strictEqual(relay.address().port, port);
+
+    const client = await connect(`ws://127.0.0.1:${port}`, { room: 'lab-a', protocol: 1 });
+    assert.strictEqual(relay.getClients().length, 1);
+
+    const closed = new Promise((resolve) => client.ws.once('close', (code) => resolve(code)));
+    await relay.stop();
+    assert.strictEqual(await closed, 1001);
+    await assert.rejects(relay.start());
+});
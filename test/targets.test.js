@@ -0,0 +1,75 @@
+/**
+ * Directed command tests: targets by client id, group and object name
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { startRelay, connect, receivesNothing, request, ofType } = require('./helpers');
+
+test('directed commands only reach the addressed receivers', async () => {
+    const server = await startRelay();
+    try {
+        const left = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'unity', groups: 'left-wall' });
+        const right = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'unity' });
+        const controller = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'controller' });
+        const observer = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'controller' });
+
+        const roster = await controller.next(ofType('roster'));
+        const rightId = roster.payload.clients.find((client) => client.type === 'unity' && client.groups.length === 0).id;
+
+        // By group (matched case-insensitively)
+        const groupId = controller.send('color', { color: '#FF0000' }, { target: { groups: ['Left-Wall'] } });
+        const received = await left.next(ofType('color'));
+        assert.deepStrictEqual(received.target, { groups: ['left-wall'] });
+        left.send('ack', { ref: received.id, status: 'applied' });
+        const receipt = await controller.next((message) => message.type === 'receipt' && message.payload.ref === groupId);
+        assert.strictEqual(receipt.payload.delivered, 1);
+        assert.strictEqual(receipt.payload.applied, 1);
+
+        // By client id
+        controller.send('color', { color: '#00FF00' }, { target: { clients: [rightId] } });
+        await right.next((message) => message.type === 'color' && message.payload.color === '#00FF00');
+
+        // Other controllers see every command of the room
+        await observer.next((message) => message.type === 'color' && message.payload.color === '#00FF00');
+
+        assert.ok(await receivesNothing(right, (message) => message.type === 'color' && message.payload.color === '#FF0000', 0));
+        assert.ok(await receivesNothing(left, (message) => message.type === 'color' && message.payload.color === '#00FF00'));
+
+        // Directed commands don't become the room's state
+        assert.strictEqual(server.relay.getRoomState('lab-a'), null);
+
+        await Promise.all([left.close(), right.close(), controller.close(), observer.close()]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('object targets reach every receiver except legacy ones', async () => {
+    const server = await startRelay();
+    try {
+        const headset = await connect(server.url, { room: 'lab-a', protocol: 1, clientType: 'unity' });
+        const legacy = await connect(server.url, { room: 'lab-a' });
+
+        const response = await request(server.port, 'POST', '/api/color', {
+            color: '#0000ff',
+            room: 'lab-a',
+            target: { objects: ['Wall_Left'] }
+        });
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.delivered, 1);
+
+        const received = await headset.next(ofType('color'));
+        assert.deepStrictEqual(received.target, { objects: ['Wall_Left'] });
+        assert.ok(await receivesNothing(legacy, (message) => message === '#0000FF', 0));
+
+        const invalid = await request(server.port, 'POST', '/api/color', { color: '#0000FF', target: { groups: ['no spaces'] } });
+        assert.strictEqual(invalid.status, 400);
+        assert.strictEqual(invalid.body.code, 'invalid_target');
+
+        await Promise.all([headset.close(), legacy.close()]);
+    } finally {
+        await server.close();
+    }
+});